@@ -49,11 +49,16 @@ create table if not exists ops.dim_supply_item_sku_map (
   primary key (supply_item_key, sku)
 );
 
-insert into ops.dim_supply_item_sku_map (supply_item_key, sku) values
+-- Only SKUs already synced: a new database has none yet
+insert into ops.dim_supply_item_sku_map (supply_item_key, sku)
+select v.supply_item_key, v.sku
+from (values
   ('THM', 'HAIRMULTIPLIER-1PC'),
   ('THM', 'HAIRMULTIPLIER-3PC'),
   ('ROLLER', '1PC-DERMAROLLER'),
   ('BRUSH', '1PC-ROSEWOODBRUSH')
+) as v(supply_item_key, sku)
+join ops.dim_sku s on s.sku = v.sku
 on conflict do nothing;
 
 commit;
\ No newline at end of file
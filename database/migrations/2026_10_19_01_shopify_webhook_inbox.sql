@@ -0,0 +1,22 @@
+-- Shopify webhook deliveries (orders/create, orders/updated, refunds/create)
+-- One row per X-Shopify-Webhook-Id so redeliveries are deduped.
+
+create table if not exists ops.shopify_webhook_inbox (
+  webhook_id      text primary key,                 -- X-Shopify-Webhook-Id
+  topic           text not null,                    -- X-Shopify-Topic
+  shop_domain     text,                             -- X-Shopify-Shop-Domain
+  resource_id     bigint,                           -- order id / refund id from payload
+  triggered_at    timestamptz,                      -- X-Shopify-Triggered-At
+  received_at     timestamptz not null default now(),
+  processed_at    timestamptz,
+  status          text not null default 'received', -- received | processed | skipped_stale | failed
+  attempts        integer not null default 0,
+  error_message   text,
+  payload         jsonb not null default '{}'::jsonb
+);
+
+create index if not exists shopify_webhook_inbox_status_idx
+  on ops.shopify_webhook_inbox (status, received_at desc);
+
+create index if not exists shopify_webhook_inbox_resource_idx
+  on ops.shopify_webhook_inbox (topic, resource_id);
@@ -0,0 +1,7 @@
+-- Soft-delete for SKUs whose Shopify variant no longer exists
+alter table ops.dim_sku
+  add column if not exists retired_at timestamptz;
+
+create index if not exists dim_sku_retired_idx
+  on ops.dim_sku (retired_at)
+  where retired_at is not null;
@@ -0,0 +1,131 @@
+-- Line-level subscription attribution.
+-- Decision order per Shopify line item:
+--   1. Loop order for the Shopify order (ops.fact_loop_orders.shopify_order_id)
+--        matching Loop line is_one_time      -> false 'loop_one_time'
+--        matching Loop line                  -> true  'loop_order_line'
+--        no matching line                    -> true  'loop_order'
+--   2. Selling plan id on the line item      -> true  'selling_plan'
+--   3. Order inside Loop's ingested window   -> false 'loop_absent'
+--   4. Otherwise (no Loop data yet)          -> tags  'tags'
+
+begin;
+
+alter table ops.fact_shopify_order_line_items
+  add column if not exists selling_plan_id bigint,
+  add column if not exists subscription_attribution_source text;
+
+create index if not exists line_items_attribution_idx
+  on ops.fact_shopify_order_line_items (subscription_attribution_source);
+
+-- Serves the per-order Loop window probes in attribute_subscription_lines
+create index if not exists loop_orders_order_at_idx
+  on ops.fact_loop_orders ((coalesce(shopify_created_at, billing_at)));
+
+create or replace function ops.is_subscription_from_tags(p_tags text[])
+returns boolean
+language sql
+immutable
+as $$
+  select coalesce(bool_or(
+    lower(t) like '%subscription%'
+    or lower(t) like '%recurring%'
+    or lower(t) like '%loop%'
+  ), false)
+  from unnest(coalesce(p_tags, '{}'::text[])) as t
+$$;
+
+-- p_order_ids null = every order. Returns the number of line items whose attribution changed.
+create or replace function ops.attribute_subscription_lines(p_order_ids bigint[] default null)
+returns integer
+language plpgsql
+as $$
+declare
+  v_updated integer;
+begin
+  with target as (
+    select
+      l.id,
+      l.order_id,
+      l.sku,
+      l.shopify_variant_id,
+      l.selling_plan_id,
+      o.tags,
+      coalesce(o.created_at_shopify, o.processed_at) as order_at
+    from ops.fact_shopify_order_line_items l
+    join ops.fact_shopify_orders o
+      on o.order_id = l.order_id
+    where p_order_ids is null
+       or l.order_id = any(p_order_ids)
+  ),
+  -- Inside Loop's ingested window: a Loop order at or before and at or after the order.
+  -- Two index probes per requested order instead of a min/max over all Loop orders.
+  in_window as (
+    select
+      x.order_id,
+      exists (
+        select 1 from ops.fact_loop_orders lo
+        where coalesce(lo.shopify_created_at, lo.billing_at) <= x.order_at
+      )
+      and exists (
+        select 1 from ops.fact_loop_orders lo
+        where coalesce(lo.shopify_created_at, lo.billing_at) >= x.order_at
+      ) as inside
+    from (select distinct order_id, order_at from target) x
+  ),
+  loop_match as (
+    select
+      t.id,
+      bool_or(lo.loop_order_id is not null) as has_loop_order,
+      bool_or(lol.id is not null) as has_loop_line,
+      bool_and(coalesce(lol.is_one_time, false)) filter (where lol.id is not null) as all_one_time
+    from target t
+    left join ops.fact_loop_orders lo
+      on lo.shopify_order_id = t.order_id
+    left join ops.fact_loop_order_lines lol
+      on lol.loop_order_id = lo.loop_order_id
+     and (
+       (t.shopify_variant_id is not null and lol.variant_shopify_id = t.shopify_variant_id)
+       or (lol.sku is not null and lol.sku = t.sku)
+     )
+    group by t.id
+  ),
+  decided as (
+    select
+      t.id,
+      case
+        when m.has_loop_order and m.has_loop_line and m.all_one_time then false
+        when m.has_loop_order then true
+        when t.selling_plan_id is not null then true
+        when w.inside then false
+        else ops.is_subscription_from_tags(t.tags)
+      end as is_subscription,
+      case
+        when m.has_loop_order and m.has_loop_line and m.all_one_time then 'loop_one_time'
+        when m.has_loop_order and m.has_loop_line then 'loop_order_line'
+        when m.has_loop_order then 'loop_order'
+        when t.selling_plan_id is not null then 'selling_plan'
+        when w.inside then 'loop_absent'
+        else 'tags'
+      end as source
+    from target t
+    join loop_match m
+      on m.id = t.id
+    join in_window w
+      on w.order_id = t.order_id
+  )
+  update ops.fact_shopify_order_line_items l
+  set is_subscription = d.is_subscription,
+      subscription_attribution_source = d.source
+  from decided d
+  where l.id = d.id
+    and (
+      l.is_subscription is distinct from d.is_subscription
+      or l.subscription_attribution_source is distinct from d.source
+    );
+
+  get diagnostics v_updated = row_count;
+  return v_updated;
+end
+$$;
+
+commit;
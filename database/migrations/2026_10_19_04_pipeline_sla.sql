@@ -0,0 +1,31 @@
+-- Per-pipeline freshness SLAs read by scripts/monitor/pipeline_health.js
+--   max_age_hours            last succeeded run (and sync_state cursor, if any) must be newer than this
+--   max_consecutive_failures failed runs since the last success before alerting
+--   stuck_after_minutes      a 'started' run older than this is treated as orphaned
+
+begin;
+
+create table if not exists ops.pipeline_sla (
+  pipeline                 text primary key,
+  source                   ops.data_source not null,
+  max_age_hours            numeric(8,2) not null check (max_age_hours > 0),
+  max_consecutive_failures integer not null default 1 check (max_consecutive_failures >= 1),
+  stuck_after_minutes      integer not null default 120 check (stuck_after_minutes > 0),
+  sync_state_key           text,
+  is_enabled               boolean not null default true,
+  notes                    text,
+  updated_at               timestamptz not null default now()
+);
+
+insert into ops.pipeline_sla
+  (pipeline, source, max_age_hours, max_consecutive_failures, stuck_after_minutes, sync_state_key, is_enabled, notes)
+values
+  ('shopify_orders_daily',            'shopify',       26, 1, 120, 'shopify_orders_daily',     true,  'workflow: daily 00:00 UTC'),
+  ('shopify_inventory_snapshot',      'shopify',       26, 1,  60, null,                       true,  'workflow: daily 02:00 UTC'),
+  ('sheets_cashflow_inventory_2026',  'google_sheets', 26, 1,  30, null,                       true,  'workflow: daily 00:00 UTC'),
+  ('sheets_inbound_shipments_2026',   'google_sheets', 26, 1,  30, null,                       true,  'workflow: daily 00:00 UTC'),
+  ('loop_orders_daily',               'loop',          26, 1, 120, 'loop_orders_daily',        false, 'no workflow yet; enable once scheduled'),
+  ('loop_subscriptions_daily',        'loop',          26, 1, 120, 'loop_subscriptions_daily', false, 'no workflow yet; enable once scheduled')
+on conflict (pipeline) do nothing;
+
+commit;
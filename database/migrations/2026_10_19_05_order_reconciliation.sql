@@ -0,0 +1,234 @@
+-- Shopify <-> Loop order reconciliation.
+-- ops.reconcile_orders rebuilds ops.fact_order_reconciliation for an order-date window:
+--   matched              Loop order and Shopify order agree within tolerance
+--   mismatch             both sides present; mismatch_reasons lists the differing fields
+--   missing_in_shopify   Loop order without a Shopify id, or whose Shopify order is not ingested
+--   missing_in_loop      Shopify order inside Loop's ingested window with a selling plan line or
+--                        subscription tags, and no Loop order
+
+begin;
+
+-- Order-level totals from the Shopify payload (null for rows ingested before these columns)
+alter table ops.fact_shopify_orders
+  add column if not exists total_price            numeric(18,2),
+  add column if not exists subtotal_price         numeric(18,2),
+  add column if not exists total_tax              numeric(18,2),
+  add column if not exists total_discounts        numeric(18,2),
+  add column if not exists total_line_items_price numeric(18,2),
+  add column if not exists total_shipping_price   numeric(18,2);
+
+create table if not exists ops.fact_order_reconciliation (
+  id                        bigserial primary key,
+
+  loop_order_id             bigint,
+  shopify_order_id          bigint,
+  order_at                  timestamptz not null,
+
+  match_status              text not null
+    check (match_status in ('matched','mismatch','missing_in_shopify','missing_in_loop')),
+  mismatch_reasons          text[] not null default '{}',
+
+  loop_currency             text,
+  shopify_currency          text,
+
+  loop_total_price          numeric(18,2),
+  shopify_total_price       numeric(18,2),
+  total_price_delta         numeric(18,2),
+
+  loop_total_tax            numeric(18,2),
+  shopify_total_tax         numeric(18,2),
+  total_tax_delta           numeric(18,2),
+
+  loop_total_discount       numeric(18,2),
+  shopify_total_discount    numeric(18,2),
+  total_discount_delta      numeric(18,2),
+
+  loop_line_items_price     numeric(18,2),
+  shopify_line_items_price  numeric(18,2),
+  line_items_price_delta    numeric(18,2),
+
+  loop_financial_status     text,
+  shopify_financial_status  text,
+
+  tolerance                 numeric(18,2) not null,
+  run_id                    uuid,
+  reconciled_at             timestamptz not null default now()
+);
+
+create index if not exists order_recon_order_at_idx
+  on ops.fact_order_reconciliation (order_at);
+
+create index if not exists order_recon_status_idx
+  on ops.fact_order_reconciliation (match_status, order_at);
+
+create index if not exists order_recon_loop_idx
+  on ops.fact_order_reconciliation (loop_order_id);
+
+create index if not exists order_recon_shopify_idx
+  on ops.fact_order_reconciliation (shopify_order_id);
+
+-- Deltas are loop - shopify. Returns the number of rows written for [p_from, p_to).
+create or replace function ops.reconcile_orders(
+  p_from timestamptz,
+  p_to timestamptz,
+  p_tolerance numeric default 0.05,
+  p_run_id uuid default null
+)
+returns integer
+language plpgsql
+as $$
+declare
+  v_inserted integer;
+begin
+  delete from ops.fact_order_reconciliation
+  where order_at >= p_from
+    and order_at < p_to;
+
+  with loop_window as (
+    select
+      min(coalesce(shopify_created_at, billing_at)) as min_at,
+      max(coalesce(shopify_created_at, billing_at)) as max_at
+    from ops.fact_loop_orders
+  ),
+  shop as (
+    select
+      o.order_id,
+      coalesce(o.created_at_shopify, o.processed_at) as order_at,
+      o.currency,
+      o.financial_status,
+      coalesce(o.total_price, nullif(o.raw->>'total_price', '')::numeric) as total_price,
+      coalesce(o.total_tax, nullif(o.raw->>'total_tax', '')::numeric, li.tax) as total_tax,
+      coalesce(o.total_discounts, nullif(o.raw->>'total_discounts', '')::numeric, li.discount) as total_discount,
+      coalesce(o.total_line_items_price, nullif(o.raw->>'total_line_items_price', '')::numeric, li.gross) as line_items_price,
+      -- Raw evidence only: attribution marks in-window orders without a Loop order as
+      -- one-time (loop_absent), so is_subscription would hide the orders missing_in_loop is for
+      coalesce(li.has_selling_plan, false) or ops.is_subscription_from_tags(o.tags) as has_subscription
+    from ops.fact_shopify_orders o
+    left join lateral (
+      select
+        sum(l.tax_amount) as tax,
+        sum(l.discount_amount) as discount,
+        sum(l.gross_item_revenue) as gross,
+        bool_or(l.selling_plan_id is not null) as has_selling_plan
+      from ops.fact_shopify_order_line_items l
+      where l.order_id = o.order_id
+    ) li on true
+    where not o.is_test
+  ),
+  pairs as (
+    select
+      lo.loop_order_id,
+      coalesce(s.order_id, lo.shopify_order_id) as shopify_order_id,
+      coalesce(s.order_at, lo.shopify_created_at, lo.billing_at) as order_at,
+      lo.loop_order_id is not null as has_loop,
+      s.order_id is not null as has_shopify,
+      s.has_subscription,
+      s.order_at between w.min_at and w.max_at as in_loop_window,
+
+      lo.currency_code as loop_currency,
+      s.currency as shopify_currency,
+      lo.total_price as loop_total_price,
+      s.total_price as shopify_total_price,
+      lo.total_tax as loop_total_tax,
+      s.total_tax as shopify_total_tax,
+      lo.total_discount as loop_total_discount,
+      s.total_discount as shopify_total_discount,
+      lo.total_line_items_price as loop_line_items_price,
+      s.line_items_price as shopify_line_items_price,
+      lo.financial_status as loop_financial_status,
+      s.financial_status as shopify_financial_status
+    from ops.fact_loop_orders lo
+    full join shop s
+      on s.order_id = lo.shopify_order_id
+    cross join loop_window w
+  ),
+  compared as (
+    select
+      p.*,
+      p.loop_total_price - p.shopify_total_price as total_price_delta,
+      p.loop_total_tax - p.shopify_total_tax as total_tax_delta,
+      p.loop_total_discount - p.shopify_total_discount as total_discount_delta,
+      p.loop_line_items_price - p.shopify_line_items_price as line_items_price_delta,
+      array_remove(array[
+        case when upper(p.loop_currency) is distinct from upper(p.shopify_currency)
+              and p.loop_currency is not null and p.shopify_currency is not null then 'currency' end,
+        case when abs(p.loop_total_price - p.shopify_total_price) > p_tolerance then 'total_price' end,
+        case when abs(p.loop_total_tax - p.shopify_total_tax) > p_tolerance then 'total_tax' end,
+        case when abs(p.loop_total_discount - p.shopify_total_discount) > p_tolerance then 'total_discount' end,
+        case when abs(p.loop_line_items_price - p.shopify_line_items_price) > p_tolerance then 'line_items_price' end,
+        case when lower(p.loop_financial_status) is distinct from lower(p.shopify_financial_status)
+              and p.loop_financial_status is not null and p.shopify_financial_status is not null then 'financial_status' end
+      ], null) as reasons
+    from pairs p
+    where p.order_at >= p_from
+      and p.order_at < p_to
+      and (p.has_loop or (p.has_subscription and p.in_loop_window))
+  )
+  insert into ops.fact_order_reconciliation
+    (loop_order_id, shopify_order_id, order_at,
+     match_status, mismatch_reasons,
+     loop_currency, shopify_currency,
+     loop_total_price, shopify_total_price, total_price_delta,
+     loop_total_tax, shopify_total_tax, total_tax_delta,
+     loop_total_discount, shopify_total_discount, total_discount_delta,
+     loop_line_items_price, shopify_line_items_price, line_items_price_delta,
+     loop_financial_status, shopify_financial_status,
+     tolerance, run_id)
+  select
+    c.loop_order_id,
+    c.shopify_order_id,
+    c.order_at,
+    case
+      when not c.has_shopify then 'missing_in_shopify'
+      when not c.has_loop then 'missing_in_loop'
+      when cardinality(c.reasons) > 0 then 'mismatch'
+      else 'matched'
+    end,
+    case
+      when not c.has_shopify and c.shopify_order_id is null then array['no_shopify_order_id']
+      when not c.has_shopify then array['shopify_order_not_ingested']
+      when not c.has_loop then array['no_loop_order']
+      else c.reasons
+    end,
+    c.loop_currency, c.shopify_currency,
+    c.loop_total_price, c.shopify_total_price, c.total_price_delta,
+    c.loop_total_tax, c.shopify_total_tax, c.total_tax_delta,
+    c.loop_total_discount, c.shopify_total_discount, c.total_discount_delta,
+    c.loop_line_items_price, c.shopify_line_items_price, c.line_items_price_delta,
+    c.loop_financial_status, c.shopify_financial_status,
+    p_tolerance,
+    p_run_id
+  from compared c;
+
+  get diagnostics v_inserted = row_count;
+  return v_inserted;
+end
+$$;
+
+-- Finance summary: one row per order month and match status
+create or replace view ops.v_order_reconciliation_summary as
+select
+  date_trunc('month', order_at)::date as month,
+  match_status,
+  count(*) as orders,
+  sum(loop_total_price) as loop_total_price,
+  sum(shopify_total_price) as shopify_total_price,
+  sum(total_price_delta) as net_total_price_delta,
+  sum(abs(total_price_delta)) as abs_total_price_delta,
+  sum(total_tax_delta) as net_total_tax_delta,
+  sum(total_discount_delta) as net_total_discount_delta,
+  round(
+    count(*)::numeric / nullif(sum(count(*)) over (partition by date_trunc('month', order_at)::date), 0),
+    4
+  ) as share_of_month,
+  max(reconciled_at) as reconciled_at
+from ops.fact_order_reconciliation
+group by 1, 2;
+
+insert into ops.pipeline_sla
+  (pipeline, source, max_age_hours, max_consecutive_failures, stuck_after_minutes, sync_state_key, is_enabled, notes)
+values
+  ('order_reconciliation', 'loop', 26, 1, 30, null, true, 'workflow: daily 03:00 UTC')
+on conflict (pipeline) do nothing;
+
+commit;
@@ -0,0 +1,125 @@
+-- Actual vs forecast demand by supply item and month.
+-- Actual units = Shopify line item quantity x units_per_sku, minus refunded quantity,
+-- both attributed to the order's month. Test and cancelled orders are excluded.
+
+begin;
+
+create or replace view ops.v_actual_demand_supply_item_monthly as
+with orders as (
+  select
+    order_id,
+    date_trunc('month', processed_at)::date as month
+  from ops.fact_shopify_orders
+  where not is_test
+    and cancelled_at is null
+),
+sold as (
+  select
+    m.supply_item_key,
+    o.month,
+    sum(l.quantity * m.units_per_sku)::numeric as units
+  from ops.fact_shopify_order_line_items l
+  join orders o
+    on o.order_id = l.order_id
+  join ops.dim_supply_item_sku_map m
+    on m.sku = l.sku
+  group by m.supply_item_key, o.month
+),
+refunded as (
+  select
+    m.supply_item_key,
+    o.month,
+    sum(r.quantity * m.units_per_sku)::numeric as units
+  from ops.fact_shopify_refund_line_items r
+  join orders o
+    on o.order_id = r.order_id
+  left join ops.fact_shopify_order_line_items l
+    on l.order_id = r.order_id
+   and l.line_item_id = r.line_item_id
+  join ops.dim_supply_item_sku_map m
+    on m.sku = coalesce(r.sku, l.sku)
+  group by m.supply_item_key, o.month
+)
+select
+  coalesce(s.supply_item_key, r.supply_item_key) as supply_item_key,
+  coalesce(s.month, r.month) as month,
+  coalesce(s.units, 0) as gross_units,
+  coalesce(r.units, 0) as refunded_units,
+  coalesce(s.units, 0) - coalesce(r.units, 0) as actual_units
+from sold s
+full join refunded r
+  on r.supply_item_key = s.supply_item_key
+ and r.month = s.month;
+
+
+-- One row per supply item and month up to the current month.
+-- variance = actual - forecast; bias = (forecast - actual) / actual, positive = over-forecast.
+create or replace view ops.v_demand_forecast_variance as
+with current_month as (
+  select date_trunc('month', now())::date as month
+),
+keys as (
+  select supply_item_key, month from ops.v_demand_forecast_supply_item_current
+  union
+  select supply_item_key, month from ops.v_actual_demand_supply_item_monthly
+)
+select
+  k.supply_item_key,
+  k.month,
+  (k.month = cm.month) as is_partial_month,
+  f.demand_units as forecast_units,
+  coalesce(a.gross_units, 0) as gross_units,
+  coalesce(a.refunded_units, 0) as refunded_units,
+  coalesce(a.actual_units, 0) as actual_units,
+  coalesce(a.actual_units, 0) - f.demand_units as variance_units,
+  abs(coalesce(a.actual_units, 0) - f.demand_units) as abs_variance_units,
+  case
+    when coalesce(f.demand_units, 0) = 0 then null
+    else round((coalesce(a.actual_units, 0) - f.demand_units) / f.demand_units, 4)
+  end as variance_pct,
+  case
+    when coalesce(a.actual_units, 0) = 0 then null
+    else round((f.demand_units - a.actual_units) / a.actual_units, 4)
+  end as bias_pct
+from keys k
+cross join current_month cm
+left join ops.v_demand_forecast_supply_item_current f
+  on f.supply_item_key = k.supply_item_key
+ and f.month = k.month
+left join ops.v_actual_demand_supply_item_monthly a
+  on a.supply_item_key = k.supply_item_key
+ and a.month = k.month
+where k.month <= cm.month;
+
+
+-- Forecast accuracy per supply item over the last 6 complete months that have a forecast.
+--   bias_pct        sum(forecast - actual) / sum(actual); positive = forecasting too high
+--   wape            sum(|actual - forecast|) / sum(actual)
+--   tracking_signal sum(forecast - actual) / mean(|actual - forecast|); beyond +/-4 = persistent bias
+create or replace view ops.v_demand_forecast_accuracy as
+select
+  v.supply_item_key,
+  min(v.month) as from_month,
+  max(v.month) as to_month,
+  count(*) as months,
+  sum(v.forecast_units) as forecast_units,
+  sum(v.actual_units) as actual_units,
+  case
+    when sum(v.actual_units) = 0 then null
+    else round(sum(v.forecast_units - v.actual_units) / sum(v.actual_units), 4)
+  end as bias_pct,
+  case
+    when sum(v.actual_units) = 0 then null
+    else round(sum(v.abs_variance_units) / sum(v.actual_units), 4)
+  end as wape,
+  case
+    when avg(v.abs_variance_units) = 0 then null
+    else round(sum(v.forecast_units - v.actual_units) / avg(v.abs_variance_units), 2)
+  end as tracking_signal
+from ops.v_demand_forecast_variance v
+where not v.is_partial_month
+  and v.forecast_units is not null
+  and v.month >= (date_trunc('month', now()) - interval '6 months')::date
+group by v.supply_item_key;
+
+commit;
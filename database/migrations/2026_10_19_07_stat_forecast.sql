@@ -0,0 +1,76 @@
+-- In-repo statistical demand forecasts (scripts/forecast/stat_demand_forecast.js).
+-- Forecast rows land in ops.fact_demand_forecast_supply_item with source 'model' and
+-- their own model_version; rolling-origin backtests land in ops.fact_forecast_backtest.
+
+begin;
+
+alter type ops.data_source add value if not exists 'model';
+
+create table if not exists ops.fact_forecast_backtest (
+  id               bigserial primary key,
+  model_version    text not null,
+  supply_item_key  text not null references ops.dim_supply_item(supply_item_key),
+  origin_month     date not null, -- first forecast month; only history before it was used
+  target_month     date not null,
+  horizon          integer not null check (horizon >= 1), -- 1 = origin month
+  forecast_units   numeric(14,2) not null,
+  actual_units     numeric(14,2) not null,
+  run_id           uuid,
+  created_at       timestamptz not null default now(),
+
+  unique (model_version, supply_item_key, origin_month, target_month)
+);
+
+create index if not exists forecast_backtest_target_idx
+  on ops.fact_forecast_backtest (supply_item_key, target_month);
+
+-- Backtest accuracy per model next to the sheet forecast over the same target months.
+-- The sheet row is not a true backtest (the sheet is edited as months close), so read it as a reference.
+create or replace view ops.v_forecast_model_accuracy as
+with points as (
+  select
+    b.model_version,
+    b.supply_item_key,
+    b.target_month,
+    b.forecast_units,
+    b.actual_units
+  from ops.fact_forecast_backtest b
+
+  union all
+
+  select
+    'sheet_v1' as model_version,
+    v.supply_item_key,
+    v.month as target_month,
+    v.forecast_units,
+    v.actual_units
+  from ops.v_demand_forecast_variance v
+  where v.forecast_units is not null
+    and not v.is_partial_month
+    and exists (
+      select 1
+      from ops.fact_forecast_backtest b
+      where b.supply_item_key = v.supply_item_key
+        and b.target_month = v.month
+    )
+)
+select
+  model_version,
+  supply_item_key,
+  count(distinct target_month) as target_months,
+  count(*) as points,
+  min(target_month) as from_month,
+  max(target_month) as to_month,
+  round(avg(abs(actual_units - forecast_units)), 2) as mae,
+  case
+    when sum(actual_units) = 0 then null
+    else round(sum(abs(actual_units - forecast_units)) / sum(actual_units), 4)
+  end as wape,
+  case
+    when sum(actual_units) = 0 then null
+    else round(sum(forecast_units - actual_units) / sum(actual_units), 4)
+  end as bias_pct
+from points
+group by model_version, supply_item_key;
+
+commit;
@@ -0,0 +1,100 @@
+-- Subscription rebill projection (scripts/forecast/rebill_projection.js).
+-- Active Loop subscriptions are rolled forward from next_billing_at through their billing
+-- interval; each future bill is weighted by the chance the subscription is still active,
+-- using historical monthly churn and pause rates. The script also writes the result to
+-- ops.fact_demand_forecast_supply_item as model_version 'loop_rebill_v1': the sheet's
+-- new customer/renewal units with the projected rebills in place of "Rebills at 80%".
+
+begin;
+
+-- Monthly churn/pause rates over subscriptions active at the start of each month.
+-- Loop keeps only the latest paused_at, so pauses that were later resumed are not counted.
+create or replace view ops.v_loop_subscription_monthly_rates as
+with months as (
+  select generate_series(
+    date_trunc('month', (select min(created_at_loop) from ops.fact_loop_subscriptions)),
+    date_trunc('month', now()) - interval '1 month',
+    interval '1 month'
+  )::date as month
+)
+select
+  m.month,
+  count(s.subscription_id) filter (
+    where s.created_at_loop < m.month
+      and (s.cancelled_at is null or s.cancelled_at >= m.month)
+      and (s.paused_at is null or upper(s.status) <> 'PAUSED' or s.paused_at >= m.month)
+  ) as active_at_start,
+  count(s.subscription_id) filter (
+    where s.cancelled_at >= m.month
+      and s.cancelled_at < (m.month + interval '1 month')
+  ) as cancelled,
+  count(s.subscription_id) filter (
+    where upper(s.status) = 'PAUSED'
+      and s.paused_at >= m.month
+      and s.paused_at < (m.month + interval '1 month')
+  ) as paused
+from months m
+left join ops.fact_loop_subscriptions s
+  on s.created_at_loop < (m.month + interval '1 month')
+group by m.month;
+
+create table if not exists ops.fact_rebill_projection (
+  id                  bigserial primary key,
+  as_of_date          date not null,
+  month               date not null,
+  sku                 text not null references ops.dim_sku(sku),
+  billing_bucket      text not null check (billing_bucket in ('1m','3m','other')), -- billing cadence
+
+  bills               integer not null,
+  scheduled_units     numeric(14,2) not null, -- every active subscription bills on schedule
+  expected_units      numeric(14,2) not null, -- after churn/pause survival
+
+  churn_rate          numeric(8,5) not null,
+  pause_rate          numeric(8,5) not null,
+  run_id              uuid,
+  created_at          timestamptz not null default now(),
+
+  unique (as_of_date, month, sku, billing_bucket)
+);
+
+create index if not exists rebill_projection_month_idx
+  on ops.fact_rebill_projection (as_of_date, month);
+
+-- Latest projection in supply item units, split like the sheet's rebill rows
+create or replace view ops.v_rebill_projection_supply_item_current as
+with latest as (
+  select max(as_of_date) as as_of_date
+  from ops.fact_rebill_projection
+)
+select
+  p.as_of_date,
+  m.supply_item_key,
+  p.month,
+  coalesce(sum(p.expected_units * m.units_per_sku) filter (where p.billing_bucket = '1m'), 0) as rebill_1m_units,
+  coalesce(sum(p.expected_units * m.units_per_sku) filter (where p.billing_bucket = '3m'), 0) as rebill_3m_units,
+  coalesce(sum(p.expected_units * m.units_per_sku) filter (where p.billing_bucket = 'other'), 0) as rebill_other_units,
+  sum(p.expected_units * m.units_per_sku) as rebill_units,
+  sum(p.scheduled_units * m.units_per_sku) as scheduled_units
+from ops.fact_rebill_projection p
+join latest l
+  on l.as_of_date = p.as_of_date
+join ops.dim_supply_item_sku_map m
+  on m.sku = p.sku
+group by p.as_of_date, m.supply_item_key, p.month;
+
+insert into ops.pipeline_sla
+  (pipeline, source, max_age_hours, max_consecutive_failures, stuck_after_minutes, sync_state_key, is_enabled, notes)
+values
+  ('loop_rebill_projection', 'model', 26, 1, 30, null, true, 'workflow: daily 04:30 UTC')
+on conflict (pipeline) do nothing;
+
+-- The weekly statistical forecast (2026_10_19_07_stat_forecast.sql) is registered here: that
+-- migration adds 'model' to ops.data_source, and Postgres rejects a new enum value inside the
+-- transaction that adds it
+insert into ops.pipeline_sla
+  (pipeline, source, max_age_hours, max_consecutive_failures, stuck_after_minutes, sync_state_key, is_enabled, notes)
+values
+  ('stat_demand_forecast', 'model', 170, 1, 60, null, true, 'workflow: Mondays 04:00 UTC')
+on conflict (pipeline) do nothing;
+
+commit;
@@ -0,0 +1,250 @@
+-- Model version registry. The canonical forecast and inbound views read whichever version
+-- is active for their dataset instead of a hardcoded 'sheet_v1'; scripts/db/model_versions.js
+-- promotes and rolls back. Writers register their versions inactive.
+
+begin;
+
+create table if not exists ops.dim_model_version (
+  dataset         text not null check (dataset in ('demand_forecast','inbound_shipments')),
+  model_version   text not null,
+  description     text,
+  is_active       boolean not null default false,
+  created_at      timestamptz not null default now(),
+  activated_at    timestamptz,
+
+  primary key (dataset, model_version)
+);
+
+-- At most one active version per dataset
+create unique index if not exists dim_model_version_active_uidx
+  on ops.dim_model_version (dataset)
+  where is_active;
+
+create table if not exists ops.model_version_history (
+  id                bigserial primary key,
+  dataset           text not null,
+  model_version     text not null,
+  previous_version  text,
+  action            text not null check (action in ('promote','rollback')),
+  note              text,
+  changed_at        timestamptz not null default now()
+);
+
+create index if not exists model_version_history_dataset_idx
+  on ops.model_version_history (dataset, changed_at desc);
+
+
+create or replace function ops.register_model_version(
+  p_dataset text,
+  p_model_version text,
+  p_description text default null
+) returns void
+language sql
+as $$
+  insert into ops.dim_model_version (dataset, model_version, description)
+  values (p_dataset, p_model_version, p_description)
+  on conflict (dataset, model_version) do update set
+    description = coalesce(excluded.description, ops.dim_model_version.description);
+$$;
+
+
+-- Makes p_model_version the active version of p_dataset; returns the version it replaced.
+create or replace function ops.promote_model_version(
+  p_dataset text,
+  p_model_version text,
+  p_note text default null,
+  p_action text default 'promote'
+) returns text
+language plpgsql
+as $$
+declare
+  v_previous text;
+begin
+  -- one promotion per dataset at a time
+  perform 1 from ops.dim_model_version where dataset = p_dataset for update;
+
+  if not exists (
+    select 1 from ops.dim_model_version
+    where dataset = p_dataset and model_version = p_model_version
+  ) then
+    raise exception 'model version % is not registered for dataset %', p_model_version, p_dataset;
+  end if;
+
+  select model_version into v_previous
+  from ops.dim_model_version
+  where dataset = p_dataset and is_active;
+
+  if v_previous = p_model_version then
+    return v_previous;
+  end if;
+
+  update ops.dim_model_version
+  set is_active = false
+  where dataset = p_dataset and is_active;
+
+  update ops.dim_model_version
+  set is_active = true, activated_at = now()
+  where dataset = p_dataset and model_version = p_model_version;
+
+  insert into ops.model_version_history (dataset, model_version, previous_version, action, note)
+  values (p_dataset, p_model_version, v_previous, p_action, p_note);
+
+  return v_previous;
+end;
+$$;
+
+
+-- Re-activates the version that the latest promotion (or rollback) replaced.
+create or replace function ops.rollback_model_version(
+  p_dataset text,
+  p_note text default null
+) returns text
+language plpgsql
+as $$
+declare
+  v_target text;
+begin
+  select previous_version into v_target
+  from ops.model_version_history
+  where dataset = p_dataset
+  order by changed_at desc, id desc
+  limit 1;
+
+  if v_target is null then
+    raise exception 'no earlier version to roll back to for dataset %', p_dataset;
+  end if;
+
+  perform ops.promote_model_version(p_dataset, v_target, p_note, 'rollback');
+  return v_target;
+end;
+$$;
+
+
+-- Register what is already loaded; sheet_v1 stays the active version
+insert into ops.dim_model_version (dataset, model_version, description)
+values
+  ('demand_forecast', 'sheet_v1', 'Google Sheets cashflow & inventory tab'),
+  ('inbound_shipments', 'sheet_v1', 'Google Sheets cashflow & inventory tab')
+on conflict (dataset, model_version) do nothing;
+
+insert into ops.dim_model_version (dataset, model_version)
+select distinct 'demand_forecast', model_version
+from ops.fact_demand_forecast_supply_item
+on conflict (dataset, model_version) do nothing;
+
+insert into ops.dim_model_version (dataset, model_version)
+select distinct 'inbound_shipments', model_version
+from ops.fact_inbound_shipments_supply_item
+on conflict (dataset, model_version) do nothing;
+
+update ops.dim_model_version
+set is_active = true, activated_at = now()
+where model_version = 'sheet_v1'
+  and not exists (
+    select 1 from ops.dim_model_version a
+    where a.dataset = ops.dim_model_version.dataset and a.is_active
+  );
+
+
+-- Inbound rows of different versions can now coexist under the same sheet_row_key
+alter table ops.fact_inbound_shipments_supply_item
+  drop constraint if exists fact_inbound_shipments_supply_item_source_sheet_row_key_key;
+
+alter table ops.fact_inbound_shipments_supply_item
+  add constraint fact_inbound_shipments_supply_item_source_version_row_key
+  unique (source, model_version, sheet_row_key);
+
+
+create or replace view ops.v_inbound_supply_item_current as
+select
+  i.supply_item_key,
+  i.arrival_month::date as month,
+  sum(i.quantity)::numeric as inbound_units
+from ops.fact_inbound_shipments_supply_item i
+join ops.dim_model_version mv
+  on mv.dataset = 'inbound_shipments'
+ and mv.model_version = i.model_version
+ and mv.is_active
+group by i.supply_item_key, i.arrival_month;
+
+
+create or replace view ops.v_demand_forecast_supply_item_current as
+select
+  f.supply_item_key,
+  f.month::date as month,
+
+  sum(f.forecast_total_units)::numeric as demand_units,
+  sum(f.forecast_new_customer_units)::numeric as new_customer_units,
+  sum(f.forecast_renewal_units)::numeric as renewal_units,
+  sum(f.forecast_rebill_3m_units)::numeric as rebill_3m_units,
+  sum(f.forecast_rebill_1m_units)::numeric as rebill_1m_units
+
+from ops.fact_demand_forecast_supply_item f
+join ops.dim_model_version mv
+  on mv.dataset = 'demand_forecast'
+ and mv.model_version = f.model_version
+ and mv.is_active
+group by f.supply_item_key, f.month;
+
+
+-- The reference row is now the active version (via v_demand_forecast_variance); it is
+-- left out when the active version is a backtested model, which already has its own rows.
+create or replace view ops.v_forecast_model_accuracy as
+with active as (
+  select model_version
+  from ops.dim_model_version
+  where dataset = 'demand_forecast' and is_active
+),
+points as (
+  select
+    b.model_version,
+    b.supply_item_key,
+    b.target_month,
+    b.forecast_units,
+    b.actual_units
+  from ops.fact_forecast_backtest b
+
+  union all
+
+  select
+    a.model_version,
+    v.supply_item_key,
+    v.month as target_month,
+    v.forecast_units,
+    v.actual_units
+  from ops.v_demand_forecast_variance v
+  cross join active a
+  where v.forecast_units is not null
+    and not v.is_partial_month
+    and exists (
+      select 1
+      from ops.fact_forecast_backtest b
+      where b.supply_item_key = v.supply_item_key
+        and b.target_month = v.month
+    )
+    and not exists (
+      select 1
+      from ops.fact_forecast_backtest b
+      where b.model_version = a.model_version
+    )
+)
+select
+  model_version,
+  supply_item_key,
+  count(distinct target_month) as target_months,
+  count(*) as points,
+  min(target_month) as from_month,
+  max(target_month) as to_month,
+  round(avg(abs(actual_units - forecast_units)), 2) as mae,
+  case
+    when sum(actual_units) = 0 then null
+    else round(sum(abs(actual_units - forecast_units)) / sum(actual_units), 4)
+  end as wape,
+  case
+    when sum(actual_units) = 0 then null
+    else round(sum(forecast_units - actual_units) / sum(actual_units), 4)
+  end as bias_pct
+from points
+group by model_version, supply_item_key;
+
+commit;
@@ -0,0 +1,294 @@
+-- Scenario planning for the walk-forward inventory projection.
+-- A scenario is a named set of overrides on the active demand/inbound versions and the
+-- reorder rules. ops.walkforward_scenarios() walks every requested scenario next to the
+-- unmodified 'base' projection (same inputs as ops.v_ops_briefing_walkforward_current).
+--
+-- Override types (value):
+--   demand_pct            demand +/- percent, e.g. 20 = +20%
+--   inbound_pct           inbound quantity +/- percent, e.g. -50 = half the batch
+--   inbound_delay_months  shift arrivals by whole months, e.g. 1 = one month later, -1 = earlier
+--   lead_time_months      replaces the reorder rule's lead time
+-- supply_item_key null = every supply item. month_from/month_to bound the demand month or
+-- the original arrival month. batch_name limits inbound overrides to one batch.
+
+begin;
+
+create table if not exists ops.dim_scenario (
+  scenario_key   text primary key check (scenario_key <> 'base'),
+  description    text,
+  is_active      boolean not null default true, -- included when no scenarios are requested
+  created_at     timestamptz not null default now(),
+  updated_at     timestamptz not null default now()
+);
+
+create table if not exists ops.fact_scenario_override (
+  id               bigserial primary key,
+  scenario_key     text not null references ops.dim_scenario(scenario_key) on delete cascade,
+  supply_item_key  text references ops.dim_supply_item(supply_item_key),
+  override_type    text not null check (override_type in (
+                     'demand_pct', 'inbound_pct', 'inbound_delay_months', 'lead_time_months'
+                   )),
+  value            numeric(12,4) not null,
+  month_from       date,
+  month_to         date,
+  batch_name       text,
+  note             text,
+  created_at       timestamptz not null default now(),
+
+  check (override_type <> 'inbound_delay_months' or value = trunc(value)),
+  check (override_type <> 'lead_time_months' or value >= 0),
+  check (batch_name is null or override_type in ('inbound_pct', 'inbound_delay_months'))
+);
+
+create index if not exists scenario_override_scenario_idx
+  on ops.fact_scenario_override (scenario_key);
+
+
+-- p_scenarios null = 'base' plus every active scenario; otherwise exactly those listed
+-- (include 'base' to get the baseline). Stacked demand/inbound overrides add up; for lead
+-- time an item-specific override beats an all-items one, then the latest wins.
+create or replace function ops.walkforward_scenarios(
+  p_scenarios text[] default null,
+  p_horizon_months integer default 6
+) returns table (
+  scenario_key      text,
+  supply_item_key   text,
+  month             date,
+  opening_balance   numeric,
+  inbound_units     numeric,
+  demand_units      numeric,
+  closing_balance   numeric,
+  month_status      text,
+  stockout_month    date,
+  lead_time_months  numeric,
+  order_by_month    date
+)
+language sql
+stable
+as $$
+  with latest as (
+    select max(snapshot_date) as snapshot_date
+    from ops.fact_inventory_snapshot
+  ),
+  anchor as (
+    select date_trunc('month', snapshot_date)::date as anchor_month
+    from latest
+  ),
+  months as (
+    select generate_series(
+      a.anchor_month,
+      (a.anchor_month + make_interval(months => p_horizon_months - 1))::date,
+      interval '1 month'
+    )::date as month
+    from anchor a
+  ),
+  scenarios as (
+    select 'base'::text as scenario_key
+    where p_scenarios is null or 'base' = any(p_scenarios)
+
+    union all
+
+    select s.scenario_key
+    from ops.dim_scenario s
+    where (p_scenarios is null and s.is_active)
+       or s.scenario_key = any(p_scenarios)
+  ),
+  overrides as (
+    select o.*
+    from ops.fact_scenario_override o
+    join scenarios s
+      on s.scenario_key = o.scenario_key
+  ),
+  inventory as (
+    select v.supply_item_key, v.units_on_hand
+    from ops.v_inventory_latest_snapshot v
+    join latest l
+      on v.snapshot_date = l.snapshot_date
+  ),
+  demand as (
+    select
+      s.scenario_key,
+      d.supply_item_key,
+      d.month,
+      d.demand_units * (1 + coalesce(x.pct, 0) / 100) as demand_units
+    from scenarios s
+    cross join ops.v_demand_forecast_supply_item_current d
+    left join lateral (
+      select sum(o.value) as pct
+      from overrides o
+      where o.scenario_key = s.scenario_key
+        and o.override_type = 'demand_pct'
+        and (o.supply_item_key is null or o.supply_item_key = d.supply_item_key)
+        and (o.month_from is null or d.month >= o.month_from)
+        and (o.month_to is null or d.month <= o.month_to)
+    ) x on true
+  ),
+  -- Batch-level rows so a single batch can be delayed; arrivals before the anchor month
+  -- are already in the snapshot and stay out even if a delay would move them forward.
+  inbound_rows as (
+    select i.supply_item_key, i.arrival_month, i.batch_name, i.quantity
+    from ops.fact_inbound_shipments_supply_item i
+    join ops.dim_model_version mv
+      on mv.dataset = 'inbound_shipments'
+     and mv.model_version = i.model_version
+     and mv.is_active
+    cross join anchor a
+    where i.arrival_month >= a.anchor_month
+  ),
+  inbound as (
+    select
+      s.scenario_key,
+      i.supply_item_key,
+      (i.arrival_month + make_interval(months => coalesce(x.delay, 0)::int))::date as month,
+      sum(i.quantity * (1 + coalesce(x.pct, 0) / 100)) as inbound_units
+    from scenarios s
+    cross join inbound_rows i
+    left join lateral (
+      select
+        sum(o.value) filter (where o.override_type = 'inbound_delay_months') as delay,
+        sum(o.value) filter (where o.override_type = 'inbound_pct') as pct
+      from overrides o
+      where o.scenario_key = s.scenario_key
+        and o.override_type in ('inbound_delay_months', 'inbound_pct')
+        and (o.supply_item_key is null or o.supply_item_key = i.supply_item_key)
+        and (o.batch_name is null or o.batch_name = i.batch_name)
+        and (o.month_from is null or i.arrival_month >= o.month_from)
+        and (o.month_to is null or i.arrival_month <= o.month_to)
+    ) x on true
+    group by 1, 2, 3
+  ),
+  lead_times as (
+    select
+      s.scenario_key,
+      inv.supply_item_key,
+      coalesce(
+        (
+          select o.value
+          from overrides o
+          where o.scenario_key = s.scenario_key
+            and o.override_type = 'lead_time_months'
+            and (o.supply_item_key is null or o.supply_item_key = inv.supply_item_key)
+          order by o.supply_item_key nulls last, o.id desc
+          limit 1
+        ),
+        r.lead_time_months
+      ) as lead_time_months
+    from scenarios s
+    cross join inventory inv
+    left join ops.v_reorder_rules_current r
+      on r.supply_item_key = inv.supply_item_key
+  ),
+  walk as (
+    select
+      s.scenario_key,
+      inv.supply_item_key,
+      m.month,
+      coalesce(i.inbound_units, 0) as inbound_units,
+      coalesce(d.demand_units, 0) as demand_units,
+      inv.units_on_hand + sum(coalesce(i.inbound_units, 0) - coalesce(d.demand_units, 0)) over (
+        partition by s.scenario_key, inv.supply_item_key
+        order by m.month
+      ) as closing_balance
+    from scenarios s
+    cross join inventory inv
+    cross join months m
+    left join demand d
+      on d.scenario_key = s.scenario_key
+     and d.supply_item_key = inv.supply_item_key
+     and d.month = m.month
+    left join inbound i
+      on i.scenario_key = s.scenario_key
+     and i.supply_item_key = inv.supply_item_key
+     and i.month = m.month
+  ),
+  stockouts as (
+    select
+      w.scenario_key,
+      w.supply_item_key,
+      min(w.month) filter (where w.closing_balance < 0) as stockout_month
+    from walk w
+    group by w.scenario_key, w.supply_item_key
+  )
+  select
+    w.scenario_key,
+    w.supply_item_key,
+    w.month,
+    round(w.closing_balance - w.inbound_units + w.demand_units, 0) as opening_balance,
+    round(w.inbound_units, 0) as inbound_units,
+    round(w.demand_units, 0) as demand_units,
+    round(w.closing_balance, 0) as closing_balance,
+    case
+      when w.closing_balance < 0 then 'NEGATIVE'
+      when w.closing_balance = 0 then 'ZERO'
+      else 'POSITIVE'
+    end as month_status,
+    so.stockout_month,
+    lt.lead_time_months,
+    (so.stockout_month - make_interval(months => ceil(lt.lead_time_months)::int))::date as order_by_month
+  from walk w
+  join stockouts so
+    on so.scenario_key = w.scenario_key
+   and so.supply_item_key = w.supply_item_key
+  left join lead_times lt
+    on lt.scenario_key = w.scenario_key
+   and lt.supply_item_key = w.supply_item_key
+  order by w.supply_item_key, w.scenario_key, w.month;
+$$;
+
+
+-- One row per active scenario and supply item, next to the base projection
+create or replace view ops.v_scenario_walkforward_summary as
+with wf as (
+  select * from ops.walkforward_scenarios()
+),
+per_scenario as (
+  select
+    scenario_key,
+    supply_item_key,
+    min(month) as from_month,
+    max(month) as to_month,
+    min(closing_balance) as min_closing_balance,
+    (array_agg(closing_balance order by month desc))[1] as ending_balance,
+    min(stockout_month) as stockout_month,
+    min(lead_time_months) as lead_time_months,
+    min(order_by_month) as order_by_month
+  from wf
+  group by scenario_key, supply_item_key
+)
+select
+  p.scenario_key,
+  p.supply_item_key,
+  p.from_month,
+  p.to_month,
+  p.min_closing_balance,
+  p.ending_balance,
+  p.ending_balance - b.ending_balance as ending_balance_vs_base,
+  p.stockout_month,
+  b.stockout_month as base_stockout_month,
+  p.lead_time_months,
+  p.order_by_month
+from per_scenario p
+left join per_scenario b
+  on b.scenario_key = 'base'
+ and b.supply_item_key = p.supply_item_key;
+
+
+insert into ops.dim_scenario (scenario_key, description)
+values
+  ('demand_plus_20', 'Demand +20% on every supply item'),
+  ('inbound_delay_1m', 'Every inbound shipment arrives one month late')
+on conflict (scenario_key) do nothing;
+
+insert into ops.fact_scenario_override (scenario_key, override_type, value, note)
+select v.scenario_key, v.override_type, v.value, 'seeded example'
+from (
+  values
+    ('demand_plus_20', 'demand_pct', 20::numeric),
+    ('inbound_delay_1m', 'inbound_delay_months', 1::numeric)
+) as v (scenario_key, override_type, value)
+where not exists (
+  select 1 from ops.fact_scenario_override o
+  where o.scenario_key = v.scenario_key
+);
+
+commit;
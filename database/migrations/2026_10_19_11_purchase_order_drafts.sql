@@ -0,0 +1,87 @@
+-- Purchase order recommendations (scripts/planning/purchase_orders.js).
+-- Each run proposes at most one open draft per supply item with the inputs it used;
+-- a changed recommendation supersedes the open draft. Accept/reject is recorded on the
+-- draft so recommendations can be compared with what was actually ordered.
+
+begin;
+
+create table if not exists ops.fact_purchase_order_draft (
+  id                     bigserial primary key,
+  supply_item_key        text not null references ops.dim_supply_item(supply_item_key),
+  status                 text not null default 'proposed'
+                           check (status in ('proposed','accepted','rejected','superseded')),
+
+  -- recommendation
+  recommended_order_date date not null,
+  need_month             date not null,          -- first month closing stock falls below safety stock
+  recommended_qty        integer not null check (recommended_qty > 0),
+  is_overdue             boolean not null default false, -- order date already passed when proposed
+
+  -- reasoning inputs
+  snapshot_date          date,
+  units_on_hand          numeric,
+  avg_monthly_demand     numeric,
+  inbound_units          numeric,                -- inbound inside the projection horizon
+  lead_time_months       numeric(6,2) not null,
+  safety_buffer_months   numeric(6,2) not null,
+  safety_stock_units     numeric not null,
+  cover_months           integer not null,
+  shortfall_units        numeric not null,       -- before rounding to standard_order_qty
+  standard_order_qty     integer,
+  stockout_month         date,                   -- first negative closing balance, if any
+  reasoning              jsonb not null default '{}'::jsonb,
+
+  -- acceptance
+  decided_at             timestamptz,
+  decided_by             text,
+  decision_note          text,
+  accepted_qty           integer check (accepted_qty is null or accepted_qty > 0),
+  po_reference           text,
+
+  run_id                 uuid,
+  created_at             timestamptz not null default now(),
+
+  check ((status in ('accepted','rejected')) = (decided_at is not null))
+);
+
+create unique index if not exists purchase_order_draft_open_uidx
+  on ops.fact_purchase_order_draft (supply_item_key)
+  where status = 'proposed';
+
+create index if not exists purchase_order_draft_item_created_idx
+  on ops.fact_purchase_order_draft (supply_item_key, created_at desc);
+
+
+-- Were recommendations acted on? Superseded drafts count as replaced, not ignored.
+create or replace view ops.v_purchase_order_recommendation_outcomes as
+select
+  supply_item_key,
+  count(*) as drafts,
+  count(*) filter (where status = 'proposed') as open,
+  count(*) filter (where status = 'accepted') as accepted,
+  count(*) filter (where status = 'rejected') as rejected,
+  count(*) filter (where status = 'superseded') as superseded,
+  case
+    when count(*) filter (where status in ('accepted','rejected')) = 0 then null
+    else round(
+      (count(*) filter (where status = 'accepted'))::numeric
+        / count(*) filter (where status in ('accepted','rejected')),
+      4
+    )
+  end as acceptance_rate,
+  round(avg(extract(epoch from (decided_at - created_at)) / 86400) filter (where decided_at is not null), 1)
+    as avg_days_to_decision,
+  sum(recommended_qty) filter (where status = 'accepted') as accepted_recommended_qty,
+  sum(accepted_qty) filter (where status = 'accepted') as accepted_ordered_qty,
+  count(*) filter (where status = 'accepted' and decided_at::date <= recommended_order_date) as accepted_on_time,
+  max(created_at) as last_proposed_at
+from ops.fact_purchase_order_draft
+group by supply_item_key;
+
+insert into ops.pipeline_sla
+  (pipeline, source, max_age_hours, max_consecutive_failures, stuck_after_minutes, sync_state_key, is_enabled, notes)
+values
+  ('purchase_order_recommendations', 'model', 170, 1, 30, null, false, 'run by hand; enable once scheduled (weekly)')
+on conflict (pipeline) do nothing;
+
+commit;
@@ -0,0 +1,305 @@
+-- Inventory movement analytics over the full snapshot history.
+-- Consecutive snapshots are compared per SKU and per supply item; the change that
+-- Shopify orders (and, per supply item, dated inbound receipts) do not explain is the
+-- unexplained adjustment. ops.detect_inventory_jumps flags adjustments that are large
+-- against the item's own history (scripts/monitor/inventory_jumps.js).
+--
+-- A snapshot's time is when its rows were written (max ingested_at), so orders are
+-- matched to the window between two snapshot runs. Orders add to demand when placed and
+-- are assumed restocked when cancelled.
+
+begin;
+
+create index if not exists orders_cancelled_at_idx
+  on ops.fact_shopify_orders (cancelled_at)
+  where cancelled_at is not null;
+
+
+create or replace view ops.v_inventory_sku_daily as
+select
+  s.sku,
+  s.snapshot_date,
+  sum(s.available)::numeric as available,
+  count(*)::int as location_count,
+  max(s.ingested_at) as snapshot_at
+from ops.fact_inventory_snapshot s
+group by s.sku, s.snapshot_date;
+
+
+-- Units taken (placed) and returned (cancelled) by non-test orders, per SKU and timestamp
+create or replace view ops.v_inventory_order_events as
+select li.sku, o.processed_at as event_at, li.quantity::numeric as ordered_units, 0::numeric as cancelled_units
+from ops.fact_shopify_orders o
+join ops.fact_shopify_order_line_items li
+  on li.order_id = o.order_id
+where not o.is_test
+union all
+select li.sku, o.cancelled_at, 0, li.quantity::numeric
+from ops.fact_shopify_orders o
+join ops.fact_shopify_order_line_items li
+  on li.order_id = o.order_id
+where not o.is_test
+  and o.cancelled_at is not null;
+
+
+create or replace view ops.v_inventory_sku_movement as
+with d as (
+  select
+    sku,
+    snapshot_date,
+    available,
+    location_count,
+    snapshot_at,
+    lag(snapshot_date)  over w as prev_snapshot_date,
+    lag(available)      over w as prev_available,
+    lag(location_count) over w as prev_location_count,
+    lag(snapshot_at)    over w as prev_snapshot_at
+  from ops.v_inventory_sku_daily
+  window w as (partition by sku order by snapshot_date)
+),
+orders as (
+  select
+    d.sku,
+    d.snapshot_date,
+    sum(e.ordered_units) as ordered_units,
+    sum(e.cancelled_units) as cancelled_units
+  from d
+  join ops.v_inventory_order_events e
+    on e.sku = d.sku
+   and e.event_at > d.prev_snapshot_at
+   and e.event_at <= d.snapshot_at
+  group by d.sku, d.snapshot_date
+)
+select
+  d.sku,
+  d.snapshot_date,
+  d.prev_snapshot_date,
+  d.snapshot_date - d.prev_snapshot_date as days_between,
+  d.prev_available,
+  d.available,
+  d.available - d.prev_available as change,
+  coalesce(o.ordered_units, 0) as ordered_units,
+  coalesce(o.cancelled_units, 0) as cancelled_units,
+  coalesce(o.ordered_units, 0) - coalesce(o.cancelled_units, 0) as order_units,
+  d.prev_available - d.available as implied_sell_through,
+  -- > 0: more stock than orders explain (count gain, receipt); < 0: shrinkage or miscount
+  (d.available - d.prev_available) + coalesce(o.ordered_units, 0) - coalesce(o.cancelled_units, 0)
+    as unexplained_adjustment,
+  d.location_count,
+  d.prev_location_count
+from d
+left join orders o
+  on o.sku = d.sku
+ and o.snapshot_date = d.snapshot_date
+where d.prev_snapshot_date is not null;
+
+
+-- Supply item grain: SKU units scaled by units_per_sku, plus inbound receipts with an
+-- arrival_date (active inbound version). Receipts dated on a snapshot day count toward it.
+create or replace view ops.v_inventory_supply_item_movement as
+with daily as (
+  select
+    m.supply_item_key,
+    s.snapshot_date,
+    sum(s.available * m.units_per_sku)::numeric as units,
+    count(distinct s.location_id)::int as location_count,
+    max(s.ingested_at) as snapshot_at
+  from ops.fact_inventory_snapshot s
+  join ops.dim_supply_item_sku_map m
+    on m.sku = s.sku
+  group by m.supply_item_key, s.snapshot_date
+),
+d as (
+  select
+    daily.*,
+    lag(snapshot_date)  over w as prev_snapshot_date,
+    lag(units)          over w as prev_units,
+    lag(location_count) over w as prev_location_count,
+    lag(snapshot_at)    over w as prev_snapshot_at
+  from daily
+  window w as (partition by supply_item_key order by snapshot_date)
+),
+orders as (
+  select
+    d.supply_item_key,
+    d.snapshot_date,
+    sum(e.ordered_units * m.units_per_sku) as ordered_units,
+    sum(e.cancelled_units * m.units_per_sku) as cancelled_units
+  from d
+  join ops.dim_supply_item_sku_map m
+    on m.supply_item_key = d.supply_item_key
+  join ops.v_inventory_order_events e
+    on e.sku = m.sku
+   and e.event_at > d.prev_snapshot_at
+   and e.event_at <= d.snapshot_at
+  group by d.supply_item_key, d.snapshot_date
+),
+receipts as (
+  select
+    d.supply_item_key,
+    d.snapshot_date,
+    sum(i.quantity)::numeric as inbound_units
+  from d
+  join ops.fact_inbound_shipments_supply_item i
+    on i.supply_item_key = d.supply_item_key
+   and i.arrival_date > d.prev_snapshot_date
+   and i.arrival_date <= d.snapshot_date
+  join ops.dim_model_version mv
+    on mv.dataset = 'inbound_shipments'
+   and mv.model_version = i.model_version
+   and mv.is_active
+  group by d.supply_item_key, d.snapshot_date
+)
+select
+  d.supply_item_key,
+  d.snapshot_date,
+  d.prev_snapshot_date,
+  d.snapshot_date - d.prev_snapshot_date as days_between,
+  d.prev_units,
+  d.units,
+  d.units - d.prev_units as change,
+  coalesce(o.ordered_units, 0) as ordered_units,
+  coalesce(o.cancelled_units, 0) as cancelled_units,
+  coalesce(o.ordered_units, 0) - coalesce(o.cancelled_units, 0) as order_units,
+  coalesce(r.inbound_units, 0) as inbound_units,
+  d.prev_units + coalesce(r.inbound_units, 0) - d.units as implied_sell_through,
+  (d.units - d.prev_units) - coalesce(r.inbound_units, 0)
+    + coalesce(o.ordered_units, 0) - coalesce(o.cancelled_units, 0) as unexplained_adjustment,
+  d.location_count,
+  d.prev_location_count
+from d
+left join orders o
+  on o.supply_item_key = d.supply_item_key
+ and o.snapshot_date = d.snapshot_date
+left join receipts r
+  on r.supply_item_key = d.supply_item_key
+ and r.snapshot_date = d.snapshot_date
+where d.prev_snapshot_date is not null;
+
+
+-- Suspicious jumps per supply item since p_since. A movement is flagged when its
+-- unexplained adjustment is at least
+--   greatest(p_min_units, p_demand_multiple × trailing avg daily order units × days_between)
+-- and, once the item has p_min_history earlier movements, its per-day value is more than
+-- p_z standard deviations from the trailing p_baseline_movements mean.
+--
+-- kind: location_change (a location appeared/disappeared), probable_receipt (a gain no
+-- larger than the undated inbound planned for this or the previous month), count_gain,
+-- shrinkage.
+create or replace function ops.detect_inventory_jumps(
+  p_since                date default (current_date - 7),
+  p_min_units            numeric default 25,
+  p_demand_multiple      numeric default 2,
+  p_z                    numeric default 3,
+  p_baseline_movements   int default 28,
+  p_min_history          int default 7
+)
+returns table (
+  supply_item_key             text,
+  snapshot_date               date,
+  prev_snapshot_date          date,
+  days_between                int,
+  prev_units                  numeric,
+  units                       numeric,
+  change                      numeric,
+  order_units                 numeric,
+  inbound_units               numeric,
+  unexplained_adjustment      numeric,
+  baseline_daily_order_units  numeric,
+  baseline_mean_per_day       numeric,
+  baseline_stddev_per_day     numeric,
+  z_score                     numeric,
+  threshold_units             numeric,
+  kind                        text
+)
+language sql
+stable
+as $$
+  with m as (
+    select
+      v.*,
+      v.unexplained_adjustment / v.days_between as unexplained_per_day,
+      v.order_units / v.days_between as order_units_per_day
+    from ops.v_inventory_supply_item_movement v
+  ),
+  b as (
+    select
+      m.*,
+      count(*)                        over w as history,
+      avg(m.unexplained_per_day)      over w as mean_per_day,
+      stddev_samp(m.unexplained_per_day) over w as stddev_per_day,
+      avg(m.order_units_per_day)      over w as daily_order_units
+    from m
+    window w as (
+      partition by m.supply_item_key
+      order by m.snapshot_date
+      rows between p_baseline_movements preceding and 1 preceding
+    )
+  ),
+  planned as (
+    select
+      i.supply_item_key,
+      i.arrival_month,
+      sum(i.quantity)::numeric as planned_units
+    from ops.fact_inbound_shipments_supply_item i
+    join ops.dim_model_version mv
+      on mv.dataset = 'inbound_shipments'
+     and mv.model_version = i.model_version
+     and mv.is_active
+    where i.arrival_date is null
+    group by i.supply_item_key, i.arrival_month
+  ),
+  scored as (
+    select
+      b.*,
+      greatest(p_min_units, p_demand_multiple * coalesce(b.daily_order_units, 0) * b.days_between) as threshold,
+      case
+        when b.history >= p_min_history and b.stddev_per_day > 0
+          then (b.unexplained_per_day - b.mean_per_day) / b.stddev_per_day
+      end as z,
+      (
+        select sum(p.planned_units)
+        from planned p
+        where p.supply_item_key = b.supply_item_key
+          and p.arrival_month between (date_trunc('month', b.snapshot_date) - interval '1 month')::date
+                                  and date_trunc('month', b.snapshot_date)::date
+      ) as planned_inbound_units
+    from b
+  )
+  select
+    s.supply_item_key,
+    s.snapshot_date,
+    s.prev_snapshot_date,
+    s.days_between,
+    s.prev_units,
+    s.units,
+    s.change,
+    s.order_units,
+    s.inbound_units,
+    s.unexplained_adjustment,
+    round(s.daily_order_units, 2),
+    round(s.mean_per_day, 2),
+    round(s.stddev_per_day, 2),
+    round(s.z, 2),
+    round(s.threshold, 2),
+    case
+      when s.location_count <> s.prev_location_count then 'location_change'
+      when s.unexplained_adjustment > 0
+           and s.unexplained_adjustment <= coalesce(s.planned_inbound_units, 0) then 'probable_receipt'
+      when s.unexplained_adjustment > 0 then 'count_gain'
+      else 'shrinkage'
+    end
+  from scored s
+  where s.snapshot_date >= p_since
+    and abs(s.unexplained_adjustment) >= s.threshold
+    and (s.z is null or abs(s.z) >= p_z)
+  order by s.snapshot_date, s.supply_item_key;
+$$;
+
+insert into ops.pipeline_sla
+  (pipeline, source, max_age_hours, max_consecutive_failures, stuck_after_minutes, sync_state_key, is_enabled, notes)
+values
+  ('inventory_jumps', 'shopify', 26, 1, 30, null, true, 'workflow: daily 02:00 UTC, after the inventory snapshot')
+on conflict (pipeline) do nothing;
+
+commit;
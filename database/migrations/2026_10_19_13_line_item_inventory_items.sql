@@ -0,0 +1,105 @@
+-- Inventory item ids on order line items and inventory snapshots, so line items join
+-- straight to inventory levels (shopify_inventory_item_id on both sides).
+--
+-- REST order payloads do not carry inventory_item_id. ops.resolve_line_item_inventory_items
+-- fills it, per line item, from:
+--   1. ops.dim_sku by shopify_variant_id  (product sync attributes)
+--   2. ops.shopify_variant_inventory_items (Admin API variant lookups, see
+--      scripts/lib/shopifyInventoryItems.js)
+--   3. ops.dim_sku by sku
+-- Only null values are filled; a variant's inventory item never changes.
+
+begin;
+
+-- One row per variant looked up through the Admin API. status 'not_found' (deleted variant)
+-- is kept so the lookup is not repeated.
+create table if not exists ops.shopify_variant_inventory_items (
+  shopify_variant_id  bigint primary key,
+  inventory_item_id   bigint,
+  sku                 text,
+  status              text not null check (status in ('found', 'not_found')),
+  looked_up_at        timestamptz not null default now()
+);
+
+create index if not exists line_items_inventory_item_idx
+  on ops.fact_shopify_order_line_items (shopify_inventory_item_id);
+
+
+alter table ops.fact_inventory_snapshot
+  add column if not exists shopify_inventory_item_id bigint;
+
+update ops.fact_inventory_snapshot
+set shopify_inventory_item_id = (raw->>'inventory_item_id')::bigint
+where shopify_inventory_item_id is null
+  and raw->>'inventory_item_id' ~ '^\d+$';
+
+create index if not exists inv_snapshot_inventory_item_date_idx
+  on ops.fact_inventory_snapshot (shopify_inventory_item_id, snapshot_date desc);
+
+create or replace view ops.v_latest_inventory as
+select distinct on (sku, location_id)
+  sku,
+  location_id,
+  location_name,
+  snapshot_date,
+  available,
+  ingested_at,
+  shopify_inventory_item_id
+from ops.fact_inventory_snapshot
+order by sku, location_id, snapshot_date desc, ingested_at desc;
+
+
+-- p_order_ids null = every order. Returns the number of line items filled.
+create or replace function ops.resolve_line_item_inventory_items(p_order_ids bigint[] default null)
+returns integer
+language plpgsql
+as $$
+declare
+  v_updated integer;
+begin
+  with sku_items as (
+    select
+      d.sku,
+      d.shopify_variant_id,
+      d.updated_at,
+      coalesce(
+        nullif(d.attributes->>'inventory_item_id', ''),
+        nullif(d.attributes->>'shopify_inventory_item_id', '')
+      )::bigint as inventory_item_id
+    from ops.dim_sku d
+  ),
+  by_variant as (
+    select distinct on (s.shopify_variant_id)
+      s.shopify_variant_id,
+      s.inventory_item_id
+    from sku_items s
+    where s.shopify_variant_id is not null
+      and s.inventory_item_id is not null
+    order by s.shopify_variant_id, s.updated_at desc
+  ),
+  resolved as (
+    select
+      l.id,
+      coalesce(v.inventory_item_id, c.inventory_item_id, s.inventory_item_id) as inventory_item_id
+    from ops.fact_shopify_order_line_items l
+    left join by_variant v
+      on v.shopify_variant_id = l.shopify_variant_id
+    left join ops.shopify_variant_inventory_items c
+      on c.shopify_variant_id = l.shopify_variant_id
+    left join sku_items s
+      on s.sku = l.sku
+    where l.shopify_inventory_item_id is null
+      and (p_order_ids is null or l.order_id = any(p_order_ids))
+  )
+  update ops.fact_shopify_order_line_items l
+  set shopify_inventory_item_id = r.inventory_item_id
+  from resolved r
+  where l.id = r.id
+    and r.inventory_item_id is not null;
+
+  get diagnostics v_updated = row_count;
+  return v_updated;
+end
+$$;
+
+commit;
@@ -0,0 +1,339 @@
+-- Customer dimension and monthly cohort analytics.
+--
+-- ops.dim_customer holds Shopify customers (scripts/shopify/shopify_sync_customers.js) plus
+-- any customer id seen on orders or Loop subscriptions/orders, with the Loop customer id and
+-- first-order fields filled by ops.refresh_dim_customer.
+--
+-- Cohorts are computed live from orders: a customer's cohort is the month of their first
+-- non-test, non-cancelled order, and their acquisition channel comes from that order's tags
+-- (first matching ops.dim_acquisition_channel_rule, else 'untagged'). Revenue is order
+-- total_price less refunds, in shop currency.
+
+begin;
+
+create table if not exists ops.dim_customer (
+  shopify_customer_id          bigint primary key,
+  loop_customer_id             bigint,
+  email                        text,
+  first_name                   text,
+  last_name                    text,
+  state                        text,        -- enabled | disabled | invited | declined
+  tags                         text[] not null default '{}',
+  accepts_email_marketing      boolean,
+  created_at_shopify           timestamptz,
+  updated_at_shopify           timestamptz,
+
+  -- maintained by ops.refresh_dim_customer
+  first_order_id               bigint,
+  first_order_at               timestamptz,
+  first_order_is_subscription  boolean,
+  acquisition_channel          text,
+
+  source                       ops.data_source not null default 'shopify',
+  raw                          jsonb not null default '{}'::jsonb, -- '{}' until the customer sync sees it
+  ingested_at                  timestamptz not null default now()
+);
+
+create index if not exists dim_customer_loop_idx
+  on ops.dim_customer (loop_customer_id);
+
+create index if not exists dim_customer_first_order_idx
+  on ops.dim_customer (first_order_at);
+
+create index if not exists shopify_orders_customer_idx
+  on ops.fact_shopify_orders (customer_id);
+
+
+-- Order tag patterns (ILIKE) -> acquisition channel; lowest priority wins
+create table if not exists ops.dim_acquisition_channel_rule (
+  tag_pattern   text primary key,
+  channel       text not null,
+  priority      integer not null default 100,
+  updated_at    timestamptz not null default now()
+);
+
+insert into ops.dim_acquisition_channel_rule (tag_pattern, channel, priority)
+values
+  ('%wholesale%',  'wholesale',  10),
+  ('%faire%',      'wholesale',  10),
+  ('%amazon%',     'amazon',     20),
+  ('%tiktok%',     'tiktok',     20),
+  ('%influencer%', 'influencer', 30),
+  ('%affiliate%',  'affiliate',  30)
+on conflict (tag_pattern) do nothing;
+
+
+-- Non-test, non-cancelled orders with a customer, numbered per customer
+create or replace view ops.v_customer_orders as
+with o as (
+  select
+    o.order_id,
+    o.customer_id,
+    coalesce(o.created_at_shopify, o.processed_at) as ordered_at,
+    o.tags,
+    coalesce(o.total_price, nullif(o.raw->>'total_price', '')::numeric, 0) as revenue,
+    coalesce((
+      select sum(r.refund_amount)
+      from ops.fact_shopify_refund_line_items r
+      where r.order_id = o.order_id
+    ), 0) as refunded,
+    exists (
+      select 1
+      from ops.fact_shopify_order_line_items li
+      where li.order_id = o.order_id
+        and li.is_subscription
+    ) as is_subscription
+  from ops.fact_shopify_orders o
+  where o.customer_id is not null
+    and not o.is_test
+    and o.cancelled_at is null
+)
+select
+  o.*,
+  o.revenue - o.refunded as net_revenue,
+  row_number() over (partition by o.customer_id order by o.ordered_at, o.order_id)::int as order_seq
+from o;
+
+
+create or replace view ops.v_customer_first_order as
+select
+  c.customer_id,
+  c.order_id as first_order_id,
+  c.ordered_at as first_order_at,
+  date_trunc('month', c.ordered_at)::date as cohort_month,
+  c.is_subscription as first_order_is_subscription,
+  coalesce((
+    select r.channel
+    from ops.dim_acquisition_channel_rule r
+    join unnest(coalesce(c.tags, '{}'::text[])) as t(tag)
+      on t.tag ilike r.tag_pattern
+    order by r.priority, r.tag_pattern
+    limit 1
+  ), 'untagged') as acquisition_channel
+from ops.v_customer_orders c
+where c.order_seq = 1;
+
+
+-- One row per customer with a first order: lifetime orders/revenue and subscription status.
+-- subscribed = any subscription order or any Loop subscription.
+create or replace view ops.v_customer_summary as
+with agg as (
+  select
+    o.customer_id,
+    count(*)::int as orders,
+    max(o.ordered_at) as last_order_at,
+    sum(o.net_revenue) as net_revenue,
+    bool_or(o.is_subscription) as has_subscription_order,
+    min(o.ordered_at) filter (where o.order_seq = 2) as second_order_at
+  from ops.v_customer_orders o
+  group by o.customer_id
+),
+loop_customers as (
+  select distinct s.shopify_customer_id
+  from ops.fact_loop_subscriptions s
+  where s.shopify_customer_id is not null
+)
+select
+  f.customer_id,
+  f.cohort_month,
+  f.acquisition_channel,
+  f.first_order_id,
+  f.first_order_at,
+  f.first_order_is_subscription,
+  a.second_order_at,
+  a.last_order_at,
+  a.orders,
+  a.net_revenue,
+  a.has_subscription_order,
+  l.shopify_customer_id is not null as has_loop_subscription,
+  a.has_subscription_order or l.shopify_customer_id is not null as subscribed
+from ops.v_customer_first_order f
+join agg a
+  on a.customer_id = f.customer_id
+left join loop_customers l
+  on l.shopify_customer_id = f.customer_id;
+
+
+-- Per cohort month and acquisition channel ('all' = every channel)
+create or replace view ops.v_customer_cohorts as
+select
+  s.cohort_month,
+  coalesce(s.acquisition_channel, 'all') as acquisition_channel,
+  count(*)::int as customers,
+  count(*) filter (where s.orders >= 2)::int as repeat_customers,
+  round(count(*) filter (where s.orders >= 2)::numeric / count(*), 4) as repeat_purchase_rate,
+  count(*) filter (where s.second_order_at < s.first_order_at + interval '90 days')::int as repeat_customers_90d,
+  round(count(*) filter (where s.second_order_at < s.first_order_at + interval '90 days')::numeric / count(*), 4)
+    as repeat_purchase_rate_90d,
+  count(*) filter (where s.first_order_is_subscription)::int as started_on_subscription,
+  count(*) filter (where s.subscribed)::int as subscribed_customers,
+  count(*) filter (where s.subscribed and not s.first_order_is_subscription)::int as converted_to_subscription,
+  -- of customers whose first order was not a subscription, the share who later subscribed
+  round(
+    count(*) filter (where s.subscribed and not s.first_order_is_subscription)::numeric
+      / nullif(count(*) filter (where not s.first_order_is_subscription), 0),
+    4
+  ) as subscription_conversion_rate,
+  sum(s.orders)::int as orders,
+  round(sum(s.orders)::numeric / count(*), 2) as orders_per_customer,
+  sum(s.net_revenue) as net_revenue,
+  round(sum(s.net_revenue) / count(*), 2) as net_revenue_per_customer
+from ops.v_customer_summary s
+group by grouping sets ((s.cohort_month, s.acquisition_channel), (s.cohort_month));
+
+
+-- Retention triangle: per cohort, channel ('all' = every channel) and months since the
+-- cohort month, how many of the cohort ordered and what they spent
+create or replace view ops.v_customer_cohort_retention as
+with activity as (
+  select
+    f.cohort_month,
+    f.acquisition_channel,
+    (
+      (extract(year from o.ordered_at) - extract(year from f.cohort_month)) * 12
+      + extract(month from o.ordered_at) - extract(month from f.cohort_month)
+    )::int as months_since_first,
+    o.customer_id,
+    o.net_revenue
+  from ops.v_customer_orders o
+  join ops.v_customer_first_order f
+    on f.customer_id = o.customer_id
+),
+sizes as (
+  select
+    f.cohort_month,
+    coalesce(f.acquisition_channel, 'all') as acquisition_channel,
+    count(*)::int as cohort_customers
+  from ops.v_customer_first_order f
+  group by grouping sets ((f.cohort_month, f.acquisition_channel), (f.cohort_month))
+),
+months as (
+  select
+    a.cohort_month,
+    coalesce(a.acquisition_channel, 'all') as acquisition_channel,
+    a.months_since_first,
+    count(distinct a.customer_id)::int as active_customers,
+    count(*)::int as orders,
+    sum(a.net_revenue) as net_revenue
+  from activity a
+  group by grouping sets (
+    (a.cohort_month, a.acquisition_channel, a.months_since_first),
+    (a.cohort_month, a.months_since_first)
+  )
+)
+select
+  m.cohort_month,
+  m.acquisition_channel,
+  m.months_since_first,
+  s.cohort_customers,
+  m.active_customers,
+  round(m.active_customers::numeric / s.cohort_customers, 4) as retention_rate,
+  m.orders,
+  m.net_revenue,
+  sum(m.net_revenue) over w as cumulative_net_revenue,
+  round(sum(m.net_revenue) over w / s.cohort_customers, 2) as cumulative_net_revenue_per_customer
+from months m
+join sizes s
+  on s.cohort_month = m.cohort_month
+ and s.acquisition_channel = m.acquisition_channel
+window w as (
+  partition by m.cohort_month, m.acquisition_channel
+  order by m.months_since_first
+);
+
+
+-- Adds customers seen on orders or in Loop that the customer sync hasn't written, then
+-- refreshes loop_customer_id and the first-order fields. p_customer_ids null = everyone.
+-- Returns the number of customers inserted or changed.
+create or replace function ops.refresh_dim_customer(p_customer_ids bigint[] default null)
+returns integer
+language plpgsql
+as $$
+declare
+  v_inserted integer;
+  v_updated integer;
+begin
+  insert into ops.dim_customer (shopify_customer_id, source)
+  select
+    x.customer_id,
+    case when bool_or(x.from_orders) then 'shopify' else 'loop' end::ops.data_source
+  from (
+    select o.customer_id, true as from_orders
+    from ops.fact_shopify_orders o
+    where o.customer_id is not null
+    union all
+    select s.shopify_customer_id, false
+    from ops.fact_loop_subscriptions s
+    where s.shopify_customer_id is not null
+    union all
+    select lo.shopify_customer_id, false
+    from ops.fact_loop_orders lo
+    where lo.shopify_customer_id is not null
+  ) x
+  where p_customer_ids is null
+     or x.customer_id = any(p_customer_ids)
+  group by x.customer_id
+  on conflict (shopify_customer_id) do nothing;
+
+  get diagnostics v_inserted = row_count;
+
+  with loop_ids as (
+    select distinct on (x.shopify_customer_id)
+      x.shopify_customer_id,
+      x.loop_customer_id
+    from (
+      select s.shopify_customer_id, s.loop_customer_id, s.updated_at_loop
+      from ops.fact_loop_subscriptions s
+      union all
+      select lo.shopify_customer_id, lo.loop_customer_id, lo.updated_at_loop
+      from ops.fact_loop_orders lo
+    ) x
+    where x.shopify_customer_id is not null
+      and x.loop_customer_id is not null
+    order by x.shopify_customer_id, x.updated_at_loop desc nulls last
+  ),
+  target as (
+    select
+      c.shopify_customer_id,
+      coalesce(l.loop_customer_id, c.loop_customer_id) as loop_customer_id,
+      f.first_order_id,
+      f.first_order_at,
+      f.first_order_is_subscription,
+      f.acquisition_channel
+    from ops.dim_customer c
+    left join loop_ids l
+      on l.shopify_customer_id = c.shopify_customer_id
+    left join ops.v_customer_first_order f
+      on f.customer_id = c.shopify_customer_id
+    where p_customer_ids is null
+       or c.shopify_customer_id = any(p_customer_ids)
+  )
+  update ops.dim_customer c
+  set loop_customer_id = t.loop_customer_id,
+      first_order_id = t.first_order_id,
+      first_order_at = t.first_order_at,
+      first_order_is_subscription = t.first_order_is_subscription,
+      acquisition_channel = t.acquisition_channel
+  from target t
+  where c.shopify_customer_id = t.shopify_customer_id
+    and (
+      c.loop_customer_id is distinct from t.loop_customer_id
+      or c.first_order_id is distinct from t.first_order_id
+      or c.first_order_at is distinct from t.first_order_at
+      or c.first_order_is_subscription is distinct from t.first_order_is_subscription
+      or c.acquisition_channel is distinct from t.acquisition_channel
+    );
+
+  get diagnostics v_updated = row_count;
+  return v_inserted + v_updated;
+end
+$$;
+
+
+insert into ops.pipeline_sla
+  (pipeline, source, max_age_hours, max_consecutive_failures, stuck_after_minutes, sync_state_key, is_enabled, notes)
+values
+  ('shopify_customers_daily', 'shopify', 26, 1, 60, 'shopify_customers_daily', true, 'workflow: daily 00:00 UTC, after orders')
+on conflict (pipeline) do nothing;
+
+commit;
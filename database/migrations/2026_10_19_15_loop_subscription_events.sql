@@ -0,0 +1,352 @@
+-- Subscription lifecycle events derived from Loop subscription syncs.
+--
+-- The Loop subscription syncs upsert fact_loop_subscriptions in place. Around each page they
+-- capture ops.loop_subscription_states(...) before writing and pass it to
+-- ops.record_loop_subscription_events afterwards, which diffs it against the written rows
+-- and appends to ops.fact_loop_subscription_events:
+--
+--   created           subscription not seen before (event_at = created_at_loop)
+--   paused            status -> PAUSED (paused_at)
+--   resumed           PAUSED -> ACTIVE
+--   cancelled         status -> CANCELLED or EXPIRED (cancelled_at), with the reason
+--   reactivated       CANCELLED/EXPIRED -> ACTIVE
+--   plan_changed      billing interval changed (line_id null), or a line's variant,
+--                     selling plan or SKU changed
+--   quantity_changed  a line's quantity changed; an added or removed line goes from or to 0
+--   price_changed     recurring amount changed with none of the above
+--
+-- One-time add-on lines are ignored. mrr_before / mrr_after are the subscription's monthly
+-- recurring amount (0 unless ACTIVE) before and after the sync that saw the change, so every
+-- event from one sync carries the same pair. Other events use updated_at_loop as event_at.
+--
+-- Subscriptions already ingested get baseline events (derived_from = 'baseline') from their
+-- current row: created, plus paused / cancelled when that is their status.
+
+begin;
+
+-- Recurring amount per billing cycle -> per month. A null interval is taken as MONTH.
+create or replace function ops.to_monthly_amount(
+  p_amount          numeric,
+  p_interval        text,
+  p_interval_count  integer
+)
+returns numeric
+language sql
+immutable
+as $$
+  select round(
+    p_amount
+      * case upper(coalesce(p_interval, 'MONTH'))
+          when 'DAY'   then 365.0 / 12
+          when 'WEEK'  then 52.0 / 12
+          when 'MONTH' then 1
+          when 'YEAR'  then 1.0 / 12
+        end
+      / greatest(coalesce(p_interval_count, 1), 1),
+    2
+  )
+$$;
+
+
+create or replace view ops.v_loop_subscription_state as
+select
+  s.subscription_id,
+  upper(s.status) as status,
+  s.created_at_loop,
+  s.updated_at_loop,
+  s.paused_at,
+  s.cancelled_at,
+  s.cancellation_reason,
+  s.cancellation_comment,
+  upper(s.billing_interval) as billing_interval,
+  s.billing_interval_count,
+  ops.to_monthly_amount(
+    coalesce(s.total_line_item_discounted_price, s.total_line_item_price),
+    s.billing_interval,
+    s.billing_interval_count
+  ) as monthly_amount,
+  case
+    when upper(s.status) = 'ACTIVE'
+      then coalesce(ops.to_monthly_amount(
+        coalesce(s.total_line_item_discounted_price, s.total_line_item_price),
+        s.billing_interval,
+        s.billing_interval_count
+      ), 0)
+    else 0
+  end as mrr,
+  coalesce((
+    select jsonb_object_agg(
+      l.line_id::text,
+      jsonb_build_object(
+        'sku', l.sku,
+        'variant_shopify_id', l.variant_shopify_id,
+        'selling_plan_shopify_id', l.selling_plan_shopify_id,
+        'quantity', l.quantity,
+        'discounted_price', l.discounted_price
+      )
+    )
+    from ops.fact_loop_subscription_lines l
+    where l.subscription_id = s.subscription_id
+      and not coalesce(l.is_one_time_added, false)
+  ), '{}'::jsonb) as lines
+from ops.fact_loop_subscriptions s;
+
+
+create table if not exists ops.fact_loop_subscription_events (
+  id                    bigserial primary key,
+  subscription_id       bigint not null references ops.fact_loop_subscriptions(subscription_id) on delete cascade,
+  event_type            text not null check (event_type in (
+                          'created', 'paused', 'resumed', 'cancelled', 'reactivated',
+                          'plan_changed', 'quantity_changed', 'price_changed'
+                        )),
+  event_at              timestamptz not null,
+  line_id               bigint,                 -- line events only
+  from_status           text,
+  to_status             text,
+  from_value            jsonb,                  -- plan / line before
+  to_value              jsonb,                  -- plan / line after
+  cancellation_reason   text,
+  cancellation_comment  text,
+  mrr_before            numeric(18,2) not null default 0,
+  mrr_after             numeric(18,2) not null default 0,
+  derived_from          text not null default 'diff' check (derived_from in ('diff', 'baseline')),
+  source                ops.data_source not null default 'loop',
+  detected_at           timestamptz not null default now()
+);
+
+create index if not exists loop_sub_events_subscription_idx
+  on ops.fact_loop_subscription_events (subscription_id, event_at);
+
+create index if not exists loop_sub_events_type_idx
+  on ops.fact_loop_subscription_events (event_type, event_at);
+
+
+-- State rows for the given subscriptions, keyed by subscription_id (text)
+create or replace function ops.loop_subscription_states(p_subscription_ids bigint[])
+returns jsonb
+language sql
+stable
+as $$
+  select coalesce(jsonb_object_agg(v.subscription_id::text, to_jsonb(v) - 'subscription_id'), '{}'::jsonb)
+  from ops.v_loop_subscription_state v
+  where v.subscription_id = any(p_subscription_ids)
+$$;
+
+
+-- p_before: ops.loop_subscription_states() taken before the upserts. Returns events added.
+create or replace function ops.record_loop_subscription_events(p_subscription_ids bigint[], p_before jsonb)
+returns integer
+language plpgsql
+as $$
+declare
+  r             record;
+  v_before      jsonb;
+  v_after       jsonb;
+  v_from        text;
+  v_to          text;
+  v_changed_at  timestamptz;
+  v_mrr_before  numeric;
+  v_mrr_after   numeric;
+  v_type        text;
+  v_key         text;
+  v_bl          jsonb;
+  v_al          jsonb;
+  v_count       integer := 0;
+  v_sub_count   integer;
+begin
+  for r in
+    select v.subscription_id, to_jsonb(v) - 'subscription_id' as state
+    from ops.v_loop_subscription_state v
+    where v.subscription_id = any(p_subscription_ids)
+  loop
+    v_before := p_before -> r.subscription_id::text;
+    v_after := r.state;
+    v_to := v_after->>'status';
+    v_changed_at := coalesce((v_after->>'updated_at_loop')::timestamptz, now());
+    v_mrr_before := coalesce((v_before->>'mrr')::numeric, 0);
+    v_mrr_after := coalesce((v_after->>'mrr')::numeric, 0);
+    v_sub_count := 0;
+
+    if v_before is null then
+      insert into ops.fact_loop_subscription_events
+        (subscription_id, event_type, event_at, to_status, mrr_before, mrr_after)
+      values
+        (r.subscription_id, 'created', coalesce((v_after->>'created_at_loop')::timestamptz, v_changed_at),
+         'ACTIVE', v_mrr_before, v_mrr_after);
+      v_sub_count := v_sub_count + 1;
+      -- first seen paused or cancelled: record that too, as a change from active
+      v_from := 'ACTIVE';
+    else
+      v_from := v_before->>'status';
+    end if;
+
+    -- status
+    if v_to is distinct from v_from
+       and not (v_to in ('CANCELLED', 'EXPIRED') and v_from in ('CANCELLED', 'EXPIRED')) then
+      v_type := case
+        when v_to = 'PAUSED' then 'paused'
+        when v_to in ('CANCELLED', 'EXPIRED') then 'cancelled'
+        when v_to = 'ACTIVE' and v_from = 'PAUSED' then 'resumed'
+        when v_to = 'ACTIVE' and v_from in ('CANCELLED', 'EXPIRED') then 'reactivated'
+      end;
+
+      if v_type is not null then
+        insert into ops.fact_loop_subscription_events
+          (subscription_id, event_type, event_at, from_status, to_status,
+           cancellation_reason, cancellation_comment, mrr_before, mrr_after)
+        values (
+          r.subscription_id,
+          v_type,
+          case v_type
+            when 'paused' then coalesce((v_after->>'paused_at')::timestamptz, v_changed_at)
+            when 'cancelled' then coalesce((v_after->>'cancelled_at')::timestamptz, v_changed_at)
+            else v_changed_at
+          end,
+          v_from,
+          v_to,
+          case when v_type = 'cancelled' then v_after->>'cancellation_reason' end,
+          case when v_type = 'cancelled' then v_after->>'cancellation_comment' end,
+          v_mrr_before,
+          v_mrr_after
+        );
+        v_sub_count := v_sub_count + 1;
+      end if;
+    end if;
+
+    if v_before is not null then
+      -- billing cadence
+      if (v_before->>'billing_interval') is distinct from (v_after->>'billing_interval')
+         or (v_before->>'billing_interval_count') is distinct from (v_after->>'billing_interval_count') then
+        insert into ops.fact_loop_subscription_events
+          (subscription_id, event_type, event_at, from_value, to_value, mrr_before, mrr_after)
+        values (
+          r.subscription_id, 'plan_changed', v_changed_at,
+          jsonb_build_object('billing_interval', v_before->'billing_interval',
+                             'billing_interval_count', v_before->'billing_interval_count'),
+          jsonb_build_object('billing_interval', v_after->'billing_interval',
+                             'billing_interval_count', v_after->'billing_interval_count'),
+          v_mrr_before, v_mrr_after
+        );
+        v_sub_count := v_sub_count + 1;
+      end if;
+
+      -- lines
+      for v_key in
+        select k from jsonb_object_keys(coalesce(v_before->'lines', '{}'::jsonb)) as k
+        union
+        select k from jsonb_object_keys(coalesce(v_after->'lines', '{}'::jsonb)) as k
+      loop
+        v_bl := v_before->'lines'->v_key;
+        v_al := v_after->'lines'->v_key;
+
+        if v_bl is not null and v_al is not null
+           and ((v_bl->'variant_shopify_id') is distinct from (v_al->'variant_shopify_id')
+             or (v_bl->'selling_plan_shopify_id') is distinct from (v_al->'selling_plan_shopify_id')
+             or (v_bl->'sku') is distinct from (v_al->'sku')) then
+          insert into ops.fact_loop_subscription_events
+            (subscription_id, event_type, event_at, line_id, from_value, to_value, mrr_before, mrr_after)
+          values (r.subscription_id, 'plan_changed', v_changed_at, v_key::bigint, v_bl, v_al, v_mrr_before, v_mrr_after);
+          v_sub_count := v_sub_count + 1;
+        end if;
+
+        if coalesce((v_bl->>'quantity')::int, 0) <> coalesce((v_al->>'quantity')::int, 0) then
+          insert into ops.fact_loop_subscription_events
+            (subscription_id, event_type, event_at, line_id, from_value, to_value, mrr_before, mrr_after)
+          values (
+            r.subscription_id, 'quantity_changed', v_changed_at, v_key::bigint,
+            coalesce(v_bl, jsonb_build_object('quantity', 0)),
+            coalesce(v_al, jsonb_build_object('quantity', 0)),
+            v_mrr_before, v_mrr_after
+          );
+          v_sub_count := v_sub_count + 1;
+        end if;
+      end loop;
+
+      if v_sub_count = 0
+         and (v_before->>'monthly_amount')::numeric is distinct from (v_after->>'monthly_amount')::numeric then
+        insert into ops.fact_loop_subscription_events
+          (subscription_id, event_type, event_at, from_value, to_value, mrr_before, mrr_after)
+        values (
+          r.subscription_id, 'price_changed', v_changed_at,
+          jsonb_build_object('monthly_amount', v_before->'monthly_amount'),
+          jsonb_build_object('monthly_amount', v_after->'monthly_amount'),
+          v_mrr_before, v_mrr_after
+        );
+        v_sub_count := v_sub_count + 1;
+      end if;
+    end if;
+
+    v_count := v_count + v_sub_count;
+  end loop;
+
+  return v_count;
+end
+$$;
+
+
+-- Baseline for subscriptions ingested before the event log existed
+insert into ops.fact_loop_subscription_events
+  (subscription_id, event_type, event_at, to_status, mrr_before, mrr_after, derived_from)
+select
+  v.subscription_id,
+  'created',
+  coalesce(v.created_at_loop, v.updated_at_loop, now()),
+  'ACTIVE',
+  0,
+  coalesce(v.monthly_amount, 0),
+  'baseline'
+from ops.v_loop_subscription_state v
+where not exists (
+  select 1 from ops.fact_loop_subscription_events e where e.subscription_id = v.subscription_id
+);
+
+insert into ops.fact_loop_subscription_events
+  (subscription_id, event_type, event_at, from_status, to_status,
+   cancellation_reason, cancellation_comment, mrr_before, mrr_after, derived_from)
+select
+  v.subscription_id,
+  case when v.status = 'PAUSED' then 'paused' else 'cancelled' end,
+  coalesce(
+    case when v.status = 'PAUSED' then v.paused_at else v.cancelled_at end,
+    v.updated_at_loop,
+    now()
+  ),
+  'ACTIVE',
+  v.status,
+  case when v.status <> 'PAUSED' then v.cancellation_reason end,
+  case when v.status <> 'PAUSED' then v.cancellation_comment end,
+  coalesce(v.monthly_amount, 0),
+  0,
+  'baseline'
+from ops.v_loop_subscription_state v
+where v.status in ('PAUSED', 'CANCELLED', 'EXPIRED')
+  and not exists (
+    select 1
+    from ops.fact_loop_subscription_events e
+    where e.subscription_id = v.subscription_id
+      and e.event_type <> 'created'
+  );
+
+
+-- Monthly lifecycle counts per event type
+create or replace view ops.v_loop_subscription_events_monthly as
+select
+  date_trunc('month', e.event_at)::date as month,
+  e.event_type,
+  count(*)::int as events,
+  count(distinct e.subscription_id)::int as subscriptions
+from ops.fact_loop_subscription_events e
+group by 1, 2;
+
+
+create or replace view ops.v_loop_cancellation_reasons_monthly as
+select
+  date_trunc('month', e.event_at)::date as month,
+  coalesce(nullif(trim(e.cancellation_reason), ''), 'unspecified') as cancellation_reason,
+  count(*)::int as cancellations,
+  sum(e.mrr_before) as mrr_lost
+from ops.fact_loop_subscription_events e
+where e.event_type = 'cancelled'
+group by 1, 2;
+
+commit;
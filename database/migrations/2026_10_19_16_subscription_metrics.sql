@@ -0,0 +1,391 @@
+-- Subscription KPIs from Loop (scripts/finance/subscription_metrics.js, daily).
+--
+-- ops.fact_subscription_metrics_daily has one row per day and currency. Stock columns
+-- (subscribers, MRR, ARR, ARPU, prepaid deferred revenue) are taken from the subscriptions as
+-- they stand when the job runs, so each day's row is written by that day's run. Movement columns
+-- (new, reactivated, resumed, expansion, contraction, paused, churned MRR) come from
+-- ops.fact_loop_subscription_events and are refreshed for the last few days on every run, so
+-- late syncs still land on the right day.
+--
+-- MRR is the recurring amount per billing cycle normalized to a month
+-- (ops.to_monthly_amount): a 3-month plan counts a third of its bill. Only ACTIVE
+-- subscriptions carry MRR. Amounts are in the subscription's currency.
+
+begin;
+
+-- Length of a billing or delivery cadence in months (same factors as ops.to_monthly_amount)
+create or replace function ops.interval_months(p_interval text, p_interval_count integer)
+returns numeric
+language sql
+immutable
+as $$
+  select greatest(coalesce(p_interval_count, 1), 1)
+    * case upper(coalesce(p_interval, 'MONTH'))
+        when 'DAY'   then 12 / 365.0
+        when 'WEEK'  then 12 / 52.0
+        when 'MONTH' then 1
+        when 'YEAR'  then 12
+      end
+$$;
+
+
+-- Prepaid subscriptions bill several deliveries up front. Deferred revenue is the share of
+-- the current cycle's bill for deliveries not yet shipped: the cycle started one billing
+-- interval before next_billing_at, and one delivery goes out at its start and every
+-- delivery interval after. Active and paused subscriptions with a next billing date only.
+create or replace view ops.v_loop_prepaid_deferred_revenue as
+with subs as (
+  select
+    s.subscription_id,
+    s.currency_code,
+    upper(s.status) as status,
+    s.next_billing_at,
+    coalesce(s.total_line_item_discounted_price, s.total_line_item_price, 0) as cycle_amount,
+    s.next_billing_at - case upper(coalesce(s.billing_interval, 'MONTH'))
+      when 'DAY' then make_interval(days => greatest(coalesce(s.billing_interval_count, 1), 1))
+      when 'WEEK' then make_interval(weeks => greatest(coalesce(s.billing_interval_count, 1), 1))
+      when 'MONTH' then make_interval(months => greatest(coalesce(s.billing_interval_count, 1), 1))
+      when 'YEAR' then make_interval(years => greatest(coalesce(s.billing_interval_count, 1), 1))
+    end as cycle_start_at,
+    case upper(coalesce(s.delivery_interval, s.billing_interval, 'MONTH'))
+      when 'DAY' then make_interval(days => greatest(coalesce(s.delivery_interval_count, s.billing_interval_count, 1), 1))
+      when 'WEEK' then make_interval(weeks => greatest(coalesce(s.delivery_interval_count, s.billing_interval_count, 1), 1))
+      when 'MONTH' then make_interval(months => greatest(coalesce(s.delivery_interval_count, s.billing_interval_count, 1), 1))
+      when 'YEAR' then make_interval(years => greatest(coalesce(s.delivery_interval_count, s.billing_interval_count, 1), 1))
+    end as delivery_every,
+    greatest(1, round(
+      ops.interval_months(s.billing_interval, s.billing_interval_count)
+        / ops.interval_months(coalesce(s.delivery_interval, s.billing_interval),
+                              coalesce(s.delivery_interval_count, s.billing_interval_count))
+    ))::int as deliveries_per_cycle
+  from ops.fact_loop_subscriptions s
+  where s.is_prepaid
+    and upper(s.status) in ('ACTIVE', 'PAUSED')
+    and s.next_billing_at is not null
+),
+progress as (
+  select
+    s.*,
+    least(
+      s.deliveries_per_cycle,
+      greatest(0, floor(
+        extract(epoch from (now() - s.cycle_start_at)) / extract(epoch from s.delivery_every)
+      )::int + 1)
+    ) as deliveries_shipped
+  from subs s
+)
+select
+  p.subscription_id,
+  p.currency_code,
+  p.status,
+  p.cycle_start_at,
+  p.next_billing_at,
+  p.cycle_amount,
+  p.deliveries_per_cycle,
+  p.deliveries_shipped,
+  p.deliveries_per_cycle - p.deliveries_shipped as deliveries_remaining,
+  round(p.cycle_amount * (p.deliveries_per_cycle - p.deliveries_shipped) / p.deliveries_per_cycle, 2)
+    as deferred_revenue
+from progress p;
+
+
+-- One MRR movement per subscription per sync. Events written by the same sync share
+-- detected_at and the mrr_before / mrr_after pair; the movement takes the status event's
+-- type if there is one, else expansion or contraction by the sign of the change. Syncs that
+-- left MRR unchanged are not movements.
+create or replace view ops.v_loop_subscription_mrr_movements as
+with syncs as (
+  select
+    e.subscription_id,
+    e.detected_at,
+    e.mrr_before,
+    e.mrr_after,
+    (array_agg(e.event_type order by
+       array_position(array['cancelled', 'paused', 'reactivated', 'resumed', 'created'], e.event_type),
+       e.id))[1] as event_type,
+    (array_agg(e.event_at order by
+       array_position(array['cancelled', 'paused', 'reactivated', 'resumed', 'created'], e.event_type),
+       e.id))[1] as event_at
+  from ops.fact_loop_subscription_events e
+  group by e.subscription_id, e.detected_at, e.mrr_before, e.mrr_after
+)
+select
+  x.subscription_id,
+  coalesce(s.currency_code, 'unknown') as currency_code,
+  x.event_at,
+  x.event_at::date as movement_date,
+  case
+    when x.event_type = 'created' then 'new'
+    when x.event_type = 'reactivated' then 'reactivated'
+    when x.event_type = 'resumed' then 'resumed'
+    when x.event_type = 'paused' then 'paused'
+    when x.event_type = 'cancelled' then 'churned'
+    when x.mrr_after > x.mrr_before then 'expansion'
+    else 'contraction'
+  end as movement,
+  x.mrr_before,
+  x.mrr_after,
+  x.mrr_after - x.mrr_before as mrr_change
+from syncs x
+join ops.fact_loop_subscriptions s
+  on s.subscription_id = x.subscription_id
+where x.mrr_after <> x.mrr_before;
+
+
+-- Movement totals per day and currency. Losses (contraction, paused, churned) are positive.
+create or replace view ops.v_loop_subscription_mrr_movements_daily as
+select
+  m.movement_date,
+  m.currency_code,
+  count(*) filter (where m.movement = 'new')::int as new_subscribers,
+  count(*) filter (where m.movement = 'reactivated')::int as reactivated_subscribers,
+  count(*) filter (where m.movement = 'churned')::int as churned_subscribers,
+  coalesce(sum(m.mrr_change) filter (where m.movement = 'new'), 0) as new_mrr,
+  coalesce(sum(m.mrr_change) filter (where m.movement = 'reactivated'), 0) as reactivated_mrr,
+  coalesce(sum(m.mrr_change) filter (where m.movement = 'resumed'), 0) as resumed_mrr,
+  coalesce(sum(m.mrr_change) filter (where m.movement = 'expansion'), 0) as expansion_mrr,
+  coalesce(-sum(m.mrr_change) filter (where m.movement = 'contraction'), 0) as contraction_mrr,
+  coalesce(-sum(m.mrr_change) filter (where m.movement = 'paused'), 0) as paused_mrr,
+  coalesce(-sum(m.mrr_change) filter (where m.movement = 'churned'), 0) as churned_mrr,
+  sum(m.mrr_change) as net_new_mrr
+from ops.v_loop_subscription_mrr_movements m
+group by 1, 2;
+
+
+create table if not exists ops.fact_subscription_metrics_daily (
+  metric_date               date not null,
+  currency_code             text not null,
+
+  -- stock, as of the run that wrote the row
+  active_subscribers        integer not null default 0,
+  paused_subscribers        integer not null default 0,
+  mrr                       numeric(18,2) not null default 0,
+  mrr_1m                    numeric(18,2) not null default 0, -- billed every month
+  mrr_3m                    numeric(18,2) not null default 0, -- billed every 3 months
+  mrr_other                 numeric(18,2) not null default 0,
+  arr                       numeric(18,2) not null default 0,
+  arpu                      numeric(18,2),                    -- mrr / active_subscribers
+  prepaid_subscribers       integer not null default 0,
+  deferred_revenue          numeric(18,2) not null default 0,
+
+  -- movements dated metric_date, from ops.v_loop_subscription_mrr_movements_daily
+  new_subscribers           integer not null default 0,
+  reactivated_subscribers   integer not null default 0,
+  churned_subscribers       integer not null default 0,
+  new_mrr                   numeric(18,2) not null default 0,
+  reactivated_mrr           numeric(18,2) not null default 0,
+  resumed_mrr               numeric(18,2) not null default 0,
+  expansion_mrr             numeric(18,2) not null default 0,
+  contraction_mrr           numeric(18,2) not null default 0,
+  paused_mrr                numeric(18,2) not null default 0,
+  churned_mrr               numeric(18,2) not null default 0,
+  net_new_mrr               numeric(18,2) not null default 0,
+
+  run_id                    uuid,
+  computed_at               timestamptz not null default now(),
+
+  primary key (metric_date, currency_code)
+);
+
+
+-- Writes today's stock row per currency, then refreshes the movement columns of every row
+-- from p_lookback_days ago through today. Returns the number of rows refreshed.
+create or replace function ops.refresh_subscription_metrics(
+  p_lookback_days  integer default 7,
+  p_run_id         uuid default null
+)
+returns integer
+language plpgsql
+as $$
+declare
+  v_refreshed integer;
+begin
+  insert into ops.fact_subscription_metrics_daily
+    (metric_date, currency_code,
+     active_subscribers, paused_subscribers, mrr, mrr_1m, mrr_3m, mrr_other, arr, arpu,
+     prepaid_subscribers, deferred_revenue, run_id, computed_at)
+  with subs as (
+    select
+      coalesce(s.currency_code, 'unknown') as currency_code,
+      v.status,
+      v.mrr,
+      case
+        when v.billing_interval = 'MONTH' and v.billing_interval_count = 1 then '1m'
+        when v.billing_interval = 'MONTH' and v.billing_interval_count = 3 then '3m'
+        else 'other'
+      end as billing_bucket,
+      coalesce(s.is_prepaid, false) as is_prepaid
+    from ops.v_loop_subscription_state v
+    join ops.fact_loop_subscriptions s
+      on s.subscription_id = v.subscription_id
+  ),
+  deferred as (
+    select coalesce(d.currency_code, 'unknown') as currency_code, sum(d.deferred_revenue) as deferred_revenue
+    from ops.v_loop_prepaid_deferred_revenue d
+    group by 1
+  )
+  select
+    current_date,
+    s.currency_code,
+    count(*) filter (where s.status = 'ACTIVE')::int,
+    count(*) filter (where s.status = 'PAUSED')::int,
+    sum(s.mrr),
+    coalesce(sum(s.mrr) filter (where s.billing_bucket = '1m'), 0),
+    coalesce(sum(s.mrr) filter (where s.billing_bucket = '3m'), 0),
+    coalesce(sum(s.mrr) filter (where s.billing_bucket = 'other'), 0),
+    sum(s.mrr) * 12,
+    round(sum(s.mrr) / nullif(count(*) filter (where s.status = 'ACTIVE'), 0), 2),
+    count(*) filter (where s.is_prepaid and s.status in ('ACTIVE', 'PAUSED'))::int,
+    coalesce(max(d.deferred_revenue), 0),
+    p_run_id,
+    now()
+  from subs s
+  left join deferred d
+    on d.currency_code = s.currency_code
+  group by s.currency_code
+  on conflict (metric_date, currency_code) do update set
+    active_subscribers = excluded.active_subscribers,
+    paused_subscribers = excluded.paused_subscribers,
+    mrr = excluded.mrr,
+    mrr_1m = excluded.mrr_1m,
+    mrr_3m = excluded.mrr_3m,
+    mrr_other = excluded.mrr_other,
+    arr = excluded.arr,
+    arpu = excluded.arpu,
+    prepaid_subscribers = excluded.prepaid_subscribers,
+    deferred_revenue = excluded.deferred_revenue,
+    run_id = excluded.run_id,
+    computed_at = excluded.computed_at;
+
+  update ops.fact_subscription_metrics_daily f
+  set new_subscribers = coalesce(m.new_subscribers, 0),
+      reactivated_subscribers = coalesce(m.reactivated_subscribers, 0),
+      churned_subscribers = coalesce(m.churned_subscribers, 0),
+      new_mrr = coalesce(m.new_mrr, 0),
+      reactivated_mrr = coalesce(m.reactivated_mrr, 0),
+      resumed_mrr = coalesce(m.resumed_mrr, 0),
+      expansion_mrr = coalesce(m.expansion_mrr, 0),
+      contraction_mrr = coalesce(m.contraction_mrr, 0),
+      paused_mrr = coalesce(m.paused_mrr, 0),
+      churned_mrr = coalesce(m.churned_mrr, 0),
+      net_new_mrr = coalesce(m.net_new_mrr, 0),
+      computed_at = now()
+  from ops.fact_subscription_metrics_daily t
+  left join ops.v_loop_subscription_mrr_movements_daily m
+    on m.movement_date = t.metric_date
+   and m.currency_code = t.currency_code
+  where f.metric_date = t.metric_date
+    and f.currency_code = t.currency_code
+    and t.metric_date >= current_date - p_lookback_days;
+
+  get diagnostics v_refreshed = row_count;
+  return v_refreshed;
+end
+$$;
+
+
+-- Per month and currency: closing stock from the month's last snapshot (null before the
+-- first run), movements from the full event log
+create or replace view ops.v_subscription_metrics_monthly as
+with closing as (
+  select distinct on (date_trunc('month', f.metric_date), f.currency_code)
+    date_trunc('month', f.metric_date)::date as month,
+    f.currency_code,
+    f.metric_date as closing_date,
+    f.active_subscribers,
+    f.paused_subscribers,
+    f.mrr,
+    f.arr,
+    f.arpu,
+    f.deferred_revenue
+  from ops.fact_subscription_metrics_daily f
+  order by date_trunc('month', f.metric_date), f.currency_code, f.metric_date desc
+),
+movements as (
+  select
+    date_trunc('month', m.movement_date)::date as month,
+    m.currency_code,
+    sum(m.new_subscribers)::int as new_subscribers,
+    sum(m.reactivated_subscribers)::int as reactivated_subscribers,
+    sum(m.churned_subscribers)::int as churned_subscribers,
+    sum(m.new_mrr) as new_mrr,
+    sum(m.reactivated_mrr) as reactivated_mrr,
+    sum(m.resumed_mrr) as resumed_mrr,
+    sum(m.expansion_mrr) as expansion_mrr,
+    sum(m.contraction_mrr) as contraction_mrr,
+    sum(m.paused_mrr) as paused_mrr,
+    sum(m.churned_mrr) as churned_mrr,
+    sum(m.net_new_mrr) as net_new_mrr
+  from ops.v_loop_subscription_mrr_movements_daily m
+  group by 1, 2
+)
+select
+  coalesce(c.month, m.month) as month,
+  coalesce(c.currency_code, m.currency_code) as currency_code,
+  c.closing_date,
+  c.active_subscribers,
+  c.paused_subscribers,
+  c.mrr,
+  c.arr,
+  c.arpu,
+  c.deferred_revenue,
+  coalesce(m.new_subscribers, 0) as new_subscribers,
+  coalesce(m.reactivated_subscribers, 0) as reactivated_subscribers,
+  coalesce(m.churned_subscribers, 0) as churned_subscribers,
+  coalesce(m.new_mrr, 0) as new_mrr,
+  coalesce(m.reactivated_mrr, 0) as reactivated_mrr,
+  coalesce(m.resumed_mrr, 0) as resumed_mrr,
+  coalesce(m.expansion_mrr, 0) as expansion_mrr,
+  coalesce(m.contraction_mrr, 0) as contraction_mrr,
+  coalesce(m.paused_mrr, 0) as paused_mrr,
+  coalesce(m.churned_mrr, 0) as churned_mrr,
+  coalesce(m.net_new_mrr, 0) as net_new_mrr
+from closing c
+full join movements m
+  on m.month = c.month
+ and m.currency_code = c.currency_code;
+
+
+-- Latest snapshot per currency, with movements over the 30 days up to it
+create or replace view ops.v_subscription_metrics_current as
+with latest as (
+  select distinct on (f.currency_code) f.*
+  from ops.fact_subscription_metrics_daily f
+  order by f.currency_code, f.metric_date desc
+)
+select
+  l.metric_date,
+  l.currency_code,
+  l.active_subscribers,
+  l.paused_subscribers,
+  l.mrr,
+  l.mrr_1m,
+  l.mrr_3m,
+  l.mrr_other,
+  l.arr,
+  l.arpu,
+  l.prepaid_subscribers,
+  l.deferred_revenue,
+  coalesce(sum(m.new_subscribers), 0)::int as new_subscribers_30d,
+  coalesce(sum(m.churned_subscribers), 0)::int as churned_subscribers_30d,
+  coalesce(sum(m.new_mrr), 0) as new_mrr_30d,
+  coalesce(sum(m.reactivated_mrr), 0) as reactivated_mrr_30d,
+  coalesce(sum(m.churned_mrr), 0) as churned_mrr_30d,
+  coalesce(sum(m.net_new_mrr), 0) as net_new_mrr_30d
+from latest l
+left join ops.v_loop_subscription_mrr_movements_daily m
+  on m.currency_code = l.currency_code
+ and m.movement_date > l.metric_date - 30
+ and m.movement_date <= l.metric_date
+group by
+  l.metric_date, l.currency_code, l.active_subscribers, l.paused_subscribers, l.mrr, l.mrr_1m,
+  l.mrr_3m, l.mrr_other, l.arr, l.arpu, l.prepaid_subscribers, l.deferred_revenue;
+
+
+insert into ops.pipeline_sla
+  (pipeline, source, max_age_hours, max_consecutive_failures, stuck_after_minutes, sync_state_key, is_enabled, notes)
+values
+  ('subscription_metrics_daily', 'model', 26, 1, 30, null, true, 'workflow: daily 05:00 UTC')
+on conflict (pipeline) do nothing;
+
+commit;
@@ -0,0 +1,294 @@
+-- Payment failures and dunning from Loop.
+--
+-- The subscription syncs now also append payment events to ops.fact_loop_subscription_events
+-- (ops.record_loop_payment_events, same before/after states as the lifecycle events):
+--
+--   payment_failed     last_payment_status -> FAILED, or still FAILED with next_billing_at
+--                      moved (Loop reschedules the next retry after each failed attempt).
+--                      Not for subscriptions already cancelled; when the failure and the
+--                      cancellation land in one sync it is dated no later than cancelled_at
+--   payment_recovered  FAILED -> any status other than FAILED / PENDING
+--
+-- A dunning episode starts at the first payment_failed and ends at payment_recovered
+-- (recovered) or a cancelled event (churned); each payment_failed in it is one failed attempt.
+-- Live subscriptions FAILED when this ran get a baseline payment_failed at updated_at_loop.
+
+begin;
+
+create or replace view ops.v_loop_subscription_state as
+select
+  s.subscription_id,
+  upper(s.status) as status,
+  s.created_at_loop,
+  s.updated_at_loop,
+  s.paused_at,
+  s.cancelled_at,
+  s.cancellation_reason,
+  s.cancellation_comment,
+  upper(s.billing_interval) as billing_interval,
+  s.billing_interval_count,
+  ops.to_monthly_amount(
+    coalesce(s.total_line_item_discounted_price, s.total_line_item_price),
+    s.billing_interval,
+    s.billing_interval_count
+  ) as monthly_amount,
+  case
+    when upper(s.status) = 'ACTIVE'
+      then coalesce(ops.to_monthly_amount(
+        coalesce(s.total_line_item_discounted_price, s.total_line_item_price),
+        s.billing_interval,
+        s.billing_interval_count
+      ), 0)
+    else 0
+  end as mrr,
+  coalesce((
+    select jsonb_object_agg(
+      l.line_id::text,
+      jsonb_build_object(
+        'sku', l.sku,
+        'variant_shopify_id', l.variant_shopify_id,
+        'selling_plan_shopify_id', l.selling_plan_shopify_id,
+        'quantity', l.quantity,
+        'discounted_price', l.discounted_price
+      )
+    )
+    from ops.fact_loop_subscription_lines l
+    where l.subscription_id = s.subscription_id
+      and not coalesce(l.is_one_time_added, false)
+  ), '{}'::jsonb) as lines,
+  upper(s.last_payment_status) as last_payment_status,
+  s.next_billing_at
+from ops.fact_loop_subscriptions s;
+
+
+alter table ops.fact_loop_subscription_events
+  drop constraint if exists fact_loop_subscription_events_event_type_check;
+
+alter table ops.fact_loop_subscription_events
+  add constraint fact_loop_subscription_events_event_type_check check (event_type in (
+    'created', 'paused', 'resumed', 'cancelled', 'reactivated',
+    'plan_changed', 'quantity_changed', 'price_changed',
+    'payment_failed', 'payment_recovered'
+  ));
+
+
+-- p_before: ops.loop_subscription_states() taken before the upserts. Payment events carry
+-- the payment status and next billing date before/after, and the subscription's current MRR
+-- as both mrr_before and mrr_after. Returns events added.
+create or replace function ops.record_loop_payment_events(p_subscription_ids bigint[], p_before jsonb)
+returns integer
+language plpgsql
+as $$
+declare
+  v_count integer;
+begin
+  insert into ops.fact_loop_subscription_events
+    (subscription_id, event_type, event_at, from_value, to_value, mrr_before, mrr_after)
+  select
+    v.subscription_id,
+    case when v.last_payment_status = 'FAILED' then 'payment_failed' else 'payment_recovered' end,
+    case
+      when v.last_payment_status = 'FAILED' and v.status in ('CANCELLED', 'EXPIRED')
+        then least(coalesce(v.updated_at_loop, now()), v.cancelled_at)
+      else coalesce(v.updated_at_loop, now())
+    end,
+    case when b.state is not null then jsonb_build_object(
+      'last_payment_status', b.state->'last_payment_status',
+      'next_billing_at', b.state->'next_billing_at'
+    ) end,
+    jsonb_build_object('last_payment_status', v.last_payment_status, 'next_billing_at', v.next_billing_at),
+    v.mrr,
+    v.mrr
+  from ops.v_loop_subscription_state v
+  cross join lateral (select p_before -> v.subscription_id::text as state) b
+  where v.subscription_id = any(p_subscription_ids)
+    and (
+      (v.last_payment_status = 'FAILED'
+        and (v.status not in ('CANCELLED', 'EXPIRED')
+          or coalesce(b.state->>'status', 'ACTIVE') not in ('CANCELLED', 'EXPIRED'))
+        and (b.state is null
+          or (b.state->>'last_payment_status') is distinct from 'FAILED'
+          or (v.status = 'ACTIVE'
+            and (b.state->>'next_billing_at')::timestamptz is distinct from v.next_billing_at)))
+      or ((b.state->>'last_payment_status') = 'FAILED'
+        and v.last_payment_status not in ('FAILED', 'PENDING'))
+    );
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end
+$$;
+
+
+insert into ops.fact_loop_subscription_events
+  (subscription_id, event_type, event_at, to_value, mrr_before, mrr_after, derived_from)
+select
+  v.subscription_id,
+  'payment_failed',
+  coalesce(v.updated_at_loop, now()),
+  jsonb_build_object('last_payment_status', v.last_payment_status, 'next_billing_at', v.next_billing_at),
+  v.mrr,
+  v.mrr,
+  'baseline'
+from ops.v_loop_subscription_state v
+where v.last_payment_status = 'FAILED'
+  and v.status not in ('CANCELLED', 'EXPIRED')
+  and not exists (
+    select 1
+    from ops.fact_loop_subscription_events e
+    where e.subscription_id = v.subscription_id
+      and e.event_type in ('payment_failed', 'payment_recovered')
+  );
+
+
+-- One row per dunning episode; outcome recovered | churned | open. At equal event_at a
+-- cancellation sorts after the payment events, so it ends the episode it coincides with.
+create or replace view ops.v_loop_dunning_episodes as
+with ev as (
+  select
+    e.id,
+    e.subscription_id,
+    e.event_type,
+    e.event_at,
+    lag(e.event_type) over w as prev_type
+  from ops.fact_loop_subscription_events e
+  where e.event_type in ('payment_failed', 'payment_recovered', 'cancelled')
+  window w as (partition by e.subscription_id order by e.event_at, e.event_type = 'cancelled', e.id)
+),
+numbered as (
+  select
+    ev.*,
+    sum(case when ev.event_type = 'payment_failed' and ev.prev_type is distinct from 'payment_failed' then 1 else 0 end)
+      over (partition by ev.subscription_id order by ev.event_at, ev.event_type = 'cancelled', ev.id) as episode
+  from ev
+),
+episodes as (
+  select
+    n.subscription_id,
+    n.episode,
+    min(n.event_at) filter (where n.event_type = 'payment_failed') as started_at,
+    max(n.event_at) filter (where n.event_type = 'payment_failed') as last_failed_at,
+    count(*) filter (where n.event_type = 'payment_failed')::int as failed_attempts,
+    (array_agg(n.event_type order by n.event_at, n.event_type = 'cancelled', n.id) filter (where n.event_type <> 'payment_failed'))[1] as ended_by,
+    min(n.event_at) filter (where n.event_type <> 'payment_failed') as ended_at
+  from numbered n
+  where n.episode > 0
+  group by n.subscription_id, n.episode
+)
+select
+  e.subscription_id,
+  e.episode,
+  e.started_at,
+  e.last_failed_at,
+  e.failed_attempts,
+  case e.ended_by
+    when 'payment_recovered' then 'recovered'
+    when 'cancelled' then 'churned'
+    else 'open'
+  end as outcome,
+  e.ended_at,
+  round(extract(epoch from (coalesce(e.ended_at, now()) - e.started_at)) / 86400, 1) as days_in_dunning
+from episodes e;
+
+
+-- Of the episodes that reached n failed attempts, how many recovered on the next attempt,
+-- churned after n, or are still open at n. cumulative_recovery_rate is over all episodes.
+create or replace view ops.v_loop_dunning_recovery_by_attempt as
+with attempts as (
+  select generate_series(1, (select max(failed_attempts) from ops.v_loop_dunning_episodes)) as failed_attempts
+),
+by_attempt as (
+  select
+    a.failed_attempts,
+    count(e.subscription_id)::int as episodes,
+    count(*) filter (where e.outcome = 'recovered' and e.failed_attempts = a.failed_attempts)::int as recovered_next,
+    count(*) filter (where e.outcome = 'churned' and e.failed_attempts = a.failed_attempts)::int as churned,
+    count(*) filter (where e.outcome = 'open' and e.failed_attempts = a.failed_attempts)::int as still_open
+  from attempts a
+  join ops.v_loop_dunning_episodes e
+    on e.failed_attempts >= a.failed_attempts
+  group by a.failed_attempts
+)
+select
+  b.*,
+  round(b.recovered_next::numeric / nullif(b.episodes, 0), 4) as recovery_rate,
+  round(
+    sum(b.recovered_next) over (order by b.failed_attempts)::numeric
+      / nullif((select count(*) from ops.v_loop_dunning_episodes), 0),
+    4
+  ) as cumulative_recovery_rate
+from by_attempt b;
+
+
+-- Live subscriptions whose last payment failed or is pending, or whose latest Loop order is
+-- pending payment. amount_at_risk is the next bill (line items after discounts + delivery).
+create or replace view ops.v_loop_dunning as
+with last_orders as (
+  select distinct on (o.subscription_id)
+    o.subscription_id,
+    o.loop_order_id,
+    o.shopify_order_id,
+    upper(o.financial_status) as financial_status,
+    o.billing_at
+  from ops.fact_loop_orders o
+  where o.subscription_id is not null
+  order by o.subscription_id, o.billing_at desc nulls last, o.loop_order_id desc
+),
+open_episodes as (
+  select e.subscription_id, e.started_at, e.failed_attempts, e.last_failed_at
+  from ops.v_loop_dunning_episodes e
+  where e.outcome = 'open'
+)
+select
+  s.subscription_id,
+  s.shopify_customer_id,
+  s.loop_customer_id,
+  c.email,
+  c.first_name,
+  c.last_name,
+  v.status,
+  v.last_payment_status,
+  case when v.last_payment_status = 'FAILED' then 'failed' else 'pending' end as dunning_state,
+  coalesce(e.started_at, s.updated_at_loop) as dunning_started_at,
+  round(extract(epoch from (now() - coalesce(e.started_at, s.updated_at_loop))) / 86400, 1) as days_in_dunning,
+  coalesce(e.failed_attempts, 0) as failed_attempts,
+  e.last_failed_at,
+  s.next_billing_at,
+  s.currency_code,
+  coalesce(s.total_line_item_discounted_price, s.total_line_item_price, 0) + coalesce(s.delivery_price, 0)
+    as amount_at_risk,
+  v.monthly_amount as mrr_at_risk,
+  lo.loop_order_id as last_loop_order_id,
+  lo.shopify_order_id as last_shopify_order_id,
+  lo.financial_status as last_order_financial_status,
+  lo.billing_at as last_order_billing_at,
+  s.updated_at_loop
+from ops.fact_loop_subscriptions s
+join ops.v_loop_subscription_state v
+  on v.subscription_id = s.subscription_id
+left join last_orders lo
+  on lo.subscription_id = s.subscription_id
+left join open_episodes e
+  on e.subscription_id = s.subscription_id
+left join ops.dim_customer c
+  on c.shopify_customer_id = s.shopify_customer_id
+where v.status not in ('CANCELLED', 'EXPIRED')
+  and (
+    v.last_payment_status in ('FAILED', 'PENDING')
+    or lo.financial_status = 'PENDING'
+  );
+
+
+-- Dunning subscriptions per upcoming billing (retry) date
+create or replace view ops.v_loop_dunning_revenue_at_risk as
+select
+  d.next_billing_at::date as billing_date,
+  d.currency_code,
+  d.dunning_state,
+  count(*)::int as subscriptions,
+  sum(d.amount_at_risk) as amount_at_risk,
+  sum(d.mrr_at_risk) as mrr_at_risk
+from ops.v_loop_dunning d
+group by 1, 2, 3;
+
+commit;
@@ -0,0 +1,333 @@
+-- Contribution margin per order, SKU and month.
+--
+-- ops.dim_sku_offer_map ties each SKU to the unit econ sheet offer whose COGS it ships at
+-- (subscription lines use subscription_offer_key when set). ops.refresh_sku_financials fills
+-- ops.dim_sku_financials from the mapped offers and dim_econ_assumptions; the sheet sync calls
+-- it after every run.
+--
+-- Unit costs (COGS, fulfillment) come per line from the line's offer, falling back to
+-- dim_sku_financials for SKUs set there by hand. Order costs come from dim_econ_assumptions:
+--   shipping_cost_per_order   per order
+--   payment_fee_rate          share of the order total charged (total_price)
+--   payment_fee_fixed         per order
+-- Costs are in the shop currency; orders in other currencies are costed as-is.
+--
+-- contribution_margin = revenue (line items after discounts + shipping charged) - refunds
+--                       - COGS - fulfillment - shipping cost - payment fees
+--
+-- Refunds are the refund line items plus what a refund returns outside them: shipping
+-- (refund_shipping_lines, or shipping_refund order adjustments on older API versions) and
+-- other order adjustments such as refund discrepancies, read from fact_shopify_refunds.raw.
+
+begin;
+
+create table if not exists ops.dim_sku_offer_map (
+  sku                     text primary key references ops.dim_sku(sku),
+  offer_key               text not null,   -- ops.dim_offer_economics.offer_key
+  subscription_offer_key  text,            -- for subscription lines; null = offer_key
+  notes                   text,
+  updated_at              timestamptz not null default now()
+);
+
+insert into ops.dim_sku_offer_map (sku, offer_key, subscription_offer_key)
+select v.sku, v.offer_key, v.subscription_offer_key
+from (values
+  ('HAIRMULTIPLIER-1PC', 'THM_1PC', null),
+  ('HAIRMULTIPLIER-3PC', 'THM_3PC_PLUS_ROLLER', 'THM_3PC_SUB'),
+  ('1PC-DERMAROLLER', 'DERMAROLLER', null),
+  ('1PC-ROSEWOODBRUSH', 'BRUSH', null)
+) as v(sku, offer_key, subscription_offer_key)
+join ops.dim_sku s
+  on s.sku = v.sku
+on conflict (sku) do nothing;
+
+-- Shopify Payments standard rate until the sheet carries one
+insert into ops.dim_econ_assumptions (key, value_num, unit, source)
+values
+  ('payment_fee_rate', 0.029, 'fraction', 'manual'),
+  ('payment_fee_fixed', 0.30, 'USD', 'manual')
+on conflict (key) do nothing;
+
+
+-- Upserts dim_sku_financials for every mapped SKU whose offer is in dim_offer_economics.
+-- Returns rows written.
+create or replace function ops.refresh_sku_financials()
+returns integer
+language plpgsql
+as $$
+declare
+  v_count integer;
+begin
+  insert into ops.dim_sku_financials
+    (sku, unit_sell_price, unit_cogs, shipping_cost_per_order, fulfillment_cost_per_unit,
+     payment_fee_rate, return_rate, notes, source, ingested_at)
+  select
+    m.sku,
+    oe.unit_sell_price,
+    oe.unit_cogs,
+    a.shipping_cost_per_order,
+    a.fulfillment_cost_per_unit,
+    a.payment_fee_rate,
+    a.return_rate,
+    'offer ' || m.offer_key,
+    'google_sheets',
+    now()
+  from ops.dim_sku_offer_map m
+  join ops.dim_offer_economics oe
+    on oe.offer_key = m.offer_key
+  cross join (
+    select
+      max(value_num) filter (where key = 'shipping_cost_per_order') as shipping_cost_per_order,
+      max(value_num) filter (where key = 'fulfillment_cost_per_unit') as fulfillment_cost_per_unit,
+      max(value_num) filter (where key = 'payment_fee_rate') as payment_fee_rate,
+      max(value_num) filter (where key = 'return_rate') as return_rate
+    from ops.dim_econ_assumptions
+  ) a
+  on conflict (sku) do update set
+    unit_sell_price = excluded.unit_sell_price,
+    unit_cogs = excluded.unit_cogs,
+    shipping_cost_per_order = excluded.shipping_cost_per_order,
+    fulfillment_cost_per_unit = excluded.fulfillment_cost_per_unit,
+    payment_fee_rate = excluded.payment_fee_rate,
+    return_rate = excluded.return_rate,
+    notes = excluded.notes,
+    source = excluded.source,
+    ingested_at = now();
+
+  get diagnostics v_count = row_count;
+  return v_count;
+end
+$$;
+
+select ops.refresh_sku_financials();
+
+
+-- Per refund, the amounts refunded outside refund line items, before tax. Adjustment amounts
+-- are negative when money goes back to the customer.
+create or replace view ops.v_shopify_refund_order_amounts as
+with r as (
+  select
+    refund_id,
+    order_id,
+    case when jsonb_typeof(raw->'refund_shipping_lines') = 'array'
+      then raw->'refund_shipping_lines' else '[]'::jsonb end as shipping_lines,
+    case when jsonb_typeof(raw->'order_adjustments') = 'array'
+      then raw->'order_adjustments' else '[]'::jsonb end as adjustments
+  from ops.fact_shopify_refunds
+)
+select
+  r.refund_id,
+  r.order_id,
+  case
+    when jsonb_array_length(r.shipping_lines) > 0 then (
+      select coalesce(sum(coalesce(
+        nullif(x->'subtotal_amount_set'->'shop_money'->>'amount', '')::numeric,
+        nullif(x->>'subtotal_amount', '')::numeric,
+        0
+      )), 0)
+      from jsonb_array_elements(r.shipping_lines) x
+    )
+    else (
+      select coalesce(-sum(nullif(x->>'amount', '')::numeric), 0)
+      from jsonb_array_elements(r.adjustments) x
+      where x->>'kind' = 'shipping_refund'
+    )
+  end as shipping_refunded,
+  (
+    select coalesce(-sum(nullif(x->>'amount', '')::numeric), 0)
+    from jsonb_array_elements(r.adjustments) x
+    where x->>'kind' is distinct from 'shipping_refund'
+  ) as adjustment_refunded
+from r;
+
+
+-- One row per line item of a live (not test, not cancelled) order. cogs is null when the SKU
+-- has no mapped offer COGS and no dim_sku_financials row. A refund line without a line item id
+-- counts against the first line of its SKU in the order.
+create or replace view ops.v_order_line_margin as
+select
+  li.order_id,
+  li.line_item_id,
+  coalesce(o.created_at_shopify, o.processed_at) as ordered_at,
+  o.currency,
+  li.sku,
+  li.is_subscription,
+  coalesce(oe.offer_key, m.offer_key) as offer_key,
+  li.quantity,
+  li.net_item_revenue as revenue,
+  coalesce((
+    select sum(r.refund_amount)
+    from ops.fact_shopify_refund_line_items r
+    where r.order_id = li.order_id
+      and (
+        r.line_item_id = li.line_item_id
+        or (
+          r.line_item_id is null
+          and r.sku = li.sku
+          and li.line_item_id = (
+            select min(li2.line_item_id)
+            from ops.fact_shopify_order_line_items li2
+            where li2.order_id = li.order_id
+              and li2.sku = li.sku
+          )
+        )
+      )
+  ), 0) as refunded,
+  li.quantity * coalesce(oe.unit_cogs, f.unit_cogs) as cogs,
+  li.quantity * coalesce(f.fulfillment_cost_per_unit, 0) as fulfillment_cost
+from ops.fact_shopify_order_line_items li
+join ops.fact_shopify_orders o
+  on o.order_id = li.order_id
+left join ops.dim_sku_offer_map m
+  on m.sku = li.sku
+left join ops.dim_offer_economics oe
+  on oe.offer_key = case
+    when li.is_subscription then coalesce(m.subscription_offer_key, m.offer_key)
+    else m.offer_key
+  end
+left join ops.dim_sku_financials f
+  on f.sku = li.sku
+where not o.is_test
+  and o.cancelled_at is null;
+
+
+-- One row per live order
+create or replace view ops.v_order_margin as
+with a as (
+  select
+    coalesce(max(value_num) filter (where key = 'shipping_cost_per_order'), 0) as shipping_cost_per_order,
+    coalesce(max(value_num) filter (where key = 'payment_fee_rate'), 0) as payment_fee_rate,
+    coalesce(max(value_num) filter (where key = 'payment_fee_fixed'), 0) as payment_fee_fixed
+  from ops.dim_econ_assumptions
+),
+lines as (
+  select
+    l.order_id,
+    sum(l.quantity)::int as units,
+    sum(l.revenue) as product_revenue,
+    sum(coalesce(l.cogs, 0)) as cogs,
+    sum(l.fulfillment_cost) as fulfillment_cost,
+    count(*) filter (where l.cogs is null)::int as lines_missing_cogs,
+    bool_or(l.is_subscription) as is_subscription
+  from ops.v_order_line_margin l
+  group by l.order_id
+),
+o as (
+  select
+    o.order_id,
+    o.order_number,
+    o.customer_id,
+    coalesce(o.created_at_shopify, o.processed_at) as ordered_at,
+    o.currency,
+    coalesce(l.is_subscription, false) as is_subscription,
+    coalesce(l.units, 0) as units,
+    coalesce(l.product_revenue, 0) as product_revenue,
+    coalesce(o.total_shipping_price, 0) as shipping_revenue,
+    coalesce(l.product_revenue, 0) + coalesce(o.total_shipping_price, 0) as revenue,
+    coalesce(rl.line_refunded, 0) + coalesce(ra.shipping_refunded, 0) + coalesce(ra.adjustment_refunded, 0)
+      as refunded,
+    coalesce(ra.shipping_refunded, 0) as shipping_refunded,
+    coalesce(ra.adjustment_refunded, 0) as adjustment_refunded,
+    coalesce(l.cogs, 0) as cogs,
+    coalesce(l.fulfillment_cost, 0) as fulfillment_cost,
+    a.shipping_cost_per_order as shipping_cost,
+    round(
+      coalesce(o.total_price, nullif(o.raw->>'total_price', '')::numeric, 0) * a.payment_fee_rate
+        + a.payment_fee_fixed,
+      2
+    ) as payment_fees,
+    coalesce(l.lines_missing_cogs, 0) as lines_missing_cogs
+  from ops.fact_shopify_orders o
+  cross join a
+  left join lines l
+    on l.order_id = o.order_id
+  left join (
+    select order_id, sum(refund_amount) as line_refunded
+    from ops.fact_shopify_refund_line_items
+    group by order_id
+  ) rl
+    on rl.order_id = o.order_id
+  left join (
+    select order_id, sum(shipping_refunded) as shipping_refunded, sum(adjustment_refunded) as adjustment_refunded
+    from ops.v_shopify_refund_order_amounts
+    group by order_id
+  ) ra
+    on ra.order_id = o.order_id
+  where not o.is_test
+    and o.cancelled_at is null
+)
+select
+  o.*,
+  o.revenue - o.refunded - o.cogs - o.fulfillment_cost - o.shipping_cost - o.payment_fees
+    as contribution_margin,
+  round(
+    (o.revenue - o.refunded - o.cogs - o.fulfillment_cost - o.shipping_cost - o.payment_fees)
+      / nullif(o.revenue - o.refunded, 0),
+    4
+  ) as contribution_margin_pct
+from o;
+
+
+create or replace view ops.v_order_margin_monthly as
+select
+  date_trunc('month', m.ordered_at)::date as month,
+  m.currency,
+  count(*)::int as orders,
+  count(*) filter (where m.is_subscription)::int as subscription_orders,
+  sum(m.units)::int as units,
+  sum(m.revenue) as revenue,
+  sum(m.refunded) as refunded,
+  sum(m.cogs) as cogs,
+  sum(m.fulfillment_cost) as fulfillment_cost,
+  sum(m.shipping_cost) as shipping_cost,
+  sum(m.payment_fees) as payment_fees,
+  sum(m.contribution_margin) as contribution_margin,
+  round(sum(m.contribution_margin) / nullif(sum(m.revenue - m.refunded), 0), 4) as contribution_margin_pct,
+  round(sum(m.contribution_margin) / count(*), 2) as contribution_margin_per_order,
+  count(*) filter (where m.lines_missing_cogs > 0)::int as orders_missing_cogs
+from ops.v_order_margin m
+group by 1, 2;
+
+
+-- Per SKU and month. Shipping charged, shipping cost, payment fees and the refunds outside
+-- refund line items are split across an order's lines by revenue share (by units when the
+-- order has no product revenue).
+create or replace view ops.v_sku_margin_monthly as
+with alloc as (
+  select
+    l.*,
+    coalesce(
+      l.revenue / nullif(om.product_revenue, 0),
+      l.quantity::numeric / nullif(om.units, 0),
+      0
+    ) as share,
+    om.shipping_revenue,
+    om.shipping_refunded + om.adjustment_refunded as order_refunded,
+    om.shipping_cost,
+    om.payment_fees
+  from ops.v_order_line_margin l
+  join ops.v_order_margin om
+    on om.order_id = l.order_id
+)
+select
+  date_trunc('month', a.ordered_at)::date as month,
+  a.currency,
+  a.sku,
+  count(distinct a.order_id)::int as orders,
+  sum(a.quantity)::int as units,
+  round(sum(a.revenue + a.shipping_revenue * a.share), 2) as revenue,
+  round(sum(a.refunded + a.order_refunded * a.share), 2) as refunded,
+  sum(coalesce(a.cogs, 0)) as cogs,
+  sum(a.fulfillment_cost) as fulfillment_cost,
+  round(sum(a.shipping_cost * a.share), 2) as shipping_cost,
+  round(sum(a.payment_fees * a.share), 2) as payment_fees,
+  round(sum(
+    a.revenue + a.shipping_revenue * a.share - a.refunded - a.order_refunded * a.share
+      - coalesce(a.cogs, 0) - a.fulfillment_cost
+      - (a.shipping_cost + a.payment_fees) * a.share
+  ), 2) as contribution_margin,
+  count(*) filter (where a.cogs is null)::int as lines_missing_cogs
+from alloc a
+group by 1, 2, 3;
+
+commit;
@@ -1,3 +1,6 @@
+-- Bootstrap baseline for an empty database. Later changes live in
+-- database/migrations and are applied with `npm run migrate`.
+
 create schema if not exists ops;
 
 -- ---- Enums for cleanliness / safety ----
@@ -162,24 +165,6 @@ order by sku, location_id, snapshot_date desc, ingested_at desc;
 
 -- Sheets (Planning brain)
 
--- Inbound supply / production arrivals
-create table if not exists ops.fact_inbound_shipments (
-  id              uuid primary key default gen_random_uuid(),
-  sku             text not null references ops.dim_sku(sku),
-  batch_name       text,
-  arrival_month    date not null, -- normalize to YYYY-MM-01
-  arrival_date     date,          -- optional ETA day if available
-  quantity         integer not null check (quantity >= 0),
-  location_name    text,
-  source           ops.data_source not null default 'google_sheets',
-  sheet_row_key    text not null, -- stable for upsert, e.g. '2026-03|THM|B007'
-  ingested_at      timestamptz not null default now(),
-  unique (source, sheet_row_key)
-);
-
-create index if not exists inbound_sku_month_idx
-  on ops.fact_inbound_shipments (sku, arrival_month);
-
 -- Monthly demand forecast (from the inventory/cashflow sheet)
 create table if not exists ops.fact_demand_forecast (
   id                         uuid primary key default gen_random_uuid(),
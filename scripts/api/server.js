@@ -0,0 +1,282 @@
+"use strict";
+
+const crypto = require("crypto");
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const express = require("express");
+const { pool } = require("../../config/db");
+const { createShopifyWebhookRouter } = require("./shopifyWebhooks");
+
+const PORT = Number(process.env.PORT || 3000);
+const API_TOKEN = (process.env.OPS_API_TOKEN || "").trim();
+// Without a token the API is only reachable from this machine
+const HOST = API_TOKEN ? process.env.HOST || "0.0.0.0" : "127.0.0.1";
+const WEBHOOKS_ENABLED = !!(process.env.SHOPIFY_WEBHOOK_SECRET || "").trim();
+const MAX_LIMIT = 1000;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// "2026-03" | "2026-03-14" -> "2026-03-01"
+function parseMonth(x) {
+  if (x == null || x === "") return null;
+  const m = String(x).trim().match(/^(\d{4})-(\d{2})(?:-\d{2})?$/);
+  if (!m || Number(m[2]) < 1 || Number(m[2]) > 12) {
+    throw new HttpError(400, `Invalid month "${x}", expected YYYY-MM`);
+  }
+  return `${m[1]}-${m[2]}-01`;
+}
+
+function parseSupplyItemKey(x) {
+  if (x == null || x === "") return null;
+  return String(x).trim().toUpperCase();
+}
+
+// Query string filter as text; a repeated parameter (?a=1&a=2) arrives as an array
+function parseText(x) {
+  if (x == null || x === "") return null;
+  return String(x).trim() || null;
+}
+
+function parseLimit(x, fallback) {
+  if (x == null || x === "") return fallback;
+  const n = Number(x);
+  if (!Number.isInteger(n) || n <= 0) throw new HttpError(400, `Invalid limit "${x}"`);
+  return Math.min(n, MAX_LIMIT);
+}
+
+// Builds "where a = $1 and b = $2" from the filters that were actually supplied
+function buildWhere(filters) {
+  const clauses = [];
+  const params = [];
+  for (const [sql, value] of filters) {
+    if (value == null) continue;
+    params.push(value);
+    clauses.push(sql.replace("?", `$${params.length}`));
+  }
+  return { where: clauses.length ? `where ${clauses.join(" and ")}` : "", params };
+}
+
+// Hashing both sides gives timingSafeEqual equal-length inputs without leaking the token length
+function tokenMatches(given) {
+  const digest = (x) => crypto.createHash("sha256").update(x).digest();
+  return crypto.timingSafeEqual(digest(given), digest(API_TOKEN));
+}
+
+function requireToken(req, res, next) {
+  if (!API_TOKEN) return next();
+  const header = req.get("authorization") || "";
+  const m = header.match(/^Bearer (.+)$/);
+  if (m && tokenMatches(m[1])) return next();
+  next(new HttpError(401, "Unauthorized"));
+}
+
+function createApp() {
+  const app = express();
+  app.disable("x-powered-by");
+
+  app.get("/health", async (req, res) => {
+    await pool.query("select 1");
+    res.json({ ok: true });
+  });
+
+  // Shopify authenticates with HMAC, not the API token
+  if (WEBHOOKS_ENABLED) {
+    app.use("/webhooks/shopify", createShopifyWebhookRouter());
+  }
+
+  app.use(requireToken);
+
+  app.get("/briefing/items", async (req, res) => {
+    const { where, params } = buildWhere([
+      ["supply_item_key = ?", parseSupplyItemKey(req.query.supply_item_key)],
+      ["anchor_month = ?::date", parseMonth(req.query.month)],
+    ]);
+    const { rows } = await pool.query(
+      `select * from ops.v_ops_briefing_item_current ${where} order by supply_item_key`,
+      params
+    );
+    res.json({ data: rows });
+  });
+
+  app.get("/briefing/walkforward", async (req, res) => {
+    const { where, params } = buildWhere([
+      ["supply_item_key = ?", parseSupplyItemKey(req.query.supply_item_key)],
+      ["month = ?::date", parseMonth(req.query.month)],
+    ]);
+    const { rows } = await pool.query(
+      `select * from ops.v_ops_briefing_walkforward_current ${where} order by supply_item_key, month`,
+      params
+    );
+    res.json({ data: rows });
+  });
+
+  app.get("/briefing/scenarios", async (req, res) => {
+    const { where, params } = buildWhere([
+      ["supply_item_key = ?", parseSupplyItemKey(req.query.supply_item_key)],
+      ["scenario_key = ?", parseText(req.query.scenario)],
+    ]);
+    const { rows } = await pool.query(
+      `select * from ops.v_scenario_walkforward_summary ${where}
+       order by supply_item_key, scenario_key <> 'base', scenario_key`,
+      params
+    );
+    res.json({ data: rows });
+  });
+
+  // ?scenarios=base,demand_plus_20 (default: base + active scenarios)
+  app.get("/briefing/scenarios/walkforward", async (req, res) => {
+    const scenarios = req.query.scenarios
+      ? String(req.query.scenarios).split(",").map((s) => s.trim()).filter(Boolean)
+      : null;
+    const { where, params } = buildWhere([
+      ["supply_item_key = ?", parseSupplyItemKey(req.query.supply_item_key)],
+      ["month = ?::date", parseMonth(req.query.month)],
+    ]);
+    params.push(scenarios);
+    const { rows } = await pool.query(
+      `select * from ops.walkforward_scenarios($${params.length}::text[])
+       ${where}
+       order by supply_item_key, scenario_key <> 'base', scenario_key, month`,
+      params
+    );
+    res.json({ data: rows });
+  });
+
+  app.get("/inventory/latest", async (req, res) => {
+    const { where, params } = buildWhere([
+      ["supply_item_key = ?", parseSupplyItemKey(req.query.supply_item_key)],
+      ["date_trunc('month', snapshot_date)::date = ?::date", parseMonth(req.query.month)],
+    ]);
+    const { rows } = await pool.query(
+      `select * from ops.v_inventory_latest_snapshot ${where} order by supply_item_key`,
+      params
+    );
+    res.json({ data: rows });
+  });
+
+  app.get("/inventory/movements", async (req, res) => {
+    const { where, params } = buildWhere([
+      ["supply_item_key = ?", parseSupplyItemKey(req.query.supply_item_key)],
+      ["date_trunc('month', snapshot_date)::date = ?::date", parseMonth(req.query.month)],
+    ]);
+    const { rows } = await pool.query(
+      `select * from ops.v_inventory_supply_item_movement ${where} order by supply_item_key, snapshot_date`,
+      params
+    );
+    res.json({ data: rows });
+  });
+
+  app.get("/forecast/variance", async (req, res) => {
+    const { where, params } = buildWhere([
+      ["supply_item_key = ?", parseSupplyItemKey(req.query.supply_item_key)],
+      ["month = ?::date", parseMonth(req.query.month)],
+    ]);
+    const { rows } = await pool.query(
+      `select * from ops.v_demand_forecast_variance ${where} order by supply_item_key, month`,
+      params
+    );
+    res.json({ data: rows });
+  });
+
+  app.get("/forecast/accuracy", async (req, res) => {
+    const { where, params } = buildWhere([
+      ["supply_item_key = ?", parseSupplyItemKey(req.query.supply_item_key)],
+    ]);
+    const { rows } = await pool.query(
+      `select * from ops.v_demand_forecast_accuracy ${where} order by supply_item_key`,
+      params
+    );
+    res.json({ data: rows });
+  });
+
+  app.get("/customers/cohorts", async (req, res) => {
+    const { where, params } = buildWhere([
+      ["acquisition_channel = ?", parseText(req.query.channel)],
+      ["cohort_month = ?::date", parseMonth(req.query.month)],
+    ]);
+    const { rows } = await pool.query(
+      `select * from ops.v_customer_cohorts ${where} order by cohort_month, acquisition_channel`,
+      params
+    );
+    res.json({ data: rows });
+  });
+
+  app.get("/customers/retention", async (req, res) => {
+    const { where, params } = buildWhere([
+      ["acquisition_channel = ?", parseText(req.query.channel) || "all"],
+      ["cohort_month = ?::date", parseMonth(req.query.month)],
+    ]);
+    const { rows } = await pool.query(
+      `select * from ops.v_customer_cohort_retention ${where} order by cohort_month, months_since_first`,
+      params
+    );
+    res.json({ data: rows });
+  });
+
+  app.get("/ingestion-runs", async (req, res) => {
+    const limit = parseLimit(req.query.limit, 100);
+    const { where, params } = buildWhere([
+      ["source::text = ?", parseText(req.query.source)],
+      ["pipeline = ?", parseText(req.query.pipeline)],
+      ["status::text = ?", parseText(req.query.status)],
+      ["date_trunc('month', started_at)::date = ?::date", parseMonth(req.query.month)],
+    ]);
+    params.push(limit);
+    const { rows } = await pool.query(
+      `
+      select id, source, pipeline, started_at, finished_at, status,
+             rows_upserted, rows_deleted, error_message, metadata
+      from ops.ingestion_runs
+      ${where}
+      order by started_at desc
+      limit $${params.length}
+      `,
+      params
+    );
+    res.json({ data: rows });
+  });
+
+  app.use((req, res) => {
+    res.status(404).json({ error: "Not found" });
+  });
+
+  app.use((err, req, res, next) => {
+    const status = err.status || 500;
+    if (status >= 500) console.error(`[ops_api] ${req.method} ${req.originalUrl} failed | ${err.message}`);
+    res.status(status).json({ error: status >= 500 ? "Internal error" : err.message });
+  });
+
+  return app;
+}
+
+function main() {
+  const app = createApp();
+  const server = app.listen(PORT, HOST, () => {
+    console.log(
+      `[ops_api] listening | host=${HOST} port=${PORT} | auth=${API_TOKEN ? "bearer" : "none (localhost only)"} | shopify_webhooks=${WEBHOOKS_ENABLED}`
+    );
+  });
+
+  async function shutdown(signal) {
+    console.log(`[ops_api] ${signal} received, shutting down`);
+    server.close(async () => {
+      try { await pool.end(); } catch (_) {}
+      process.exit(0);
+    });
+  }
+
+  process.on("SIGINT", () => shutdown("SIGINT"));
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createApp, HttpError, parseMonth };
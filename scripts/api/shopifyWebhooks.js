@@ -0,0 +1,185 @@
+"use strict";
+
+const crypto = require("crypto");
+const express = require("express");
+const { pool } = require("../../config/db");
+const { createShopifyOrderWriter } = require("../lib/shopifyOrders");
+
+const PIPELINE = "shopify_orders_webhook";
+const SECRET = (process.env.SHOPIFY_WEBHOOK_SECRET || "").trim();
+const INSERT_STUB_SKUS = (process.env.INSERT_STUB_SKUS || "true").toLowerCase() !== "false";
+
+const ORDER_TOPICS = new Set(["orders/create", "orders/updated"]);
+const REFUND_TOPICS = new Set(["refunds/create"]);
+
+const writer = createShopifyOrderWriter({
+  pipeline: PIPELINE,
+  stubReason: "seen_in_order_line_item_webhook",
+  insertStubSkus: INSERT_STUB_SKUS,
+});
+
+function verifyHmac(rawBody, hmacHeader, secret) {
+  if (!hmacHeader || !secret || !Buffer.isBuffer(rawBody)) return false;
+  const expected = crypto.createHmac("sha256", secret).update(rawBody).digest();
+  const given = Buffer.from(String(hmacHeader), "base64");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function claimDelivery(client, d) {
+  const q = `
+    insert into ops.shopify_webhook_inbox
+      (webhook_id, topic, shop_domain, resource_id, triggered_at, status, attempts, payload, received_at)
+    values
+      ($1,$2,$3,$4,$5,'received',1,$6::jsonb, now())
+    on conflict (webhook_id) do update set
+      attempts = ops.shopify_webhook_inbox.attempts + 1
+    returning status
+  `;
+  const res = await client.query(q, [
+    d.webhookId,
+    d.topic,
+    d.shopDomain,
+    d.resourceId,
+    d.triggeredAt,
+    JSON.stringify(d.payload),
+  ]);
+  return res.rows[0].status;
+}
+
+async function markDelivery(client, webhookId, status, errorMessage) {
+  const q = `
+    update ops.shopify_webhook_inbox
+    set status = $2,
+        error_message = $3,
+        processed_at = case when $2 in ('processed','skipped_stale') then now() else processed_at end
+    where webhook_id = $1
+  `;
+  await client.query(q, [webhookId, status, errorMessage || null]);
+}
+
+// Runs outside the rolled-back transaction so the failure survives
+async function recordFailure(d, errorMessage) {
+  const q = `
+    insert into ops.shopify_webhook_inbox
+      (webhook_id, topic, shop_domain, resource_id, triggered_at, status, attempts, error_message, payload, received_at)
+    values
+      ($1,$2,$3,$4,$5,'failed',1,$6,$7::jsonb, now())
+    on conflict (webhook_id) do update set
+      status = 'failed',
+      attempts = ops.shopify_webhook_inbox.attempts + 1,
+      error_message = excluded.error_message
+  `;
+  await pool.query(q, [
+    d.webhookId,
+    d.topic,
+    d.shopDomain,
+    d.resourceId,
+    d.triggeredAt,
+    errorMessage,
+    JSON.stringify(d.payload),
+  ]);
+}
+
+// orders/updated can arrive out of order; never overwrite a newer stored version
+async function isStaleOrder(client, order) {
+  if (!order.updated_at) return false;
+  const res = await client.query(
+    "select raw->>'updated_at' as updated_at from ops.fact_shopify_orders where order_id = $1",
+    [order.id]
+  );
+  const stored = res.rows[0]?.updated_at;
+  if (!stored) return false;
+  return Date.parse(stored) > Date.parse(order.updated_at);
+}
+
+async function processDelivery(client, d) {
+  if (ORDER_TOPICS.has(d.topic)) {
+    if (await isStaleOrder(client, d.payload)) return "skipped_stale";
+    await writer.upsertOrderGraph(client, d.payload);
+    return "processed";
+  }
+
+  if (REFUND_TOPICS.has(d.topic)) {
+    const orderId = d.payload.order_id;
+    const exists = await client.query("select 1 from ops.fact_shopify_orders where order_id = $1", [orderId]);
+    if (!exists.rowCount) {
+      // Shopify redelivers on non-2xx; the order webhook or daily sweep lands the order first
+      throw new Error(`Order ${orderId} not yet ingested for refund ${d.payload.id}`);
+    }
+    await writer.upsertRefunds(client, { id: orderId, refunds: [d.payload] });
+    return "processed";
+  }
+
+  throw new Error(`Unsupported topic: ${d.topic}`);
+}
+
+async function handleWebhook(req, res) {
+  if (!verifyHmac(req.body, req.get("x-shopify-hmac-sha256"), SECRET)) {
+    return res.status(401).json({ error: "Invalid HMAC" });
+  }
+
+  const topic = req.get("x-shopify-topic") || "";
+  if (!ORDER_TOPICS.has(topic) && !REFUND_TOPICS.has(topic)) {
+    return res.status(200).json({ ignored: true, topic });
+  }
+
+  const webhookId = req.get("x-shopify-webhook-id");
+  if (!webhookId) return res.status(400).json({ error: "Missing X-Shopify-Webhook-Id" });
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString("utf8"));
+  } catch {
+    return res.status(400).json({ error: "Invalid JSON body" });
+  }
+
+  const d = {
+    webhookId,
+    topic,
+    shopDomain: req.get("x-shopify-shop-domain") || null,
+    triggeredAt: req.get("x-shopify-triggered-at") || null,
+    resourceId: payload.id ?? null,
+    payload,
+  };
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const priorStatus = await claimDelivery(client, d);
+    if (priorStatus === "processed" || priorStatus === "skipped_stale") {
+      await client.query("COMMIT");
+      console.log(`[${PIPELINE}] duplicate | topic=${topic} webhook_id=${webhookId}`);
+      return res.status(200).json({ duplicate: true });
+    }
+
+    const status = await processDelivery(client, d);
+    await markDelivery(client, webhookId, status, null);
+    await client.query("COMMIT");
+
+    console.log(`[${PIPELINE}] ${status} | topic=${topic} id=${d.resourceId} webhook_id=${webhookId}`);
+    return res.status(200).json({ status });
+  } catch (err) {
+    try { await client.query("ROLLBACK"); } catch (_) {}
+    console.error(`[${PIPELINE}] failed | topic=${topic} webhook_id=${webhookId} | ${err.message}`);
+    try {
+      await recordFailure(d, err.message);
+    } catch (e) {
+      console.error(`[${PIPELINE}] failed to record failure: ${e.message}`);
+    }
+    return res.status(500).json({ error: "Processing failed" });
+  } finally {
+    client.release();
+  }
+}
+
+function createShopifyWebhookRouter() {
+  if (!SECRET) throw new Error("Missing SHOPIFY_WEBHOOK_SECRET");
+
+  const router = express.Router();
+  // HMAC is computed over the exact bytes Shopify sent, so keep the body raw
+  router.post("/", express.raw({ type: "*/*", limit: "5mb" }), handleWebhook);
+  return router;
+}
+
+module.exports = { createShopifyWebhookRouter, verifyHmac };
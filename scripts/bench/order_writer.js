@@ -0,0 +1,229 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { pool } = require("../../config/db");
+const { createShopifyOrderWriter } = require("../lib/shopifyOrders");
+
+// Compares the per-order writer (one statement per row, one transaction per order) with
+// upsertOrderGraphs (one statement per table, one transaction per page) on synthetic
+// orders. Rows use negative order/refund ids and BENCH- SKUs and are deleted afterwards,
+// but run it against a scratch database anyway.
+
+const TAG = "bench_order_writer";
+
+const ORDERS = Number(process.env.BENCH_ORDERS || 1000);
+const LINES_PER_ORDER = Number(process.env.BENCH_LINES || 3);
+const PAGE_SIZE = Number(process.env.BENCH_PAGE || 250);
+const REFUND_EVERY = Number(process.env.BENCH_REFUND_EVERY || 10); // every Nth order has a refund
+const SKU_COUNT = Number(process.env.BENCH_SKUS || 20);
+
+const CONFIRMED = process.argv.includes("--yes");
+
+for (const [name, value] of [
+  ["BENCH_ORDERS", ORDERS],
+  ["BENCH_LINES", LINES_PER_ORDER],
+  ["BENCH_PAGE", PAGE_SIZE],
+  ["BENCH_REFUND_EVERY", REFUND_EVERY],
+  ["BENCH_SKUS", SKU_COUNT],
+]) {
+  if (!Number.isInteger(value) || value <= 0) {
+    console.error(`${name} must be a positive integer`);
+    process.exit(1);
+  }
+}
+if (!CONFIRMED) {
+  console.error("Writes (and then deletes) synthetic orders in the target database. Re-run with --yes.");
+  process.exit(1);
+}
+
+const writer = createShopifyOrderWriter({
+  pipeline: TAG,
+  stubReason: "benchmark",
+  insertStubSkus: true,
+});
+
+// REST-shaped payloads; `version` changes prices/tags so the second pass really updates rows
+function buildOrders(version) {
+  const orders = [];
+  const base = Date.parse("2026-01-01T00:00:00Z");
+
+  for (let i = 1; i <= ORDERS; i++) {
+    const id = -i;
+    const at = new Date(base + i * 60000).toISOString();
+    const lineItems = [];
+
+    for (let j = 1; j <= LINES_PER_ORDER; j++) {
+      lineItems.push({
+        id: -(i * 100 + j),
+        sku: `BENCH-SKU-${(i + j) % SKU_COUNT}`,
+        title: "Benchmark item",
+        variant_title: null,
+        quantity: 1 + ((i + j) % 3),
+        price: (19.95 + version).toFixed(2),
+        total_discount: (j === 1 ? 2 : 0).toFixed(2),
+        tax_lines: [{ price: "1.50" }],
+        product_id: 900000 + j,
+        variant_id: 910000 + ((i + j) % SKU_COUNT),
+        fulfillment_service: "manual",
+      });
+    }
+
+    const refunds =
+      i % REFUND_EVERY === 0
+        ? [
+            {
+              id: -i,
+              created_at: at,
+              note: "benchmark refund",
+              refund_line_items: [
+                { line_item_id: lineItems[0].id, quantity: 1, subtotal: "10.00", line_item: lineItems[0] },
+              ],
+            },
+          ]
+        : [];
+
+    orders.push({
+      id,
+      order_number: String(100000 + i),
+      processed_at: at,
+      created_at: at,
+      updated_at: at,
+      currency: "USD",
+      financial_status: "paid",
+      fulfillment_status: null,
+      tags: version ? "Subscription, benchmark" : "benchmark",
+      test: false,
+      customer: { id: 700000 + (i % 50) },
+      total_price: (60 + version).toFixed(2),
+      subtotal_price: "55.00",
+      total_tax: "4.50",
+      total_discounts: "2.00",
+      total_line_items_price: "59.85",
+      total_shipping_price_set: { shop_money: { amount: "5.00" } },
+      line_items: lineItems,
+      refunds,
+    });
+  }
+
+  return orders;
+}
+
+async function cleanup(client) {
+  await client.query("delete from ops.fact_shopify_orders where order_id < 0");
+  await client.query("delete from ops.dim_sku where sku like 'BENCH-SKU-%'");
+}
+
+// Fingerprint of what was written, to check both writers produce the same rows
+async function snapshot(client) {
+  const res = await client.query(`
+    select
+      (select count(*) from ops.fact_shopify_orders where order_id < 0)::int as orders,
+      (select count(*) from ops.fact_shopify_order_line_items where order_id < 0)::int as line_items,
+      (select count(*) from ops.fact_shopify_refunds where order_id < 0)::int as refunds,
+      (select count(*) from ops.fact_shopify_refund_line_items where order_id < 0)::int as refund_lines,
+      (select count(*) from ops.dim_sku where sku like 'BENCH-SKU-%')::int as stub_skus,
+      (select coalesce(sum(total_price), 0)::text from ops.fact_shopify_orders where order_id < 0) as total_price,
+      (select coalesce(sum(net_item_revenue), 0)::text from ops.fact_shopify_order_line_items where order_id < 0) as net_revenue,
+      (select count(*) filter (where is_subscription) from ops.fact_shopify_order_line_items where order_id < 0)::int as subscription_lines
+  `);
+  return res.rows[0];
+}
+
+async function runPerOrder(client, orders) {
+  for (const o of orders) {
+    await client.query("BEGIN");
+    try {
+      await writer.upsertOrderGraph(client, o);
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    }
+  }
+}
+
+async function runBatched(client, orders) {
+  for (let i = 0; i < orders.length; i += PAGE_SIZE) {
+    await client.query("BEGIN");
+    try {
+      await writer.upsertOrderGraphs(client, orders.slice(i, i + PAGE_SIZE));
+      await client.query("COMMIT");
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    }
+  }
+}
+
+// Counts statements sent to Postgres during fn
+async function measure(client, fn) {
+  const query = client.query.bind(client);
+  let statements = 0;
+  client.query = (...args) => {
+    statements++;
+    return query(...args);
+  };
+
+  const t0 = process.hrtime.bigint();
+  try {
+    await fn();
+  } finally {
+    client.query = query;
+  }
+  const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+  return { ms, statements, ordersPerSec: Math.round((ORDERS / ms) * 1000) };
+}
+
+async function runMode(client, name, fn) {
+  await cleanup(client);
+
+  const insert = await measure(client, () => fn(client, buildOrders(0)));
+  const update = await measure(client, () => fn(client, buildOrders(1)));
+  const rows = await snapshot(client);
+
+  for (const [pass, m] of [["insert", insert], ["update", update]]) {
+    console.log(
+      `[${TAG}] ${name} | ${pass} | ${m.ms.toFixed(0)}ms | ${m.ordersPerSec} orders/s | statements=${m.statements}`
+    );
+  }
+  return { insert, update, rows };
+}
+
+async function main() {
+  const client = await pool.connect();
+
+  try {
+    console.log(
+      `[${TAG}] start | orders=${ORDERS} | lines_per_order=${LINES_PER_ORDER} | page=${PAGE_SIZE} | refund_every=${REFUND_EVERY}`
+    );
+
+    const perOrder = await runMode(client, "per_order", runPerOrder);
+    const batched = await runMode(client, "batched", runBatched);
+
+    if (JSON.stringify(perOrder.rows) !== JSON.stringify(batched.rows)) {
+      console.error(`[${TAG}] output mismatch | per_order=${JSON.stringify(perOrder.rows)} | batched=${JSON.stringify(batched.rows)}`);
+      process.exitCode = 1;
+    } else {
+      console.log(`[${TAG}] output identical | ${JSON.stringify(batched.rows)}`);
+    }
+
+    for (const pass of ["insert", "update"]) {
+      console.log(`[${TAG}] speedup | ${pass} | ${(perOrder[pass].ms / batched[pass].ms).toFixed(1)}x`);
+    }
+  } catch (err) {
+    console.error(`[${TAG}] failed | ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    try {
+      await cleanup(client);
+    } catch (e) {
+      console.error(`[${TAG}] cleanup failed | ${e.message}`);
+    }
+    client.release();
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,433 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { pool } = require("../../config/db");
+const { age, findOrphanedRuns, loadPipelineStatus, evaluate } = require("../lib/pipelineHealth");
+const { createFileDelivery, createWebhookDelivery, createSmtpDelivery } = require("../lib/delivery");
+
+const TAG = "ops_briefing";
+
+// Comma-separated: file, smtp, webhook
+const DELIVERY = (process.env.BRIEFING_DELIVERY || "file")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+const OUT_DIR = path.resolve(process.env.BRIEFING_OUT_DIR || path.resolve(__dirname, "../../briefings"));
+const LOOKBACK_HOURS = Number(process.env.BRIEFING_LOOKBACK_HOURS || 24);
+const DEFAULT_STUCK_AFTER_MINUTES = Number(process.env.DEFAULT_STUCK_AFTER_MINUTES || 360);
+
+const WEBHOOK_URL = (process.env.BRIEFING_WEBHOOK_URL || "").trim();
+
+// Local SMTP stand-in by default (MailHog / smtp4dev listen on 1025)
+const SMTP_HOST = process.env.SMTP_HOST || "127.0.0.1";
+const SMTP_PORT = Number(process.env.SMTP_PORT || 1025);
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_USER = process.env.SMTP_USER || "";
+const SMTP_PASS = process.env.SMTP_PASS || "";
+const SMTP_FROM = process.env.SMTP_FROM || "ops-brain@localhost";
+const EMAIL_TO = (process.env.BRIEFING_EMAIL_TO || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+const unknown = DELIVERY.filter((d) => !["file", "smtp", "webhook"].includes(d));
+if (unknown.length) {
+  console.error(`Unknown BRIEFING_DELIVERY: ${unknown.join(", ")} (expected file, smtp, webhook)`);
+  process.exit(1);
+}
+if (DELIVERY.includes("webhook") && !WEBHOOK_URL) {
+  console.error("BRIEFING_WEBHOOK_URL is required for webhook delivery");
+  process.exit(1);
+}
+if (DELIVERY.includes("smtp") && !EMAIL_TO.length) {
+  console.error("BRIEFING_EMAIL_TO is required for smtp delivery");
+  process.exit(1);
+}
+if (!Number.isFinite(LOOKBACK_HOURS) || LOOKBACK_HOURS <= 0) {
+  console.error("BRIEFING_LOOKBACK_HOURS must be a positive number");
+  process.exit(1);
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function toDateStr(d) {
+  return d instanceof Date ? d.toISOString().slice(0, 10) : d == null ? null : String(d).slice(0, 10);
+}
+
+function fmtNum(x, digits = 0) {
+  if (x == null || x === "") return "-";
+  return Number(x).toLocaleString("en-US", { minimumFractionDigits: digits, maximumFractionDigits: digits });
+}
+
+function fmtMoney(x, currency) {
+  return `${fmtNum(x, 2)} ${currency}`;
+}
+
+// ---- data ----
+
+async function loadItems(client) {
+  const res = await client.query(
+    `select * from ops.v_ops_briefing_item_current order by supply_item_key`
+  );
+  return res.rows;
+}
+
+async function loadWalkforward(client) {
+  const res = await client.query(
+    `select supply_item_key, month, closing_balance::float8, month_status
+     from ops.v_ops_briefing_walkforward_current
+     order by supply_item_key, month`
+  );
+  return res.rows;
+}
+
+// Orders processed in the lookback window, per currency; revenue excludes cancelled orders
+async function loadRecentOrders(client) {
+  const q = `
+    select
+      o.currency,
+      count(*)::int as orders,
+      count(*) filter (where o.cancelled_at is not null)::int as cancelled,
+      count(*) filter (
+        where o.cancelled_at is null
+          and exists (
+            select 1 from ops.fact_shopify_order_line_items l
+            where l.order_id = o.order_id and l.is_subscription
+          )
+      )::int as subscription_orders,
+      coalesce(sum(coalesce(o.total_price, nullif(o.raw->>'total_price', '')::numeric))
+        filter (where o.cancelled_at is null), 0)::float8 as revenue
+    from ops.fact_shopify_orders o
+    where o.processed_at >= now() - make_interval(hours => $1)
+      and not o.is_test
+    group by o.currency
+    order by revenue desc
+  `;
+  const res = await client.query(q, [LOOKBACK_HOURS]);
+  return res.rows;
+}
+
+// Latest daily subscription metrics per currency, with 30-day MRR movements
+async function loadSubscriptionMetrics(client) {
+  const res = await client.query(
+    `select metric_date, currency_code, active_subscribers, paused_subscribers,
+            mrr::float8, arr::float8, arpu::float8, deferred_revenue::float8,
+            new_mrr_30d::float8, reactivated_mrr_30d::float8, churned_mrr_30d::float8, net_new_mrr_30d::float8
+     from ops.v_subscription_metrics_current
+     order by mrr desc`
+  );
+  return res.rows;
+}
+
+async function loadHealth(client) {
+  const orphaned = await findOrphanedRuns(client, DEFAULT_STUCK_AFTER_MINUTES);
+  const pipelines = await loadPipelineStatus(client);
+  return { pipelines, problems: evaluate(pipelines, orphaned) };
+}
+
+// ---- report model ----
+// sections: [{ title, notes: [string], table: { columns: [string], rows: [[cell]] } }]
+// cell: string, or { text, tone: "bad" | "warn" | "good" }
+
+const STATUS_TONE = { STOCKOUT: "bad", ORDER_NOW: "bad", PLAN_ORDER: "warn", OK: "good" };
+
+function buildReport({ generatedAt, items, walk, orders, subscriptions, health }) {
+  const sections = [];
+  const snapshotDate = toDateStr(items[0]?.snapshot_date);
+  const anchorMonth = toDateStr(items[0]?.anchor_month);
+
+  // Last 24h
+  const ordersSection = { title: `Last ${LOOKBACK_HOURS}h orders`, notes: [] };
+  if (!orders.length) {
+    ordersSection.notes.push("No orders in the window.");
+  } else {
+    ordersSection.table = {
+      columns: ["Currency", "Orders", "Cancelled", "Subscription orders", "Revenue", "AOV"],
+      rows: orders.map((o) => {
+        const paid = o.orders - o.cancelled;
+        return [
+          o.currency,
+          fmtNum(o.orders),
+          fmtNum(o.cancelled),
+          fmtNum(o.subscription_orders),
+          fmtMoney(o.revenue, o.currency),
+          paid ? fmtMoney(o.revenue / paid, o.currency) : "-",
+        ];
+      }),
+    };
+  }
+  sections.push(ordersSection);
+
+  // Subscriptions
+  const metricsDate = toDateStr(subscriptions[0]?.metric_date);
+  sections.push({
+    title: "Subscriptions",
+    notes: subscriptions.length
+      ? [`Loop subscription metrics ${metricsDate}; movements over the last 30 days.`]
+      : ["No subscription metrics."],
+    table: subscriptions.length
+      ? {
+          columns: ["Currency", "Active", "Paused", "MRR", "ARR", "ARPU", "New MRR", "Reactivated MRR", "Churned MRR", "Net new MRR", "Prepaid deferred"],
+          rows: subscriptions.map((m) => [
+            m.currency_code,
+            fmtNum(m.active_subscribers),
+            fmtNum(m.paused_subscribers),
+            fmtMoney(m.mrr, m.currency_code),
+            fmtMoney(m.arr, m.currency_code),
+            m.arpu == null ? "-" : fmtMoney(m.arpu, m.currency_code),
+            fmtMoney(m.new_mrr_30d, m.currency_code),
+            fmtMoney(m.reactivated_mrr_30d, m.currency_code),
+            m.churned_mrr_30d > 0 ? { text: fmtMoney(m.churned_mrr_30d, m.currency_code), tone: "warn" } : fmtMoney(0, m.currency_code),
+            { text: fmtMoney(m.net_new_mrr_30d, m.currency_code), tone: m.net_new_mrr_30d < 0 ? "bad" : "good" },
+            fmtMoney(m.deferred_revenue, m.currency_code),
+          ]),
+        }
+      : null,
+  });
+
+  // Runway and reorder status
+  sections.push({
+    title: "Runway and reorder status",
+    notes: snapshotDate ? [`Inventory snapshot ${snapshotDate}, anchor month ${anchorMonth.slice(0, 7)}.`] : ["No inventory snapshot."],
+    table: items.length
+      ? {
+          columns: ["Item", "On hand", "Avg demand (4m)", "Runway (m)", "Runway incl. inbound (m)", "Inbound (6m)", "Status"],
+          rows: items.map((i) => [
+            i.supply_item_key,
+            fmtNum(i.units_on_hand),
+            fmtNum(i.avg_demand_next_4m),
+            fmtNum(i.operational_runway_months, 1),
+            fmtNum(i.planning_runway_months, 1),
+            fmtNum(i.inbound_next_6m),
+            { text: i.reorder_status, tone: STATUS_TONE[i.reorder_status] },
+          ]),
+        }
+      : null,
+  });
+
+  // Walk-forward: closing balance per month
+  const months = [...new Set(walk.map((w) => toDateStr(w.month)))].sort();
+  const byItem = new Map();
+  for (const w of walk) {
+    if (!byItem.has(w.supply_item_key)) byItem.set(w.supply_item_key, new Map());
+    byItem.get(w.supply_item_key).set(toDateStr(w.month), w);
+  }
+  sections.push({
+    title: "Walk-forward (month-end inventory)",
+    notes: months.length ? [] : ["No projection."],
+    table: months.length
+      ? {
+          columns: ["Item", ...months.map((m) => m.slice(0, 7))],
+          rows: [...byItem].map(([key, perMonth]) => [
+            key,
+            ...months.map((m) => {
+              const w = perMonth.get(m);
+              if (!w) return "-";
+              const tone = w.closing_balance < 0 ? "bad" : w.closing_balance === 0 ? "warn" : undefined;
+              return { text: fmtNum(w.closing_balance), tone };
+            }),
+          ]),
+        }
+      : null,
+  });
+
+  // Pipeline health
+  sections.push({
+    title: "Pipeline health",
+    notes: health.problems.length
+      ? health.problems.map((p) => `${p.pipeline} [${p.check}] ${p.message}`)
+      : [`All ${health.pipelines.length} monitored pipelines healthy.`],
+    table: {
+      columns: ["Pipeline", "Last success", "Failures since", "Last status"],
+      rows: health.pipelines.map((p) => [
+        p.pipeline,
+        age(p.success_age_hours),
+        p.consecutive_failures ? { text: String(p.consecutive_failures), tone: "bad" } : "0",
+        p.last_status || "-",
+      ]),
+    },
+  });
+
+  const date = generatedAt.slice(0, 10);
+  const attention = items.filter((i) => ["STOCKOUT", "ORDER_NOW", "PLAN_ORDER"].includes(i.reorder_status));
+  const summary = [
+    ...orders.map((o) => `${fmtNum(o.orders)} orders, ${fmtMoney(o.revenue, o.currency)} in the last ${LOOKBACK_HOURS}h`),
+    ...subscriptions.map(
+      (m) =>
+        `MRR ${fmtMoney(m.mrr, m.currency_code)} across ${fmtNum(m.active_subscribers)} active subscribers (${m.net_new_mrr_30d < 0 ? "" : "+"}${fmtNum(m.net_new_mrr_30d, 2)} over 30 days)`
+    ),
+    ...attention.map((i) => `${i.supply_item_key}: ${i.reorder_status} (runway ${fmtNum(i.operational_runway_months, 1)}m)`),
+    ...[...byItem].flatMap(([key, perMonth]) => {
+      const first = [...perMonth.values()].find((w) => w.closing_balance < 0);
+      return first ? [`${key}: projected stockout ${toDateStr(first.month).slice(0, 7)}`] : [];
+    }),
+    health.problems.length ? `${health.problems.length} pipeline problem(s)` : "pipelines healthy",
+  ];
+
+  return {
+    subject: `Ops briefing ${date}${attention.length ? ` | ${attention.map((i) => `${i.supply_item_key} ${i.reorder_status}`).join(", ")}` : ""}`,
+    slug: `ops-briefing-${date}`,
+    generatedAt,
+    summary,
+    sections,
+  };
+}
+
+// ---- rendering ----
+
+function cellText(cell) {
+  return typeof cell === "object" && cell !== null ? String(cell.text ?? "-") : String(cell ?? "-");
+}
+
+function renderMarkdown(report) {
+  const out = [`# ${report.subject}`, "", `_Generated ${report.generatedAt}_`, ""];
+
+  for (const s of report.sections) {
+    out.push(`## ${s.title}`, "");
+    for (const n of s.notes || []) out.push(`- ${n}`);
+    if ((s.notes || []).length) out.push("");
+
+    if (s.table) {
+      const esc = (x) => x.replace(/\|/g, "\\|");
+      out.push(`| ${s.table.columns.map(esc).join(" | ")} |`);
+      out.push(`| ${s.table.columns.map((_, i) => (i === 0 ? "---" : "---:")).join(" | ")} |`);
+      for (const row of s.table.rows) {
+        out.push(`| ${row.map((c) => esc(cellText(c))).map((t, i) => (i > 0 && row[i]?.tone === "bad" ? `**${t}**` : t)).join(" | ")} |`);
+      }
+      out.push("");
+    }
+  }
+
+  return out.join("\n");
+}
+
+function escapeHtml(x) {
+  return String(x)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+const TONE_STYLE = {
+  bad: "color:#b42318;font-weight:600;",
+  warn: "color:#b54708;font-weight:600;",
+  good: "color:#067647;",
+};
+
+// Inline styles only, so the file renders the same in a browser and in mail clients
+function renderHtml(report) {
+  const th = "text-align:right;padding:4px 10px;border-bottom:2px solid #d0d5dd;font-weight:600;";
+  const td = "text-align:right;padding:4px 10px;border-bottom:1px solid #eaecf0;";
+  const first = "text-align:left;";
+
+  const sections = report.sections
+    .map((s) => {
+      const notes = (s.notes || []).length
+        ? `<ul style="margin:4px 0 8px 18px;padding:0;">${s.notes.map((n) => `<li>${escapeHtml(n)}</li>`).join("")}</ul>`
+        : "";
+      const table = s.table
+        ? `<table style="border-collapse:collapse;font-size:13px;margin:4px 0 16px 0;">
+<thead><tr>${s.table.columns.map((c, i) => `<th style="${th}${i === 0 ? first : ""}">${escapeHtml(c)}</th>`).join("")}</tr></thead>
+<tbody>${s.table.rows
+            .map(
+              (row) =>
+                `<tr>${row
+                  .map((c, i) => `<td style="${td}${i === 0 ? first : ""}${TONE_STYLE[c?.tone] || ""}">${escapeHtml(cellText(c))}</td>`)
+                  .join("")}</tr>`
+            )
+            .join("\n")}</tbody>
+</table>`
+        : "";
+      return `<h2 style="font-size:16px;margin:20px 0 6px 0;">${escapeHtml(s.title)}</h2>\n${notes}\n${table}`;
+    })
+    .join("\n");
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(report.subject)}</title>
+</head>
+<body style="font-family:-apple-system,Segoe UI,Helvetica,Arial,sans-serif;color:#101828;margin:24px;">
+<h1 style="font-size:20px;margin:0 0 4px 0;">${escapeHtml(report.subject)}</h1>
+<div style="color:#667085;font-size:12px;">Generated ${escapeHtml(report.generatedAt)}</div>
+${sections}
+</body>
+</html>
+`;
+}
+
+function createDeliveries() {
+  return DELIVERY.map((name) => {
+    if (name === "file") return createFileDelivery({ dir: OUT_DIR });
+    if (name === "webhook") return createWebhookDelivery({ url: WEBHOOK_URL });
+    return createSmtpDelivery({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      user: SMTP_USER,
+      pass: SMTP_PASS,
+      from: SMTP_FROM,
+      to: EMAIL_TO,
+    });
+  });
+}
+
+async function main() {
+  const client = await pool.connect();
+  let report;
+
+  try {
+    const generatedAt = nowIso();
+    report = buildReport({
+      generatedAt,
+      items: await loadItems(client),
+      walk: await loadWalkforward(client),
+      orders: await loadRecentOrders(client),
+      subscriptions: await loadSubscriptionMetrics(client),
+      health: await loadHealth(client),
+    });
+  } catch (err) {
+    console.error(`[${TAG}] failed | ${err.message}`);
+    process.exitCode = 1;
+    return;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+
+  const markdown = renderMarkdown(report);
+  const html = renderHtml(report);
+  const rendered = {
+    subject: report.subject,
+    slug: report.slug,
+    markdown,
+    html,
+    text: [`*${report.subject}*`, ...report.summary.map((l) => `• ${l}`)].join("\n"),
+  };
+
+  if (DRY_RUN) {
+    console.log(markdown);
+    return;
+  }
+
+  for (const d of createDeliveries()) {
+    try {
+      const result = await d.deliver(rendered);
+      console.log(`[${TAG}] delivered | ${d.name} | ${result}`);
+    } catch (e) {
+      console.error(`[${TAG}] delivery failed | ${d.name} | ${e.message}`);
+      process.exitCode = 1;
+    }
+  }
+}
+
+main();
@@ -0,0 +1,197 @@
+"use strict";
+
+// Self-checks for scripts/lib/shopify.js, the transport every Shopify pipeline goes through:
+// Link/call-limit header parsing, pagination, throttle spacing (sequential and shared by
+// concurrent callers), the call-limit bucket guard and 429 retries. No network or database:
+// requests are answered by a canned axios adapter. Run by `npm test`; exits non-zero if any
+// check fails.
+
+const assert = require("assert/strict");
+
+// Read by scripts/lib/shopify.js at load; fast rates keep the run to a few seconds
+process.env.SHOPIFY_STORE = "check.myshopify.com";
+process.env.SHOPIFY_ADMIN_TOKEN = "check";
+process.env.SHOPIFY_RPS = "20";
+process.env.SHOPIFY_LEAK_RATE = "20";
+process.env.SHOPIFY_BUCKET_HIGH_WATER = "0.8";
+
+const { createShopifyClient, extractNextPageInfo, parseCallLimit } = require("../lib/shopify");
+
+const TAG = "check_shopify_client";
+
+const MIN_GAP_MS = Math.ceil(1000 / Number(process.env.SHOPIFY_RPS));
+// Timers and Date.now() can disagree by a millisecond
+const SLACK_MS = 2;
+
+const link = (pageInfo, rel) =>
+  `<https://check.myshopify.com/admin/api/2024-10/orders.json?limit=2&page_info=${pageInfo}>; rel="${rel}"`;
+
+/**
+ * Axios adapter answering from `respond(config)` -> { status, data, headers }.
+ * Every request is recorded with the time it was sent.
+ */
+function fakeTransport(respond) {
+  const calls = [];
+  const adapter = async (config) => {
+    calls.push({ at: Date.now(), url: config.url, params: { ...(config.params || {}) } });
+    const r = (await respond(config, calls.length)) || {};
+    return {
+      status: r.status ?? 200,
+      statusText: "",
+      data: r.data ?? {},
+      headers: r.headers ?? {},
+      config,
+      request: {},
+    };
+  };
+  return { adapter, calls };
+}
+
+function gaps(calls) {
+  return calls.slice(1).map((c, i) => c.at - calls[i].at);
+}
+
+const checks = [];
+function check(name, fn) {
+  checks.push({ name, fn });
+}
+
+check("extractNextPageInfo: next link among prev/next", () => {
+  assert.equal(extractNextPageInfo(`${link("prev1", "previous")}, ${link("next1", "next")}`), "next1");
+  assert.equal(extractNextPageInfo(link("only", "next")), "only");
+});
+
+check("extractNextPageInfo: no next page", () => {
+  assert.equal(extractNextPageInfo(null), null);
+  assert.equal(extractNextPageInfo(""), null);
+  assert.equal(extractNextPageInfo(link("prev1", "previous")), null);
+  assert.equal(extractNextPageInfo('<not a url>; rel="next"'), null);
+});
+
+check("parseCallLimit", () => {
+  assert.deepEqual(parseCallLimit("32/40"), { used: 32, max: 40 });
+  assert.deepEqual(parseCallLimit(" 1 / 80 "), { used: 1, max: 80 });
+  assert.equal(parseCallLimit(null), null);
+  assert.equal(parseCallLimit("abc"), null);
+  assert.equal(parseCallLimit("5/0"), null);
+});
+
+check("paginate: follows page_info, carries only limit/fields, stops on the last page", async () => {
+  const t = fakeTransport((config) => {
+    const pageInfo = config.params?.page_info;
+    if (!pageInfo) return { data: { orders: [{ id: 1 }, { id: 2 }] }, headers: { link: link("p2", "next") } };
+    if (pageInfo === "p2") return { data: { orders: [{ id: 3 }, { id: 4 }] }, headers: { link: `${link("p1", "previous")}, ${link("p3", "next")}` } };
+    return { data: { orders: [{ id: 5 }] }, headers: { link: link("p2", "previous") } };
+  });
+  const shopify = createShopifyClient({ adapter: t.adapter });
+
+  const pages = [];
+  for await (const { items, nextPageInfo } of shopify.paginate("/orders.json", {
+    key: "orders",
+    params: { limit: 2, fields: "id", status: "any", created_at_min: "2026-01-01" },
+  })) {
+    pages.push({ ids: items.map((o) => o.id), nextPageInfo });
+  }
+
+  assert.deepEqual(pages, [
+    { ids: [1, 2], nextPageInfo: "p2" },
+    { ids: [3, 4], nextPageInfo: "p3" },
+    { ids: [5], nextPageInfo: null },
+  ]);
+  assert.deepEqual(t.calls[0].params, { limit: 2, fields: "id", status: "any", created_at_min: "2026-01-01" });
+  assert.deepEqual(t.calls[1].params, { limit: 2, fields: "id", page_info: "p2" });
+  assert.deepEqual(t.calls[2].params, { limit: 2, fields: "id", page_info: "p3" });
+});
+
+check("paginate: resumes from a saved cursor", async () => {
+  const t = fakeTransport(() => ({ data: { orders: [{ id: 9 }] } }));
+  const shopify = createShopifyClient({ adapter: t.adapter });
+
+  const seen = [];
+  for await (const { items } of shopify.paginate("/orders.json", { key: "orders", params: { limit: 2 }, pageInfo: "saved" })) {
+    seen.push(...items.map((o) => o.id));
+  }
+
+  assert.deepEqual(seen, [9]);
+  assert.deepEqual(t.calls[0].params, { limit: 2, page_info: "saved" });
+});
+
+check(`throttle: sequential requests at least ${MIN_GAP_MS}ms apart`, async () => {
+  const t = fakeTransport(() => ({}));
+  const shopify = createShopifyClient({ adapter: t.adapter });
+
+  for (let i = 0; i < 5; i++) await shopify.requestWithRetry("GET", "/shop.json");
+
+  for (const g of gaps(t.calls)) assert.ok(g >= MIN_GAP_MS - SLACK_MS, `gap ${g}ms < ${MIN_GAP_MS}ms`);
+});
+
+check("throttle: concurrent callers on one client share the rate", async () => {
+  const t = fakeTransport(() => ({}));
+  const shopify = createShopifyClient({ adapter: t.adapter });
+
+  // Four workers x three requests, as concurrent backfill slices would
+  await Promise.all(
+    Array.from({ length: 4 }, async () => {
+      for (let i = 0; i < 3; i++) await shopify.requestWithRetry("GET", "/orders.json");
+    })
+  );
+
+  assert.equal(t.calls.length, 12);
+  for (const g of gaps(t.calls)) assert.ok(g >= MIN_GAP_MS - SLACK_MS, `gap ${g}ms < ${MIN_GAP_MS}ms`);
+});
+
+check("throttle: waits for the bucket to drain below the high-water mark", async () => {
+  // 39/40 used, high water 32: drain 8 calls at 20/s = 400ms before the next request
+  const t = fakeTransport(() => ({ headers: { "x-shopify-shop-api-call-limit": "39/40" } }));
+  const shopify = createShopifyClient({ adapter: t.adapter });
+
+  await shopify.requestWithRetry("GET", "/orders.json");
+  await shopify.requestWithRetry("GET", "/orders.json");
+
+  const [g] = gaps(t.calls);
+  assert.ok(g >= 400 - SLACK_MS, `gap ${g}ms < 400ms`);
+  const m = shopify.getMetrics();
+  assert.equal(m.bucket_waits, 1);
+  assert.equal(m.max_bucket_used, 39);
+});
+
+check("requestWithRetry: retries a 429 after Retry-After", async () => {
+  const t = fakeTransport((config, n) => (n === 1 ? { status: 429, headers: { "retry-after": "1" } } : { data: { ok: true } }));
+  const shopify = createShopifyClient({ adapter: t.adapter });
+
+  const res = await shopify.requestWithRetry("GET", "/orders.json");
+
+  assert.deepEqual(res.data, { ok: true });
+  assert.equal(t.calls.length, 2);
+  assert.ok(gaps(t.calls)[0] >= 1000 - SLACK_MS);
+  const m = shopify.getMetrics();
+  assert.equal(m.rate_limited, 1);
+  assert.equal(m.retries, 1);
+});
+
+check("requestWithRetry: throws on a non-retryable status", async () => {
+  const t = fakeTransport(() => ({ status: 404, data: { errors: "Not Found" } }));
+  const shopify = createShopifyClient({ adapter: t.adapter });
+
+  await assert.rejects(shopify.requestWithRetry("GET", "/orders/1.json"), /Shopify HTTP 404/);
+  assert.equal(t.calls.length, 1);
+});
+
+async function main() {
+  let failed = 0;
+
+  for (const c of checks) {
+    try {
+      await c.fn();
+      console.log(`[${TAG}] ok   ${c.name}`);
+    } catch (err) {
+      failed++;
+      console.error(`[${TAG}] FAIL ${c.name} | ${err.message}`);
+    }
+  }
+
+  console.log(`[${TAG}] checks=${checks.length} failed=${failed}`);
+  if (failed) process.exitCode = 1;
+}
+
+main();
@@ -0,0 +1,236 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const fs = require("fs");
+const crypto = require("crypto");
+
+const { pool } = require("../../config/db");
+
+const MIGRATIONS_DIR = path.resolve(__dirname, "../../database/migrations");
+
+// YYYY_MM_DD_snake_name.sql (YYYY_MM_DD_NN_snake_name.sql for several on one day); sorts in
+// apply order and is safe to pass around unquoted
+const FILENAME_RE = /^\d{4}_\d{2}_\d{2}_[a-z0-9_]+\.sql$/;
+
+// Some migrations carry their own BEGIN/COMMIT; the runner owns the transaction instead
+const TXN_CONTROL_RE = /^\s*(begin|commit)(\s+(work|transaction))?\s*;\s*$/gim;
+
+// Serializes concurrent `migrate` runs (arbitrary constant)
+const LOCK_KEY = 7320415;
+
+const USAGE = `usage: node scripts/db/migrate.js [status | baseline [--to <file>]] [--dry-run]
+
+  (no command)   apply pending migrations in filename order
+  status         list applied, pending and changed migrations
+  baseline       record migrations as applied without running them
+                 (for databases migrated by hand before the ledger existed)
+  --to <file>    with baseline: stop after this file
+  --dry-run      print what would happen, change nothing`;
+
+function parseArgs(argv) {
+  const args = { command: "up", dryRun: false, to: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--to") args.to = argv[++i] || null;
+    else if (a === "status" || a === "baseline" || a === "up") args.command = a;
+    else if (a === "-h" || a === "--help") args.command = "help";
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+
+  if (args.to && args.command !== "baseline") throw new Error("--to is only valid with baseline");
+  return args;
+}
+
+function checksum(sql) {
+  return crypto.createHash("sha256").update(sql.replace(/\r\n/g, "\n")).digest("hex");
+}
+
+function loadMigrationFiles() {
+  const files = fs
+    .readdirSync(MIGRATIONS_DIR)
+    .filter((f) => f.endsWith(".sql"))
+    .sort();
+
+  const bad = files.filter((f) => !FILENAME_RE.test(f));
+  if (bad.length) {
+    throw new Error(`Migration filenames must match YYYY_MM_DD_name.sql: ${bad.join(", ")}`);
+  }
+
+  return files.map((filename) => {
+    const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, filename), "utf8");
+    return { filename, sql, checksum: checksum(sql) };
+  });
+}
+
+async function ensureLedger(client) {
+  await client.query(`
+    create schema if not exists ops;
+
+    create table if not exists ops.schema_migrations (
+      filename     text primary key,
+      checksum     text not null,
+      applied_at   timestamptz not null default now(),
+      duration_ms  integer,
+      method       text not null default 'applied' check (method in ('applied','baseline'))
+    );
+  `);
+}
+
+async function loadApplied(client) {
+  const res = await client.query(
+    "select filename, checksum, applied_at, method from ops.schema_migrations order by filename"
+  );
+  return new Map(res.rows.map((r) => [r.filename, r]));
+}
+
+// Joins files on disk with the ledger: pending / applied / changed / missing
+function plan(files, applied) {
+  const rows = files.map((f) => {
+    const a = applied.get(f.filename);
+    if (!a) return { ...f, state: "pending" };
+    return { ...f, state: a.checksum === f.checksum ? "applied" : "changed", applied: a };
+  });
+
+  const onDisk = new Set(files.map((f) => f.filename));
+  for (const [filename, a] of applied) {
+    if (!onDisk.has(filename)) rows.push({ filename, state: "missing", applied: a });
+  }
+
+  return rows.sort((x, y) => x.filename.localeCompare(y.filename));
+}
+
+function assertNoDrift(rows) {
+  const changed = rows.filter((r) => r.state === "changed");
+  if (!changed.length) return;
+
+  for (const r of changed) {
+    console.error(`[migrate] checksum changed since applied: ${r.filename} (ledger ${r.applied.checksum.slice(0, 12)}, file ${r.checksum.slice(0, 12)})`);
+  }
+  throw new Error("Applied migrations were edited; add a new migration instead of changing an applied one");
+}
+
+function printStatus(rows) {
+  for (const r of rows) {
+    const when = r.applied ? new Date(r.applied.applied_at).toISOString() : "";
+    const how = r.applied?.method === "baseline" ? " (baseline)" : "";
+    console.log(`${r.state.padEnd(8)} ${r.filename}${when ? `  ${when}${how}` : ""}`);
+  }
+
+  const count = (s) => rows.filter((r) => r.state === s).length;
+  console.log(
+    `[migrate] applied=${count("applied")} pending=${count("pending")} changed=${count("changed")} missing=${count("missing")}`
+  );
+}
+
+async function applyMigration(client, m) {
+  const t0 = Date.now();
+
+  await client.query("BEGIN");
+  try {
+    await client.query(m.sql.replace(TXN_CONTROL_RE, ""));
+    await client.query(
+      `insert into ops.schema_migrations (filename, checksum, duration_ms, method)
+       values ($1, $2, $3, 'applied')`,
+      [m.filename, m.checksum, Date.now() - t0]
+    );
+    await client.query("COMMIT");
+  } catch (e) {
+    await client.query("ROLLBACK");
+    throw new Error(`${m.filename}: ${e.message}`);
+  }
+
+  return Date.now() - t0;
+}
+
+async function runUp(client, rows, { dryRun }) {
+  assertNoDrift(rows);
+
+  const pending = rows.filter((r) => r.state === "pending");
+  if (!pending.length) {
+    console.log("[migrate] up to date");
+    return;
+  }
+
+  for (const m of pending) {
+    if (dryRun) {
+      console.log(`[migrate] would apply ${m.filename}`);
+      continue;
+    }
+    const ms = await applyMigration(client, m);
+    console.log(`[migrate] applied ${m.filename} (${ms}ms)`);
+  }
+
+  console.log(`[migrate] ${dryRun ? "dry run, pending" : "applied"}=${pending.length}`);
+}
+
+async function runBaseline(client, rows, { dryRun, to }) {
+  assertNoDrift(rows);
+
+  if (to && !rows.some((r) => r.filename === to)) {
+    throw new Error(`--to file not found in ${MIGRATIONS_DIR}: ${to}`);
+  }
+
+  const pending = rows.filter((r) => r.state === "pending" && (!to || r.filename <= to));
+
+  for (const m of pending) {
+    if (dryRun) {
+      console.log(`[migrate] would baseline ${m.filename}`);
+      continue;
+    }
+    await client.query(
+      `insert into ops.schema_migrations (filename, checksum, method)
+       values ($1, $2, 'baseline')`,
+      [m.filename, m.checksum]
+    );
+    console.log(`[migrate] baselined ${m.filename}`);
+  }
+
+  console.log(`[migrate] ${dryRun ? "dry run, would baseline" : "baselined"}=${pending.length}`);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (args.command === "help") {
+    console.log(USAGE);
+    return;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("select pg_advisory_lock($1)", [LOCK_KEY]);
+
+    // status and --dry-run stay read-only
+    if (!args.dryRun && args.command !== "status") await ensureLedger(client);
+
+    const ledgerExists = await client.query("select to_regclass('ops.schema_migrations') is not null as ok");
+    const applied = ledgerExists.rows[0].ok ? await loadApplied(client) : new Map();
+    const rows = plan(loadMigrationFiles(), applied);
+
+    if (args.command === "status") printStatus(rows);
+    else if (args.command === "baseline") await runBaseline(client, rows, args);
+    else await runUp(client, rows, args);
+
+    if (args.command === "status" && rows.some((r) => r.state === "changed")) process.exitCode = 1;
+  } catch (err) {
+    console.error(`[migrate] failed | ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    try { await client.query("select pg_advisory_unlock($1)", [LOCK_KEY]); } catch (_) {}
+    client.release();
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,157 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { pool } = require("../../config/db");
+
+// Fact table behind each dataset's canonical view
+const DATASETS = {
+  demand_forecast: "ops.fact_demand_forecast_supply_item",
+  inbound_shipments: "ops.fact_inbound_shipments_supply_item",
+};
+
+const USAGE = `usage: node scripts/db/model_versions.js <command> [--note <text>] [--force]
+
+  list [dataset]                  registered versions, row counts and the active one
+  history [dataset]               promotions and rollbacks, newest first
+  promote <dataset> <version>     make <version> the one the canonical views read
+  rollback <dataset>              re-activate the version the last change replaced
+  --note <text>                   recorded in ops.model_version_history
+  --force                         promote a version that has no rows yet
+
+datasets: ${Object.keys(DATASETS).join(", ")}`;
+
+function parseArgs(argv) {
+  const args = { command: "list", positional: [], note: null, force: false };
+
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--note") args.note = argv[++i] || null;
+    else if (a === "--force") args.force = true;
+    else if (a === "-h" || a === "--help") args.command = "help";
+    else if (a.startsWith("--")) throw new Error(`Unknown argument: ${a}`);
+    else rest.push(a);
+  }
+
+  if (args.command === "help") return args;
+  if (rest.length) args.command = rest.shift();
+  args.positional = rest;
+
+  if (!["list", "history", "promote", "rollback"].includes(args.command)) {
+    throw new Error(`Unknown command: ${args.command}`);
+  }
+
+  const dataset = args.positional[0];
+  if (dataset && !DATASETS[dataset]) throw new Error(`Unknown dataset: ${dataset}`);
+  if (["promote", "rollback"].includes(args.command) && !dataset) {
+    throw new Error(`${args.command} needs a dataset`);
+  }
+  if (args.command === "promote" && !args.positional[1]) throw new Error("promote needs a version");
+
+  return args;
+}
+
+async function countRows(client, dataset, modelVersion) {
+  const res = await client.query(
+    `select count(*)::int as n from ${DATASETS[dataset]} where model_version = $1`,
+    [modelVersion]
+  );
+  return res.rows[0].n;
+}
+
+async function list(client, dataset) {
+  const res = await client.query(
+    `select dataset, model_version, is_active, description, activated_at
+     from ops.dim_model_version
+     where $1::text is null or dataset = $1
+     order by dataset, is_active desc, model_version`,
+    [dataset || null]
+  );
+
+  for (const r of res.rows) {
+    const rows = await countRows(client, r.dataset, r.model_version);
+    const since = r.is_active && r.activated_at ? `  since ${new Date(r.activated_at).toISOString()}` : "";
+    console.log(
+      `${r.is_active ? "*" : " "} ${r.dataset.padEnd(18)} ${r.model_version.padEnd(20)} rows=${String(rows).padEnd(6)} ${r.description || ""}${since}`
+    );
+  }
+}
+
+async function history(client, dataset) {
+  const res = await client.query(
+    `select dataset, model_version, previous_version, action, note, changed_at
+     from ops.model_version_history
+     where $1::text is null or dataset = $1
+     order by changed_at desc, id desc
+     limit 50`,
+    [dataset || null]
+  );
+
+  for (const r of res.rows) {
+    console.log(
+      `${new Date(r.changed_at).toISOString()} ${r.action.padEnd(8)} ${r.dataset} ${r.previous_version || "-"} -> ${r.model_version}${r.note ? `  (${r.note})` : ""}`
+    );
+  }
+  if (!res.rows.length) console.log("[model_versions] no changes recorded");
+}
+
+async function promote(client, dataset, modelVersion, { note, force }) {
+  const rows = await countRows(client, dataset, modelVersion);
+  if (!rows && !force) {
+    throw new Error(`${modelVersion} has no rows in ${DATASETS[dataset]}; use --force to promote it anyway`);
+  }
+
+  const res = await client.query("select ops.promote_model_version($1, $2, $3) as previous", [
+    dataset,
+    modelVersion,
+    note,
+  ]);
+  const previous = res.rows[0].previous;
+
+  if (previous === modelVersion) console.log(`[model_versions] ${dataset}: ${modelVersion} is already active`);
+  else console.log(`[model_versions] ${dataset}: ${previous || "-"} -> ${modelVersion} (rows=${rows})`);
+}
+
+async function rollback(client, dataset, { note }) {
+  const before = await client.query(
+    "select model_version from ops.dim_model_version where dataset = $1 and is_active",
+    [dataset]
+  );
+  const res = await client.query("select ops.rollback_model_version($1, $2) as restored", [dataset, note]);
+  console.log(`[model_versions] ${dataset}: ${before.rows[0]?.model_version || "-"} -> ${res.rows[0].restored} (rollback)`);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (args.command === "help") {
+    console.log(USAGE);
+    return;
+  }
+
+  const [dataset, modelVersion] = args.positional;
+  const client = await pool.connect();
+  try {
+    if (args.command === "list") await list(client, dataset);
+    else if (args.command === "history") await history(client, dataset);
+    else if (args.command === "promote") await promote(client, dataset, modelVersion, args);
+    else await rollback(client, dataset, args);
+  } catch (err) {
+    console.error(`[model_versions] failed | ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,132 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { pool } = require("../../config/db");
+const { createSmtpDelivery } = require("../lib/delivery");
+
+const TAG = "dunning_export";
+
+const OUT_DIR = path.resolve(process.env.DUNNING_OUT_DIR || path.resolve(__dirname, "../../exports"));
+// Only subscriptions at least this many days into dunning
+const MIN_DAYS = Number(process.env.DUNNING_MIN_DAYS || 0);
+
+// The CSV holds customer emails and names: mail it to CX rather than publishing it anywhere.
+// Same SMTP settings as the ops briefing.
+const EMAIL_TO = (process.env.DUNNING_EMAIL_TO || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean);
+const SMTP_HOST = process.env.SMTP_HOST || "127.0.0.1";
+const SMTP_PORT = Number(process.env.SMTP_PORT || 1025);
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_USER = process.env.SMTP_USER || "";
+const SMTP_PASS = process.env.SMTP_PASS || "";
+const SMTP_FROM = process.env.SMTP_FROM || "ops-brain@localhost";
+
+if (!Number.isFinite(MIN_DAYS) || MIN_DAYS < 0) {
+  console.error("DUNNING_MIN_DAYS must be a non-negative number");
+  process.exit(1);
+}
+
+// [header, column in ops.v_loop_dunning]
+const COLUMNS = [
+  ["subscription_id", "subscription_id"],
+  ["shopify_customer_id", "shopify_customer_id"],
+  ["email", "email"],
+  ["first_name", "first_name"],
+  ["last_name", "last_name"],
+  ["dunning_state", "dunning_state"],
+  ["payment_status", "last_payment_status"],
+  ["subscription_status", "status"],
+  ["dunning_started_at", "dunning_started_at"],
+  ["days_in_dunning", "days_in_dunning"],
+  ["failed_attempts", "failed_attempts"],
+  ["next_billing_at", "next_billing_at"],
+  ["currency", "currency_code"],
+  ["amount_at_risk", "amount_at_risk"],
+  ["mrr_at_risk", "mrr_at_risk"],
+  ["last_shopify_order_id", "last_shopify_order_id"],
+  ["last_order_financial_status", "last_order_financial_status"],
+];
+
+// Text starting with = + - @ is a formula to spreadsheets; a leading ' keeps it text.
+// Plain numbers (a negative amount) are left alone.
+function csvCell(x) {
+  if (x == null) return "";
+  let s = x instanceof Date ? x.toISOString() : String(x);
+  if (/^[=+\-@]/.test(s) && !/^[+-]?\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function toCsv(rows) {
+  const lines = [COLUMNS.map(([header]) => header).join(",")];
+  for (const r of rows) lines.push(COLUMNS.map(([, col]) => csvCell(r[col])).join(","));
+  return `${lines.join("\n")}\n`;
+}
+
+// Failed before pending, longest in dunning first
+async function loadDunning(client) {
+  const res = await client.query(
+    `select * from ops.v_loop_dunning
+     where days_in_dunning >= $1
+     order by dunning_state = 'pending', days_in_dunning desc, subscription_id`,
+    [MIN_DAYS]
+  );
+  return res.rows;
+}
+
+async function main() {
+  let rows;
+  try {
+    rows = await loadDunning(pool);
+  } catch (err) {
+    console.error(`[${TAG}] failed | ${err.message}`);
+    process.exitCode = 1;
+    return;
+  } finally {
+    await pool.end();
+  }
+
+  const day = new Date().toISOString().slice(0, 10);
+  const filename = `dunning-${day}.csv`;
+  const csv = toCsv(rows);
+
+  fs.mkdirSync(OUT_DIR, { recursive: true });
+  const file = path.join(OUT_DIR, filename);
+  fs.writeFileSync(file, csv);
+
+  const failed = rows.filter((r) => r.dunning_state === "failed").length;
+  const summary = `subscriptions=${rows.length} failed=${failed} pending=${rows.length - failed}`;
+  console.log(`[${TAG}] wrote ${file} | ${summary}`);
+
+  if (!EMAIL_TO.length) return;
+
+  const text = `${rows.length} subscriptions in dunning (${failed} failed, ${rows.length - failed} pending). The list is attached as ${filename}.`;
+  try {
+    const result = await createSmtpDelivery({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      user: SMTP_USER,
+      pass: SMTP_PASS,
+      from: SMTP_FROM,
+      to: EMAIL_TO,
+    }).deliver({
+      subject: `Dunning export ${day}`,
+      slug: `dunning-${day}`,
+      markdown: text,
+      html: `<p>${text}</p>`,
+      text,
+      attachments: [{ filename, contentType: "text/csv; charset=utf-8", content: csv }],
+    });
+    console.log(`[${TAG}] mailed ${filename} to ${EMAIL_TO.join(", ")} | ${result}`);
+  } catch (err) {
+    console.error(`[${TAG}] mail failed | ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main();
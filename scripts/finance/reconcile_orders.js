@@ -0,0 +1,119 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { withIngestionRun } = require("../lib/ingestionRun");
+
+const PIPELINE = "order_reconciliation";
+const SOURCE = "loop";
+
+// Window on order date; defaults to the last RECON_LOOKBACK_DAYS up to now
+const RECON_LOOKBACK_DAYS = Number(process.env.RECON_LOOKBACK_DAYS || 60);
+const RECON_FROM = (process.env.RECON_FROM || "").trim() || null;
+const RECON_TO = (process.env.RECON_TO || "").trim() || null;
+
+// Absolute amount (order currency) a Loop/Shopify difference may reach before it counts as a mismatch
+const RECON_TOLERANCE = Number(process.env.RECON_TOLERANCE || 0.05);
+
+if (!Number.isFinite(RECON_LOOKBACK_DAYS) || RECON_LOOKBACK_DAYS <= 0) {
+  console.error("RECON_LOOKBACK_DAYS must be a positive number");
+  process.exit(1);
+}
+if (!Number.isFinite(RECON_TOLERANCE) || RECON_TOLERANCE < 0) {
+  console.error("RECON_TOLERANCE must be a non-negative number");
+  process.exit(1);
+}
+for (const [name, value] of [["RECON_FROM", RECON_FROM], ["RECON_TO", RECON_TO]]) {
+  if (value && Number.isNaN(Date.parse(value))) {
+    console.error(`${name} must be an ISO date (got ${value})`);
+    process.exit(1);
+  }
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function isoDaysAgo(days) {
+  return new Date(Date.now() - days * 86400 * 1000).toISOString();
+}
+
+async function summarize(client, fromIso, toIso) {
+  const q = `
+    select
+      match_status,
+      count(*)::int as orders,
+      coalesce(sum(abs(total_price_delta)), 0)::float8 as abs_total_price_delta
+    from ops.fact_order_reconciliation
+    where order_at >= $1::timestamptz
+      and order_at < $2::timestamptz
+    group by match_status
+    order by match_status
+  `;
+  const res = await client.query(q, [fromIso, toIso]);
+  return res.rows;
+}
+
+async function main() {
+  const toIso = RECON_TO ? new Date(RECON_TO).toISOString() : nowIso();
+  const fromIso = RECON_FROM ? new Date(RECON_FROM).toISOString() : isoDaysAgo(RECON_LOOKBACK_DAYS);
+
+  if (new Date(fromIso) >= new Date(toIso)) {
+    console.error(`RECON_FROM (${fromIso}) must be before RECON_TO (${toIso})`);
+    process.exit(1);
+  }
+
+  await withIngestionRun(
+    {
+      source: SOURCE,
+      pipeline: PIPELINE,
+      metadata: {
+        from: fromIso,
+        to: toIso,
+        tolerance: RECON_TOLERANCE,
+        started_at: nowIso(),
+      },
+    },
+    async (ctx) => {
+      const client = await ctx.pool.connect();
+      ctx.setClient(client);
+
+      try {
+        console.log(`[${PIPELINE}] start | window=${fromIso} -> ${toIso} tolerance=${RECON_TOLERANCE}`);
+
+        await client.query("BEGIN");
+        ctx.beginTxn();
+
+        try {
+          const res = await client.query(
+            "select ops.reconcile_orders($1::timestamptz, $2::timestamptz, $3::numeric, $4::uuid) as written",
+            [fromIso, toIso, RECON_TOLERANCE, ctx.runId]
+          );
+          ctx.incrementUpserts(res.rows[0].written);
+
+          await client.query("COMMIT");
+          ctx.endTxn();
+        } catch (e) {
+          await client.query("ROLLBACK");
+          ctx.endTxn();
+          throw e;
+        }
+
+        const summary = await summarize(client, fromIso, toIso);
+        ctx.mergeMetadata({ summary });
+
+        for (const r of summary) {
+          console.log(
+            `[${PIPELINE}] ${r.match_status} | orders=${r.orders} abs_total_price_delta=${r.abs_total_price_delta.toFixed(2)}`
+          );
+        }
+      } finally {
+        ctx.setClient(null);
+        client.release();
+      }
+    }
+  );
+}
+
+main();
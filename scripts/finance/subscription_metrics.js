@@ -0,0 +1,84 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { withIngestionRun } = require("../lib/ingestionRun");
+
+const PIPELINE = "subscription_metrics_daily";
+const SOURCE = "model";
+
+// Days of movement columns to recompute, for Loop syncs that land late
+const LOOKBACK_DAYS = Number(process.env.METRICS_LOOKBACK_DAYS || 7);
+
+if (!Number.isInteger(LOOKBACK_DAYS) || LOOKBACK_DAYS < 0) {
+  console.error("METRICS_LOOKBACK_DAYS must be a non-negative integer");
+  process.exit(1);
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+async function loadCurrent(client) {
+  const res = await client.query(
+    `select currency_code, active_subscribers, paused_subscribers,
+            mrr::float8, arr::float8, arpu::float8, deferred_revenue::float8,
+            new_mrr_30d::float8, churned_mrr_30d::float8, net_new_mrr_30d::float8
+     from ops.v_subscription_metrics_current
+     where metric_date = current_date
+     order by mrr desc`
+  );
+  return res.rows;
+}
+
+async function main() {
+  await withIngestionRun(
+    {
+      source: SOURCE,
+      pipeline: PIPELINE,
+      metadata: {
+        lookback_days: LOOKBACK_DAYS,
+        started_at: nowIso(),
+      },
+    },
+    async (ctx) => {
+      const client = await ctx.pool.connect();
+      ctx.setClient(client);
+
+      try {
+        await client.query("BEGIN");
+        ctx.beginTxn();
+
+        try {
+          const res = await client.query(
+            "select ops.refresh_subscription_metrics($1::int, $2::uuid) as refreshed",
+            [LOOKBACK_DAYS, ctx.runId]
+          );
+          ctx.incrementUpserts(res.rows[0].refreshed);
+
+          await client.query("COMMIT");
+          ctx.endTxn();
+        } catch (e) {
+          await client.query("ROLLBACK");
+          ctx.endTxn();
+          throw e;
+        }
+
+        const current = await loadCurrent(client);
+        ctx.mergeMetadata({ current });
+
+        for (const r of current) {
+          console.log(
+            `[${PIPELINE}] ${r.currency_code} | active=${r.active_subscribers} paused=${r.paused_subscribers} mrr=${r.mrr.toFixed(2)} arr=${r.arr.toFixed(2)} arpu=${r.arpu == null ? "-" : r.arpu.toFixed(2)} deferred=${r.deferred_revenue.toFixed(2)} | 30d new=${r.new_mrr_30d.toFixed(2)} churned=${r.churned_mrr_30d.toFixed(2)} net=${r.net_new_mrr_30d.toFixed(2)}`
+          );
+        }
+      } finally {
+        ctx.setClient(null);
+        client.release();
+      }
+    }
+  );
+}
+
+main();
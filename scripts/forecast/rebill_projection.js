@@ -0,0 +1,293 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { withIngestionRun } = require("../lib/ingestionRun");
+
+const PIPELINE = "loop_rebill_projection";
+const SOURCE = "model";
+const MODEL_VERSION = "loop_rebill_v1";
+
+// Sheet forecast version that supplies the new customer and renewal units
+const SHEET_MODEL_VERSION = process.env.SHEET_MODEL_VERSION || "sheet_v1";
+
+const HORIZON_MONTHS = Number(process.env.REBILL_HORIZON_MONTHS || 6);
+const RATE_LOOKBACK_MONTHS = Number(process.env.RATE_LOOKBACK_MONTHS || 6);
+
+// Optional overrides for the monthly rates (fractions, e.g. 0.04)
+const CHURN_RATE = process.env.CHURN_RATE ? Number(process.env.CHURN_RATE) : null;
+const PAUSE_RATE = process.env.PAUSE_RATE ? Number(process.env.PAUSE_RATE) : null;
+
+for (const [name, value] of [
+  ["REBILL_HORIZON_MONTHS", HORIZON_MONTHS],
+  ["RATE_LOOKBACK_MONTHS", RATE_LOOKBACK_MONTHS],
+]) {
+  if (!Number.isInteger(value) || value <= 0) {
+    console.error(`${name} must be a positive integer`);
+    process.exit(1);
+  }
+}
+
+for (const [name, value] of [
+  ["CHURN_RATE", CHURN_RATE],
+  ["PAUSE_RATE", PAUSE_RATE],
+]) {
+  if (value !== null && !(value >= 0 && value < 1)) {
+    console.error(`${name} must be a fraction between 0 and 1`);
+    process.exit(1);
+  }
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+// Average monthly churn/pause over the last RATE_LOOKBACK_MONTHS complete months
+async function loadRates(client) {
+  const q = `
+    select
+      count(*)::int as months,
+      coalesce(sum(active_at_start), 0)::int as active_months,
+      coalesce(sum(cancelled)::float8 / nullif(sum(active_at_start), 0), 0) as churn_rate,
+      coalesce(sum(paused)::float8 / nullif(sum(active_at_start), 0), 0) as pause_rate
+    from ops.v_loop_subscription_monthly_rates
+    where month >= (date_trunc('month', now()) - make_interval(months => $1))::date
+  `;
+  const res = await client.query(q, [RATE_LOOKBACK_MONTHS]);
+  return res.rows[0];
+}
+
+// Rolls every active subscription through its billing interval, from the start of the
+// current month to the end of the horizon. Step 0 is next_billing_at; earlier steps are
+// this month's bills that already went out. A bill k months ahead is kept with probability
+// (1 - churn - pause)^k. One-time added lines ship on the next bill only; one-time removed
+// lines skip the next bill only.
+async function writeProjection(client, { runId, churnRate, pauseRate }) {
+  const q = `
+    with bounds as (
+      select
+        current_date as as_of_date,
+        date_trunc('month', now()) as from_at,
+        date_trunc('month', now()) + make_interval(months => $1) as to_at
+    ),
+    subs as (
+      select
+        s.subscription_id,
+        s.next_billing_at,
+        case upper(s.billing_interval)
+          when 'DAY' then make_interval(days => s.billing_interval_count)
+          when 'WEEK' then make_interval(weeks => s.billing_interval_count)
+          when 'MONTH' then make_interval(months => s.billing_interval_count)
+          when 'YEAR' then make_interval(years => s.billing_interval_count)
+        end as every,
+        case
+          when upper(s.billing_interval) = 'MONTH' and s.billing_interval_count = 1 then '1m'
+          when upper(s.billing_interval) = 'MONTH' and s.billing_interval_count = 3 then '3m'
+          else 'other'
+        end as billing_bucket
+      from ops.fact_loop_subscriptions s
+      where upper(s.status) = 'ACTIVE'
+        and not coalesce(s.is_marked_for_cancellation, false)
+        and s.next_billing_at is not null
+        and coalesce(s.billing_interval_count, 0) > 0
+    ),
+    bills as (
+      select
+        s.subscription_id,
+        s.billing_bucket,
+        step,
+        s.next_billing_at + s.every * step as bill_at
+      from subs s
+      cross join bounds b
+      cross join lateral generate_series(
+        floor(extract(epoch from (b.from_at - s.next_billing_at)) / extract(epoch from s.every))::int - 1,
+        ceil(extract(epoch from (b.to_at - s.next_billing_at)) / extract(epoch from s.every))::int + 1
+      ) as step
+      where s.every is not null
+    )
+    insert into ops.fact_rebill_projection
+      (as_of_date, month, sku, billing_bucket, bills, scheduled_units, expected_units,
+       churn_rate, pause_rate, run_id, created_at)
+    select
+      bo.as_of_date,
+      date_trunc('month', bi.bill_at)::date as month,
+      l.sku,
+      bi.billing_bucket,
+      count(distinct (bi.subscription_id, bi.step))::int,
+      sum(l.quantity),
+      round(sum(
+        l.quantity * power(
+          greatest(0, 1 - $2::numeric - $3::numeric),
+          greatest(0, (bi.bill_at::date - bo.as_of_date) / 30.4375)
+        )
+      ), 2),
+      $2, $3, $4, now()
+    from bills bi
+    cross join bounds bo
+    join ops.fact_loop_subscription_lines l
+      on l.subscription_id = bi.subscription_id
+    where bi.bill_at >= bo.from_at
+      and bi.bill_at < bo.to_at
+      and l.sku is not null
+      and l.quantity > 0
+      and (bi.step = 0 or not coalesce(l.is_one_time_added, false))
+      and not (bi.step = 0 and coalesce(l.is_one_time_removed, false))
+    group by 1, 2, 3, 4
+  `;
+
+  await client.query(`delete from ops.fact_rebill_projection where as_of_date = current_date`);
+  const res = await client.query(q, [HORIZON_MONTHS, churnRate, pauseRate, runId]);
+  return res.rowCount;
+}
+
+// Sheet forecast with its rebill rows swapped for the projection; 'other' cadences count as 1m.
+async function writeForecast(client) {
+  await client.query(
+    `delete from ops.fact_demand_forecast_supply_item
+     where source = 'model' and model_version = $1 and month >= date_trunc('month', now())::date`,
+    [MODEL_VERSION]
+  );
+
+  const q = `
+    with months as (
+      select generate_series(
+        date_trunc('month', now()),
+        date_trunc('month', now()) + make_interval(months => $2 - 1),
+        interval '1 month'
+      )::date as month
+    ),
+    sheet as (
+      select
+        f.supply_item_key,
+        f.month,
+        sum(f.forecast_new_customer_units)::int as new_customer_units,
+        sum(f.forecast_renewal_units)::int as renewal_units
+      from ops.fact_demand_forecast_supply_item f
+      join months m
+        on m.month = f.month
+      where f.model_version = $3
+      group by f.supply_item_key, f.month
+    ),
+    proj as (
+      select
+        p.supply_item_key,
+        p.month,
+        round(p.rebill_1m_units + p.rebill_other_units)::int as rebill_1m_units,
+        round(p.rebill_3m_units)::int as rebill_3m_units
+      from ops.v_rebill_projection_supply_item_current p
+      join months m
+        on m.month = p.month
+    ),
+    keys as (
+      select supply_item_key, month from sheet
+      union
+      select supply_item_key, month from proj
+    )
+    insert into ops.fact_demand_forecast_supply_item
+      (supply_item_key, month,
+       forecast_new_customer_units, forecast_renewal_units,
+       forecast_rebill_3m_units, forecast_rebill_1m_units,
+       forecast_total_units,
+       model_version, source, sheet_row_key, ingested_at)
+    select
+      k.supply_item_key,
+      k.month,
+      coalesce(s.new_customer_units, 0),
+      coalesce(s.renewal_units, 0),
+      coalesce(p.rebill_3m_units, 0),
+      coalesce(p.rebill_1m_units, 0),
+      coalesce(s.new_customer_units, 0) + coalesce(s.renewal_units, 0)
+        + coalesce(p.rebill_3m_units, 0) + coalesce(p.rebill_1m_units, 0),
+      $1, 'model', to_char(k.month, 'YYYY-MM') || '|' || k.supply_item_key || '|' || $1, now()
+    from keys k
+    left join sheet s
+      on s.supply_item_key = k.supply_item_key
+     and s.month = k.month
+    left join proj p
+      on p.supply_item_key = k.supply_item_key
+     and p.month = k.month
+  `;
+  await client.query("select ops.register_model_version('demand_forecast', $1, $2)", [
+    MODEL_VERSION,
+    `Loop rebill projection + ${SHEET_MODEL_VERSION} new customer/renewal units`,
+  ]);
+  const res = await client.query(q, [MODEL_VERSION, HORIZON_MONTHS, SHEET_MODEL_VERSION]);
+  return res.rowCount;
+}
+
+async function main() {
+  await withIngestionRun(
+    {
+      source: SOURCE,
+      pipeline: PIPELINE,
+      metadata: {
+        model_version: MODEL_VERSION,
+        sheet_model_version: SHEET_MODEL_VERSION,
+        horizon_months: HORIZON_MONTHS,
+        rate_lookback_months: RATE_LOOKBACK_MONTHS,
+        started_at: nowIso(),
+      },
+    },
+    async (ctx) => {
+      const client = await ctx.pool.connect();
+      ctx.setClient(client);
+
+      try {
+        const history = await loadRates(client);
+        const churnRate = CHURN_RATE ?? Number(history.churn_rate.toFixed(5));
+        const pauseRate = PAUSE_RATE ?? Number(history.pause_rate.toFixed(5));
+
+        console.log(
+          `[${PIPELINE}] rates | churn=${churnRate}${CHURN_RATE !== null ? " (override)" : ""} pause=${pauseRate}${PAUSE_RATE !== null ? " (override)" : ""} | history months=${history.months} active_months=${history.active_months}`
+        );
+
+        await client.query("BEGIN");
+        ctx.beginTxn();
+
+        let projectionRows;
+        let forecastRows;
+        try {
+          projectionRows = await writeProjection(client, { runId: ctx.runId, churnRate, pauseRate });
+          forecastRows = await writeForecast(client);
+          ctx.incrementUpserts(projectionRows + forecastRows);
+
+          await client.query("COMMIT");
+          ctx.endTxn();
+        } catch (e) {
+          await client.query("ROLLBACK");
+          ctx.endTxn();
+          throw e;
+        }
+
+        const summary = await client.query(
+          `select supply_item_key, to_char(month, 'YYYY-MM') as month,
+                  rebill_1m_units::float8, rebill_3m_units::float8, rebill_other_units::float8,
+                  rebill_units::float8, scheduled_units::float8
+           from ops.v_rebill_projection_supply_item_current
+           order by supply_item_key, month`
+        );
+
+        ctx.mergeMetadata({
+          churn_rate: churnRate,
+          pause_rate: pauseRate,
+          rate_history: history,
+          projection_rows: projectionRows,
+          forecast_rows: forecastRows,
+        });
+
+        for (const r of summary.rows) {
+          console.log(
+            `[${PIPELINE}] ${r.supply_item_key} ${r.month} | expected=${r.rebill_units.toFixed(1)} (1m=${r.rebill_1m_units.toFixed(1)} 3m=${r.rebill_3m_units.toFixed(1)} other=${r.rebill_other_units.toFixed(1)}) scheduled=${r.scheduled_units}`
+          );
+        }
+        console.log(`[${PIPELINE}] done | projection_rows=${projectionRows} forecast_rows=${forecastRows}`);
+      } finally {
+        ctx.setClient(null);
+        client.release();
+      }
+    }
+  );
+}
+
+main();
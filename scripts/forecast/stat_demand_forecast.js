@@ -0,0 +1,310 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { withIngestionRun } = require("../lib/ingestionRun");
+const {
+  addMonths,
+  monthsBetween,
+  toSeries,
+  seasonalNaive,
+  ses,
+  cohortRebill,
+} = require("../lib/forecast");
+
+const PIPELINE = "stat_demand_forecast";
+const SOURCE = "model";
+
+const MODELS = {
+  stat_snaive_v1: "seasonal naive",
+  stat_ses_v1: "simple exponential smoothing",
+  stat_cohort_v1: "subscription-cohort rebill + smoothed one-off demand",
+};
+
+const HORIZON_MONTHS = Number(process.env.FORECAST_HORIZON_MONTHS || 12);
+const BACKTEST_ORIGINS = Number(process.env.BACKTEST_ORIGINS || 6);
+const BACKTEST_HORIZON = Number(process.env.BACKTEST_HORIZON || 3);
+
+for (const [name, value] of [
+  ["FORECAST_HORIZON_MONTHS", HORIZON_MONTHS],
+  ["BACKTEST_ORIGINS", BACKTEST_ORIGINS],
+  ["BACKTEST_HORIZON", BACKTEST_HORIZON],
+]) {
+  if (!Number.isInteger(value) || value <= 0) {
+    console.error(`${name} must be a positive integer`);
+    process.exit(1);
+  }
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function currentMonth() {
+  return `${nowIso().slice(0, 7)}-01`;
+}
+
+function groupBy(rows, key) {
+  const out = new Map();
+  for (const r of rows) {
+    if (!out.has(r[key])) out.set(r[key], []);
+    out.get(r[key]).push(r);
+  }
+  return out;
+}
+
+async function loadActuals(client, beforeMonth) {
+  const q = `
+    select supply_item_key, to_char(month, 'YYYY-MM-DD') as month, actual_units::float8 as units
+    from ops.v_actual_demand_supply_item_monthly
+    where month < $1::date
+    order by supply_item_key, month
+  `;
+  const res = await client.query(q, [beforeMonth]);
+  return res.rows;
+}
+
+// Subscriptions started per month, by the supply items on their lines
+async function loadCohorts(client, beforeMonth) {
+  const q = `
+    select
+      m.supply_item_key,
+      to_char(date_trunc('month', s.created_at_loop), 'YYYY-MM-DD') as month,
+      count(distinct s.subscription_id)::int as subscribers
+    from ops.fact_loop_subscriptions s
+    join ops.fact_loop_subscription_lines l
+      on l.subscription_id = s.subscription_id
+    join ops.dim_supply_item_sku_map m
+      on m.sku = l.sku
+    where s.created_at_loop < $1::date
+    group by 1, 2
+    order by 1, 2
+  `;
+  const res = await client.query(q, [beforeMonth]);
+  return res.rows;
+}
+
+// Recurring (non-checkout, non-add-on) Loop order units by subscription cohort and billing month
+async function loadRebills(client, beforeMonth) {
+  const q = `
+    select
+      m.supply_item_key,
+      to_char(date_trunc('month', s.created_at_loop), 'YYYY-MM-DD') as cohort,
+      to_char(date_trunc('month', coalesce(o.shopify_created_at, o.billing_at)), 'YYYY-MM-DD') as month,
+      sum(ol.quantity * m.units_per_sku)::float8 as units
+    from ops.fact_loop_orders o
+    join ops.fact_loop_subscriptions s
+      on s.subscription_id = o.subscription_id
+    join ops.fact_loop_order_lines ol
+      on ol.loop_order_id = o.loop_order_id
+    join ops.dim_supply_item_sku_map m
+      on m.sku = ol.sku
+    where not coalesce(o.is_checkout_order, false)
+      and not ol.is_one_time
+      and s.created_at_loop is not null
+      and coalesce(o.shopify_created_at, o.billing_at) < $1::date
+    group by 1, 2, 3
+  `;
+  const res = await client.query(q, [beforeMonth]);
+  return res.rows;
+}
+
+function buildModels({ series, cohorts, rebills }) {
+  const rebillByMonth = new Map();
+  for (const r of rebills) rebillByMonth.set(r.month, (rebillByMonth.get(r.month) || 0) + r.units);
+
+  // Demand not explained by rebills: first orders and one-off purchases
+  const baseline = series.map((p) => ({
+    month: p.month,
+    units: Math.max(0, p.units - (rebillByMonth.get(p.month) || 0)),
+  }));
+
+  const history = (origin) => series.filter((p) => p.month < origin);
+
+  return {
+    stat_snaive_v1: (origin, horizon) => seasonalNaive(history(origin), horizon, { start: origin }),
+    stat_ses_v1: (origin, horizon) => ses(history(origin), horizon, { start: origin }),
+    stat_cohort_v1: (origin, horizon) => cohortRebill({ cohorts, rebills, baseline, origin, horizon }),
+  };
+}
+
+async function writeForecast(client, modelVersion, supplyItemKey, fromMonth, points) {
+  await client.query(
+    `delete from ops.fact_demand_forecast_supply_item
+     where source = 'model' and model_version = $1 and supply_item_key = $2 and month >= $3::date`,
+    [modelVersion, supplyItemKey, fromMonth]
+  );
+
+  const q = `
+    insert into ops.fact_demand_forecast_supply_item
+      (supply_item_key, month,
+       forecast_new_customer_units, forecast_renewal_units,
+       forecast_rebill_3m_units, forecast_rebill_1m_units,
+       forecast_total_units,
+       model_version, source, sheet_row_key, ingested_at)
+    values
+      ($1,$2,$3,0,0,$4,$5,$6,'model',$7,now())
+    on conflict (source, supply_item_key, month, model_version) do update set
+      forecast_new_customer_units = excluded.forecast_new_customer_units,
+      forecast_rebill_1m_units = excluded.forecast_rebill_1m_units,
+      forecast_total_units = excluded.forecast_total_units,
+      sheet_row_key = excluded.sheet_row_key,
+      ingested_at = now()
+  `;
+  for (const p of points) {
+    await client.query(q, [
+      supplyItemKey,
+      p.month,
+      Math.round(p.baseUnits ?? 0),
+      Math.round(p.rebillUnits ?? 0),
+      Math.round(p.units),
+      modelVersion,
+      `${p.month.slice(0, 7)}|${supplyItemKey}|${modelVersion}`,
+    ]);
+  }
+}
+
+async function writeBacktest(client, runId, row) {
+  const q = `
+    insert into ops.fact_forecast_backtest
+      (model_version, supply_item_key, origin_month, target_month, horizon,
+       forecast_units, actual_units, run_id, created_at)
+    values
+      ($1,$2,$3,$4,$5,$6,$7,$8,now())
+    on conflict (model_version, supply_item_key, origin_month, target_month) do update set
+      horizon = excluded.horizon,
+      forecast_units = excluded.forecast_units,
+      actual_units = excluded.actual_units,
+      run_id = excluded.run_id,
+      created_at = now()
+  `;
+  await client.query(q, [
+    row.modelVersion,
+    row.supplyItemKey,
+    row.origin,
+    row.target,
+    row.horizon,
+    row.forecast,
+    row.actual,
+    runId,
+  ]);
+}
+
+async function main() {
+  const forecastFrom = currentMonth();
+
+  await withIngestionRun(
+    {
+      source: SOURCE,
+      pipeline: PIPELINE,
+      metadata: {
+        models: MODELS,
+        forecast_from: forecastFrom,
+        horizon_months: HORIZON_MONTHS,
+        backtest_origins: BACKTEST_ORIGINS,
+        backtest_horizon: BACKTEST_HORIZON,
+        started_at: nowIso(),
+      },
+    },
+    async (ctx) => {
+      const client = await ctx.pool.connect();
+      ctx.setClient(client);
+
+      try {
+        const actuals = groupBy(await loadActuals(client, forecastFrom), "supply_item_key");
+        const cohorts = groupBy(await loadCohorts(client, forecastFrom), "supply_item_key");
+        const rebills = groupBy(await loadRebills(client, forecastFrom), "supply_item_key");
+
+        const summary = {};
+
+        await client.query("BEGIN");
+        ctx.beginTxn();
+
+        try {
+          for (const [modelVersion, description] of Object.entries(MODELS)) {
+            await client.query("select ops.register_model_version('demand_forecast', $1, $2)", [
+              modelVersion,
+              description,
+            ]);
+          }
+
+          for (const [supplyItemKey, rows] of actuals) {
+            const series = toSeries(rows, forecastFrom);
+            if (!series.length) continue;
+
+            const actualByMonth = new Map(series.map((p) => [p.month, p.units]));
+            const models = buildModels({
+              series,
+              cohorts: cohorts.get(supplyItemKey) || [],
+              rebills: rebills.get(supplyItemKey) || [],
+            });
+
+            for (const [modelVersion, run] of Object.entries(models)) {
+              const points = run(forecastFrom, HORIZON_MONTHS);
+              await writeForecast(client, modelVersion, supplyItemKey, forecastFrom, points);
+              ctx.incrementUpserts(points.length);
+
+              // Rolling-origin backtest over the last BACKTEST_ORIGINS complete months
+              let backtestPoints = 0;
+              for (let k = BACKTEST_ORIGINS; k >= 1; k--) {
+                const origin = addMonths(forecastFrom, -k);
+                if (origin <= series[0].month) continue;
+
+                const horizon = Math.min(BACKTEST_HORIZON, monthsBetween(origin, forecastFrom));
+                const predicted = run(origin, horizon);
+
+                for (let h = 0; h < predicted.length; h++) {
+                  await writeBacktest(client, ctx.runId, {
+                    modelVersion,
+                    supplyItemKey,
+                    origin,
+                    target: predicted[h].month,
+                    horizon: h + 1,
+                    forecast: Number(predicted[h].units.toFixed(2)),
+                    actual: actualByMonth.get(predicted[h].month) ?? 0,
+                  });
+                  backtestPoints++;
+                }
+              }
+              ctx.incrementUpserts(backtestPoints);
+
+              summary[`${supplyItemKey}|${modelVersion}`] = {
+                history_months: series.length,
+                forecast_months: points.length,
+                backtest_points: backtestPoints,
+              };
+            }
+
+            console.log(`[${PIPELINE}] ${supplyItemKey} | history_months=${series.length}`);
+          }
+
+          await client.query("COMMIT");
+          ctx.endTxn();
+        } catch (e) {
+          await client.query("ROLLBACK");
+          ctx.endTxn();
+          throw e;
+        }
+
+        const accuracy = await client.query(
+          `select model_version, supply_item_key, target_months, wape::float8, bias_pct::float8
+           from ops.v_forecast_model_accuracy
+           order by supply_item_key, model_version`
+        );
+        ctx.mergeMetadata({ summary, accuracy: accuracy.rows });
+
+        for (const r of accuracy.rows) {
+          console.log(
+            `[${PIPELINE}] accuracy | ${r.supply_item_key} ${r.model_version} months=${r.target_months} wape=${r.wape ?? "-"} bias=${r.bias_pct ?? "-"}`
+          );
+        }
+      } finally {
+        ctx.setClient(null);
+        client.release();
+      }
+    }
+  );
+}
+
+main();
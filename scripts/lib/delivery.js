@@ -0,0 +1,210 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+
+const axios = require("axios");
+
+// Report deliveries. Each factory returns { name, deliver(report) } where
+// report = { subject, slug, markdown, html, text }.
+
+function createFileDelivery({ dir }) {
+  return {
+    name: "file",
+    async deliver(report) {
+      fs.mkdirSync(dir, { recursive: true });
+      const base = path.join(dir, report.slug);
+      fs.writeFileSync(`${base}.md`, report.markdown);
+      fs.writeFileSync(`${base}.html`, report.html);
+      return `${base}.md, ${base}.html`;
+    },
+  };
+}
+
+// Slack-compatible incoming webhook: { text } plus the subject and Markdown body
+function createWebhookDelivery({ url, timeoutMs = 15000 }) {
+  return {
+    name: "webhook",
+    async deliver(report) {
+      const res = await axios.post(
+        url,
+        { text: report.text, subject: report.subject, markdown: report.markdown },
+        { timeout: timeoutMs, validateStatus: () => true }
+      );
+      if (res.status < 200 || res.status >= 300) {
+        throw new Error(`Webhook HTTP ${res.status}`);
+      }
+      return `HTTP ${res.status}`;
+    },
+  };
+}
+
+/**
+ * Minimal SMTP client: EHLO, optional AUTH PLAIN, one message as multipart/alternative
+ * (Markdown as text/plain + HTML). Meant for a local relay or stand-in (MailHog, smtp4dev,
+ * a cloud relay's local agent); `secure` opens implicit TLS, STARTTLS is not supported.
+ * report.attachments ([{ filename, contentType, content }]) wraps it in multipart/mixed.
+ */
+function createSmtpDelivery({ host, port, secure = false, user, pass, from, to, timeoutMs = 30000 }) {
+  function openSession() {
+    return new Promise((resolve, reject) => {
+      const socket = secure
+        ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+        : net.connect({ host, port }, () => resolve(socket));
+      socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`SMTP timeout after ${timeoutMs}ms`)));
+      socket.once("error", reject);
+    });
+  }
+
+  // Resolves with the next complete reply ("250-a\r\n250 b\r\n" -> { code: 250, lines })
+  function createReader(socket) {
+    let buffer = "";
+    let lines = [];
+    const replies = [];
+    const waiting = [];
+    let failure = null;
+
+    function flush() {
+      while (replies.length && waiting.length) waiting.shift().resolve(replies.shift());
+      if (failure) while (waiting.length) waiting.shift().reject(failure);
+    }
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let idx;
+      while ((idx = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+        lines.push(line);
+        if (/^\d{3} /.test(line) || /^\d{3}$/.test(line)) {
+          replies.push({ code: Number(line.slice(0, 3)), lines });
+          lines = [];
+        }
+      }
+      flush();
+    });
+    socket.on("error", (e) => {
+      failure = e;
+      flush();
+    });
+    socket.on("close", () => {
+      failure = failure || new Error("SMTP connection closed");
+      flush();
+    });
+
+    return () =>
+      new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        flush();
+      });
+  }
+
+  async function expect(next, codes, step) {
+    const reply = await next();
+    if (!codes.includes(reply.code)) {
+      throw new Error(`SMTP ${step} failed: ${reply.lines.join(" | ")}`);
+    }
+    return reply;
+  }
+
+  function buildMessage(report) {
+    const boundary = `ops-brain-${Date.now().toString(36)}`;
+    const encode = (s) => Buffer.from(s, "utf8").toString("base64").replace(/.{76}/g, "$&\r\n");
+    const subject = `=?UTF-8?B?${Buffer.from(report.subject, "utf8").toString("base64")}?=`;
+    const attachments = report.attachments || [];
+    const altBoundary = attachments.length ? `alt-${boundary}` : boundary;
+
+    const alternative = [
+      `Content-Type: multipart/alternative; boundary="${altBoundary}"`,
+      "",
+      `--${altBoundary}`,
+      "Content-Type: text/plain; charset=utf-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      encode(report.markdown),
+      `--${altBoundary}`,
+      "Content-Type: text/html; charset=utf-8",
+      "Content-Transfer-Encoding: base64",
+      "",
+      encode(report.html),
+      `--${altBoundary}--`,
+    ];
+
+    const body = attachments.length
+      ? [
+          `Content-Type: multipart/mixed; boundary="${boundary}"`,
+          "",
+          `--${boundary}`,
+          ...alternative,
+          ...attachments.flatMap((a) => [
+            `--${boundary}`,
+            `Content-Type: ${a.contentType || "application/octet-stream"}; name="${a.filename}"`,
+            `Content-Disposition: attachment; filename="${a.filename}"`,
+            "Content-Transfer-Encoding: base64",
+            "",
+            encode(a.content),
+          ]),
+          `--${boundary}--`,
+        ]
+      : alternative;
+
+    return [
+      `From: ${from}`,
+      `To: ${to.join(", ")}`,
+      `Subject: ${subject}`,
+      `Date: ${new Date().toUTCString()}`,
+      `Message-ID: <${boundary}@${os.hostname()}>`,
+      "MIME-Version: 1.0",
+      ...body,
+      "",
+    ].join("\r\n");
+  }
+
+  return {
+    name: "smtp",
+    async deliver(report) {
+      const socket = await openSession();
+      const next = createReader(socket);
+      const send = (line) => socket.write(`${line}\r\n`);
+
+      try {
+        await expect(next, [220], "greeting");
+        send(`EHLO ${os.hostname()}`);
+        await expect(next, [250], "EHLO");
+
+        if (user) {
+          send(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ""}`, "utf8").toString("base64")}`);
+          await expect(next, [235], "AUTH");
+        }
+
+        send(`MAIL FROM:<${from}>`);
+        await expect(next, [250], "MAIL FROM");
+        for (const rcpt of to) {
+          send(`RCPT TO:<${rcpt}>`);
+          await expect(next, [250, 251], `RCPT TO ${rcpt}`);
+        }
+
+        send("DATA");
+        await expect(next, [354], "DATA");
+        // Dot-stuffing: a line starting with "." gets a second one
+        socket.write(`${buildMessage(report).replace(/\r\n\./g, "\r\n..")}\r\n.\r\n`);
+        const accepted = await expect(next, [250], "message");
+
+        send("QUIT");
+        await next().catch(() => null);
+        return accepted.lines[accepted.lines.length - 1];
+      } finally {
+        socket.end();
+      }
+    },
+  };
+}
+
+module.exports = {
+  createFileDelivery,
+  createWebhookDelivery,
+  createSmtpDelivery,
+};
@@ -0,0 +1,137 @@
+"use strict";
+
+// Monthly demand forecasters. Series are arrays of { month: "YYYY-MM-01", units }
+// covering consecutive months; every function returns [{ month, units }] for the horizon.
+
+function addMonths(month, n) {
+  const [y, m] = month.split("-").map(Number);
+  const d = new Date(Date.UTC(y, m - 1 + n, 1));
+  return d.toISOString().slice(0, 10);
+}
+
+function monthsBetween(from, to) {
+  const [fy, fm] = from.split("-").map(Number);
+  const [ty, tm] = to.split("-").map(Number);
+  return (ty - fy) * 12 + (tm - fm);
+}
+
+// Fills gaps with zeros so index i is always `first + i months`; stops before `endExclusive`.
+function toSeries(rows, endExclusive) {
+  if (!rows.length) return [];
+  const byMonth = new Map(rows.map((r) => [r.month, Number(r.units) || 0]));
+  const first = rows.map((r) => r.month).sort()[0];
+
+  const out = [];
+  for (let m = first; m < endExclusive; m = addMonths(m, 1)) {
+    out.push({ month: m, units: byMonth.get(m) ?? 0 });
+  }
+  return out;
+}
+
+function futureMonths(series, horizon, start) {
+  const first = start || addMonths(series[series.length - 1].month, 1);
+  return Array.from({ length: horizon }, (_, i) => addMonths(first, i));
+}
+
+// Same month last year; falls back to the last observed month when history is under a year.
+function seasonalNaive(series, horizon, { start } = {}) {
+  if (!series.length) return [];
+  const months = futureMonths(series, horizon, start);
+  const byMonth = new Map(series.map((p) => [p.month, p.units]));
+  const last = series[series.length - 1].units;
+
+  return months.map((month) => {
+    let back = addMonths(month, -12);
+    while (back > series[series.length - 1].month) back = addMonths(back, -12);
+    return { month, units: byMonth.has(back) ? byMonth.get(back) : last };
+  });
+}
+
+// Simple exponential smoothing; alpha picked by lowest one-step-ahead squared error.
+function fitSes(values) {
+  let best = { alpha: 0.5, sse: Infinity, level: values[values.length - 1] ?? 0 };
+
+  for (let alpha = 0.1; alpha <= 0.9 + 1e-9; alpha += 0.1) {
+    let level = values[0];
+    let sse = 0;
+    for (let i = 1; i < values.length; i++) {
+      const err = values[i] - level;
+      sse += err * err;
+      level = alpha * values[i] + (1 - alpha) * level;
+    }
+    if (sse < best.sse) best = { alpha: Number(alpha.toFixed(1)), sse, level };
+  }
+
+  return best;
+}
+
+function ses(series, horizon, { start } = {}) {
+  if (!series.length) return [];
+  const { level } = fitSes(series.map((p) => p.units));
+  return futureMonths(series, horizon, start).map((month) => ({ month, units: Math.max(0, level) }));
+}
+
+/**
+ * Subscription-cohort rebill model.
+ *   cohorts: [{ month, subscribers }]   subscriptions started per month
+ *   rebills: [{ cohort, month, units }] rebill units by cohort and billing month
+ *   baseline: series of non-rebill units (first orders + one-off), forecast with SES
+ * Rebill units per subscriber at each cohort age are averaged over cohorts old enough to
+ * have reached that age; future cohorts are sized with SES on recent cohort sizes.
+ * Only data before `origin` is used, so the same call serves forecasts and backtests.
+ */
+function cohortRebill({ cohorts, rebills, baseline, origin, horizon }) {
+  const pastCohorts = cohorts.filter((c) => c.month < origin).sort((a, b) => (a.month < b.month ? -1 : 1));
+  const pastRebills = rebills.filter((r) => r.month < origin && r.cohort < origin);
+
+  const unitsByAge = new Map();
+  for (const r of pastRebills) {
+    const age = monthsBetween(r.cohort, r.month);
+    if (age < 1) continue;
+    unitsByAge.set(age, (unitsByAge.get(age) || 0) + Number(r.units));
+  }
+
+  const maxAge = pastCohorts.length ? monthsBetween(pastCohorts[0].month, addMonths(origin, -1)) : 0;
+  const curve = [0];
+  for (let age = 1; age <= maxAge; age++) {
+    const exposed = pastCohorts
+      .filter((c) => monthsBetween(c.month, origin) > age)
+      .reduce((acc, c) => acc + Number(c.subscribers), 0);
+    curve[age] = exposed ? (unitsByAge.get(age) || 0) / exposed : 0;
+  }
+
+  // Beyond observed ages, hold the mean of the last three observed ages
+  const tail = curve.slice(1).slice(-3);
+  const tailRate = tail.length ? tail.reduce((a, b) => a + b, 0) / tail.length : 0;
+  const rateAt = (age) => (age < curve.length ? curve[age] : tailRate);
+
+  const cohortSeries = toSeries(
+    pastCohorts.map((c) => ({ month: c.month, units: c.subscribers })),
+    origin
+  );
+  const newCohortSize = cohortSeries.length ? fitSes(cohortSeries.map((p) => p.units)).level : 0;
+
+  const baseSeries = baseline.filter((p) => p.month < origin);
+  const baseForecast = ses(baseSeries, horizon, { start: origin });
+
+  const months = Array.from({ length: horizon }, (_, i) => addMonths(origin, i));
+
+  return months.map((month, i) => {
+    let rebill = 0;
+    for (const c of pastCohorts) rebill += Number(c.subscribers) * rateAt(monthsBetween(c.month, month));
+    for (let k = 0; k < i; k++) rebill += newCohortSize * rateAt(i - k);
+
+    const base = baseForecast[i]?.units ?? 0;
+    return { month, units: base + rebill, baseUnits: base, rebillUnits: rebill };
+  });
+}
+
+module.exports = {
+  addMonths,
+  monthsBetween,
+  toSeries,
+  seasonalNaive,
+  fitSes,
+  ses,
+  cohortRebill,
+};
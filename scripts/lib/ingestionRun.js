@@ -60,6 +60,7 @@ async function withIngestionRun(
   let inTxn = false;
   let rowsUpserted = 0;
   let rowsDeleted = 0;
+  const metadataPatch = {};
 
   async function gracefulShutdown(reason, err) {
     if (shuttingDown) return;
@@ -84,7 +85,7 @@ async function withIngestionRun(
           rowsUpserted,
           rowsDeleted,
           message,
-          { finished_at: nowIso(), terminated: true }
+          { ...metadataPatch, finished_at: nowIso(), terminated: true }
         );
       }
     } catch (e) {
@@ -112,6 +113,7 @@ async function withIngestionRun(
       endTxn: () => (inTxn = false),
       incrementUpserts: (n = 1) => (rowsUpserted += n),
       incrementDeletes: (n = 1) => (rowsDeleted += n),
+      mergeMetadata: (patch) => Object.assign(metadataPatch, patch),
     };
 
     await handler(context);
@@ -122,7 +124,7 @@ async function withIngestionRun(
       rowsUpserted,
       rowsDeleted,
       null,
-      { finished_at: nowIso() }
+      { ...metadataPatch, finished_at: nowIso() }
     );
 
     console.log(`[${pipeline}] succeeded | upserts=${rowsUpserted}`);
@@ -133,7 +135,7 @@ async function withIngestionRun(
       rowsUpserted,
       rowsDeleted,
       err.message,
-      { finished_at: nowIso() }
+      { ...metadataPatch, finished_at: nowIso() }
     );
 
     console.error(`[${pipeline}] failed | ${err.message}`);
@@ -0,0 +1,38 @@
+"use strict";
+
+// Shared by the Loop subscription syncs. Lifecycle events come from diffing each page of
+// subscriptions against what was stored before it was written: call captureStates before
+// the upserts and recordEvents after them, in the same transaction.
+
+async function captureStates(client, subscriptionIds) {
+  const res = await client.query("select ops.loop_subscription_states($1::bigint[]) as states", [
+    subscriptionIds,
+  ]);
+  return res.rows[0].states;
+}
+
+// Lifecycle and payment events; returns the number appended to ops.fact_loop_subscription_events
+async function recordEvents(client, subscriptionIds, before) {
+  const res = await client.query(
+    `select ops.record_loop_subscription_events($1::bigint[], $2::jsonb)
+          + ops.record_loop_payment_events($1::bigint[], $2::jsonb) as events`,
+    [subscriptionIds, JSON.stringify(before || {})]
+  );
+  return res.rows[0].events;
+}
+
+// Loop returns a subscription's full line list; lines it no longer returns were removed
+async function deleteRemovedLines(client, subscriptionId, lines) {
+  const lineIds = lines.map((l) => l?.id).filter((id) => id != null);
+  const res = await client.query(
+    `
+    delete from ops.fact_loop_subscription_lines
+    where subscription_id = $1
+      and not (line_id = any($2::bigint[]))
+    `,
+    [subscriptionId, lineIds]
+  );
+  return res.rowCount;
+}
+
+module.exports = { captureStates, recordEvents, deleteRemovedLines };
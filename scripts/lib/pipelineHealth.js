@@ -0,0 +1,124 @@
+"use strict";
+
+// Pipeline freshness checks against ops.pipeline_sla, shared by the health check and the briefing.
+
+function age(hoursAgo) {
+  return hoursAgo == null ? "never" : `${Number(hoursAgo).toFixed(1)}h ago`;
+}
+
+// 'started' runs past their timeout: the process died without reaching finishIngestionRun
+async function findOrphanedRuns(client, defaultStuckAfterMinutes) {
+  const q = `
+    select
+      r.id,
+      r.pipeline,
+      r.started_at,
+      coalesce(s.stuck_after_minutes, $1)::int as stuck_after_minutes
+    from ops.ingestion_runs r
+    left join ops.pipeline_sla s
+      on s.pipeline = r.pipeline
+    where r.status = 'started'
+      and r.started_at < now() - make_interval(mins => coalesce(s.stuck_after_minutes, $1)::int)
+    order by r.started_at
+  `;
+  const res = await client.query(q, [defaultStuckAfterMinutes]);
+  return res.rows;
+}
+
+async function loadPipelineStatus(client) {
+  const q = `
+    with last_success as (
+      select pipeline, max(coalesce(finished_at, started_at)) as last_success_at
+      from ops.ingestion_runs
+      where status = 'succeeded'
+      group by pipeline
+    ),
+    last_run as (
+      select distinct on (pipeline)
+        pipeline, status, started_at, error_message
+      from ops.ingestion_runs
+      order by pipeline, started_at desc
+    ),
+    failures as (
+      select r.pipeline, count(*)::int as consecutive_failures
+      from ops.ingestion_runs r
+      left join last_success ls
+        on ls.pipeline = r.pipeline
+      where r.status = 'failed'
+        and r.started_at > coalesce(ls.last_success_at, '-infinity'::timestamptz)
+      group by r.pipeline
+    )
+    select
+      s.pipeline,
+      s.max_age_hours::float8 as max_age_hours,
+      s.max_consecutive_failures,
+      s.sync_state_key,
+      ls.last_success_at,
+      extract(epoch from now() - ls.last_success_at) / 3600 as success_age_hours,
+      coalesce(f.consecutive_failures, 0) as consecutive_failures,
+      lr.status as last_status,
+      lr.started_at as last_started_at,
+      lr.error_message as last_error,
+      ss.updated_at as sync_state_updated_at,
+      extract(epoch from now() - ss.updated_at) / 3600 as sync_state_age_hours
+    from ops.pipeline_sla s
+    left join last_success ls on ls.pipeline = s.pipeline
+    left join last_run lr on lr.pipeline = s.pipeline
+    left join failures f on f.pipeline = s.pipeline
+    left join ops.sync_state ss on ss.key = s.sync_state_key
+    where s.is_enabled
+    order by s.pipeline
+  `;
+  const res = await client.query(q);
+  return res.rows;
+}
+
+// markedFailed: the orphaned runs were (or will be) marked failed by the caller
+function evaluate(pipelines, orphaned, { markedFailed = false } = {}) {
+  const problems = [];
+
+  for (const p of pipelines) {
+    if (p.success_age_hours == null || p.success_age_hours > p.max_age_hours) {
+      problems.push({
+        pipeline: p.pipeline,
+        check: "stale",
+        message: `last success ${age(p.success_age_hours)} (max ${p.max_age_hours}h)`,
+      });
+    }
+
+    if (p.consecutive_failures >= p.max_consecutive_failures) {
+      problems.push({
+        pipeline: p.pipeline,
+        check: "failing",
+        message: `${p.consecutive_failures} failed run(s) since last success (alert at ${p.max_consecutive_failures})` +
+          (p.last_error ? `; last error: ${String(p.last_error).slice(0, 200)}` : ""),
+      });
+    }
+
+    if (p.sync_state_key && (p.sync_state_age_hours == null || p.sync_state_age_hours > p.max_age_hours)) {
+      problems.push({
+        pipeline: p.pipeline,
+        check: "stale_cursor",
+        message: `sync_state '${p.sync_state_key}' updated ${age(p.sync_state_age_hours)} (max ${p.max_age_hours}h)`,
+      });
+    }
+  }
+
+  for (const r of orphaned) {
+    problems.push({
+      pipeline: r.pipeline,
+      check: "orphaned",
+      message: `run ${r.id} started ${new Date(r.started_at).toISOString()} never finished (timeout ${r.stuck_after_minutes}m)` +
+        (markedFailed ? "; marked failed" : ""),
+    });
+  }
+
+  return problems;
+}
+
+module.exports = {
+  age,
+  findOrphanedRuns,
+  loadPipelineStatus,
+  evaluate,
+};
@@ -0,0 +1,266 @@
+"use strict";
+
+const axios = require("axios");
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+const shop = (process.env.SHOPIFY_STORE || "").trim();
+const token = (process.env.SHOPIFY_ADMIN_TOKEN || "").trim();
+const version = (process.env.SHOPIFY_API_VERSION || "2024-10").trim();
+const timeoutMs = Number(process.env.SHOPIFY_TIMEOUT_MS || 60000);
+const rps = Number(process.env.SHOPIFY_RPS || 2);
+
+// REST leaky bucket: standard stores leak 2 calls/s, Plus stores 20 calls/s.
+const leakRate = Number(process.env.SHOPIFY_LEAK_RATE || 2);
+// Start waiting once the bucket is this full, before Shopify answers 429.
+const bucketHighWater = Number(process.env.SHOPIFY_BUCKET_HIGH_WATER || 0.8);
+
+/**
+ * Shopify REST cursor pagination uses Link header:
+ * <https://.../orders.json?...&page_info=XYZ>; rel="next"
+ */
+function extractNextPageInfo(linkHeader) {
+  if (!linkHeader) return null;
+
+  const parts = linkHeader.split(",");
+  for (const p of parts) {
+    const section = p.trim();
+    if (!section.includes('rel="next"')) continue;
+
+    const m = section.match(/<([^>]+)>/);
+    if (!m) continue;
+
+    try {
+      const u = new URL(m[1]);
+      return u.searchParams.get("page_info");
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+/**
+ * X-Shopify-Shop-Api-Call-Limit: "32/40" -> { used: 32, max: 40 }
+ */
+function parseCallLimit(header) {
+  if (!header) return null;
+  const m = String(header).match(/^\s*(\d+)\s*\/\s*(\d+)\s*$/);
+  if (!m) return null;
+  const used = Number(m[1]);
+  const max = Number(m[2]);
+  if (!Number.isFinite(used) || !Number.isFinite(max) || max <= 0) return null;
+  return { used, max };
+}
+
+function createShopifyClient(opts = {}) {
+  if (!shop || !token) throw new Error("Missing SHOPIFY_STORE or SHOPIFY_ADMIN_TOKEN");
+  if (!Number.isFinite(rps) || rps <= 0) throw new Error("SHOPIFY_RPS must be a positive number");
+
+  const api = axios.create({
+    baseURL: `https://${shop}/admin/api/${version}`,
+    headers: {
+      "X-Shopify-Access-Token": token,
+      "Content-Type": "application/json",
+    },
+    timeout: opts.timeoutMs ?? timeoutMs,
+    maxRedirects: 5, // handle 301 -> myshopify redirects safely
+    validateStatus: () => true,
+    // Swap the HTTP transport (scripts/check/shopify_client.js answers from canned responses)
+    ...(opts.adapter ? { adapter: opts.adapter } : {}),
+  });
+
+  let lastRequestAt = 0;
+  let bucket = null;
+  // Callers sharing this client (e.g. concurrent backfill slices) take turns through throttle()
+  let throttleQueue = Promise.resolve();
+
+  const metrics = {
+    calls: 0,
+    retries: 0,
+    rate_limited: 0,
+    server_errors: 0,
+    network_errors: 0,
+    bucket_waits: 0,
+    bucket_wait_ms: 0,
+    total_ms: 0,
+    max_bucket_used: 0,
+    by_path: {},
+  };
+
+  function recordCall(url, status, ms) {
+    metrics.calls++;
+    metrics.total_ms += ms;
+
+    const key = String(url).split("?")[0];
+    const p = metrics.by_path[key] || (metrics.by_path[key] = { calls: 0, total_ms: 0, statuses: {} });
+    p.calls++;
+    p.total_ms += ms;
+    p.statuses[status] = (p.statuses[status] || 0) + 1;
+  }
+
+  function throttle() {
+    const turn = throttleQueue.then(waitForTurn);
+    throttleQueue = turn.catch(() => {});
+    return turn;
+  }
+
+  async function waitForTurn() {
+    const minGapMs = Math.ceil(1000 / rps);
+    const elapsed = Date.now() - lastRequestAt;
+    if (elapsed < minGapMs) await sleep(minGapMs - elapsed);
+
+    // Drain the bucket down to the high-water mark before spending another call
+    if (bucket) {
+      const threshold = Math.floor(bucket.max * bucketHighWater);
+      if (bucket.used >= threshold) {
+        const waitMs = Math.ceil(((bucket.used - threshold + 1) / Math.max(1, leakRate)) * 1000);
+        metrics.bucket_waits++;
+        metrics.bucket_wait_ms += waitMs;
+        await sleep(waitMs);
+        bucket = null;
+      }
+    }
+
+    lastRequestAt = Date.now();
+  }
+
+  async function requestWithRetry(method, url, { params, data } = {}, opts = {}) {
+    const maxAttempts = opts.maxAttempts ?? 8;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      if (attempt > 1) metrics.retries++;
+      await throttle();
+
+      const t0 = Date.now();
+      let res;
+      try {
+        res = await api.request({ method, url, params, data });
+      } catch (err) {
+        recordCall(url, "network_error", Date.now() - t0);
+        metrics.network_errors++;
+        if (attempt === maxAttempts) throw err;
+        const backoff = Math.min(30000, 500 * 2 ** (attempt - 1));
+        console.warn(`Shopify network error (${err.code || err.message}). Backoff ${backoff}ms (attempt ${attempt}/${maxAttempts})`);
+        await sleep(backoff);
+        continue;
+      }
+
+      recordCall(url, res.status, Date.now() - t0);
+
+      const limit = parseCallLimit(res.headers?.["x-shopify-shop-api-call-limit"]);
+      if (limit) {
+        bucket = limit;
+        if (limit.used > metrics.max_bucket_used) metrics.max_bucket_used = limit.used;
+      }
+
+      if (res.status >= 200 && res.status < 300) return res;
+
+      // Rate limit
+      if (res.status === 429) {
+        metrics.rate_limited++;
+        const retryAfter = Number(res.headers?.["retry-after"] || 1);
+        const waitMs = Math.max(1000, retryAfter * 1000);
+        console.warn(`Shopify 429 rate-limited. Wait ${waitMs}ms (attempt ${attempt}/${maxAttempts})`);
+        await sleep(waitMs);
+        continue;
+      }
+
+      // Transient server errors
+      if (res.status >= 500 && res.status <= 599) {
+        metrics.server_errors++;
+        const backoff = Math.min(30000, 500 * 2 ** (attempt - 1));
+        console.warn(`Shopify ${res.status} server error. Backoff ${backoff}ms (attempt ${attempt}/${maxAttempts})`);
+        await sleep(backoff);
+        continue;
+      }
+
+      // Non-retryable
+      const body = typeof res.data === "string" ? res.data : JSON.stringify(res.data);
+      const err = new Error(`Shopify HTTP ${res.status}: ${body}`);
+      err.status = res.status;
+      throw err;
+    }
+
+    throw new Error(`Shopify request failed after ${maxAttempts} attempts`);
+  }
+
+  /**
+   * Async iterator over a REST collection, one page at a time:
+   *   for await (const { items, nextPageInfo } of shopify.paginate("/orders.json", { key: "orders", params })) { ... }
+   *
+   * Shopify rejects filters alongside page_info, so only `limit` and `fields`
+   * are carried onto follow-up pages. Pass `pageInfo` to resume from a saved cursor.
+   */
+  async function* paginate(url, { key, params = {}, pageInfo = null } = {}) {
+    if (!key) throw new Error("paginate requires the response collection key (e.g. 'orders')");
+
+    const cursorParams = {};
+    if (params.limit != null) cursorParams.limit = params.limit;
+    if (params.fields != null) cursorParams.fields = params.fields;
+
+    let next = pageInfo;
+
+    while (true) {
+      const reqParams = next ? { ...cursorParams, page_info: next } : params;
+      const res = await requestWithRetry("GET", url, { params: reqParams });
+
+      const items = Array.isArray(res.data?.[key]) ? res.data[key] : [];
+      next = extractNextPageInfo(res.headers?.link);
+
+      yield { items, nextPageInfo: next, res };
+
+      if (!next || !items.length) break;
+    }
+  }
+
+  /**
+   * POST /graphql.json. Retries when the query cost bucket is exhausted (THROTTLED);
+   * other GraphQL errors throw. Resolves with `data`.
+   */
+  async function graphql(query, variables = {}, opts = {}) {
+    const maxAttempts = opts.maxAttempts ?? 8;
+
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const res = await requestWithRetry("POST", "/graphql.json", { data: { query, variables } });
+      const errors = res.data?.errors;
+
+      if (!errors) return res.data?.data;
+
+      const list = Array.isArray(errors) ? errors : [errors];
+      if (list.some((e) => e?.extensions?.code === "THROTTLED") && attempt < maxAttempts) {
+        const cost = res.data?.extensions?.cost;
+        const needed = cost?.requestedQueryCost ?? 0;
+        const available = cost?.throttleStatus?.currentlyAvailable ?? 0;
+        const restoreRate = cost?.throttleStatus?.restoreRate || 50;
+        const waitMs = Math.max(1000, Math.ceil(((needed - available) / restoreRate) * 1000));
+        metrics.rate_limited++;
+        console.warn(`Shopify GraphQL throttled. Wait ${waitMs}ms (attempt ${attempt}/${maxAttempts})`);
+        await sleep(waitMs);
+        continue;
+      }
+
+      throw new Error(`Shopify GraphQL error: ${JSON.stringify(list)}`);
+    }
+
+    throw new Error(`Shopify GraphQL request failed after ${maxAttempts} attempts`);
+  }
+
+  function getMetrics() {
+    return {
+      ...metrics,
+      avg_ms: metrics.calls ? Math.round(metrics.total_ms / metrics.calls) : 0,
+      by_path: JSON.parse(JSON.stringify(metrics.by_path)),
+    };
+  }
+
+  return { shop, version, rps, requestWithRetry, paginate, graphql, getMetrics, nowIso };
+}
+
+module.exports = { createShopifyClient, extractNextPageInfo, parseCallLimit, nowIso };
@@ -0,0 +1,306 @@
+"use strict";
+
+const readline = require("readline");
+
+const axios = require("axios");
+
+// Shopify GraphQL bulk operations for orders: submit a bulkOperationRunQuery, poll until it
+// finishes, stream the JSONL result and reassemble each order into the REST payload shape
+// that shopifyOrders.upsertOrderGraph expects.
+
+function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+// "gid://shopify/Order/123" -> 123
+function gidToId(gid) {
+  if (gid == null) return null;
+  const m = String(gid).match(/\/(\d+)(?:\?.*)?$/);
+  return m ? Number(m[1]) : null;
+}
+
+function money(set) {
+  return set?.shopMoney?.amount ?? null;
+}
+
+function lowerOrNull(x) {
+  return x == null ? null : String(x).toLowerCase();
+}
+
+// GraphQL display status -> REST fulfillment_status. REST has no value for in-progress,
+// on-hold or scheduled orders; it reports them as unfulfilled (null), as it does any
+// status added after this list.
+const FULFILLMENT_STATUS = {
+  FULFILLED: "fulfilled",
+  PARTIALLY_FULFILLED: "partial",
+  RESTOCKED: "restocked",
+  UNFULFILLED: null,
+  IN_PROGRESS: null,
+  ON_HOLD: null,
+  SCHEDULED: null,
+  PENDING_FULFILLMENT: null,
+  OPEN: null,
+  REQUEST_DECLINED: null,
+};
+
+function restFulfillmentStatus(x) {
+  return FULFILLMENT_STATUS[x] ?? null;
+}
+
+/**
+ * Bulk query for orders in a created_at window (either bound optional). Line items come
+ * back as separate JSONL rows carrying __parentId. Bulk operations reject a connection
+ * inside a list field, so refunds carry only their headers; loadRefunds fills them in.
+ */
+function buildOrdersBulkQuery({ createdAtMin = null, createdAtMax = null } = {}) {
+  const filters = [];
+  if (createdAtMin) filters.push(`created_at:>='${createdAtMin}'`);
+  if (createdAtMax) filters.push(`created_at:<='${createdAtMax}'`);
+  const queryArg = filters.length ? `query: "${filters.join(" ")}", ` : "";
+
+  return `
+{
+  orders(${queryArg}sortKey: CREATED_AT) {
+    edges {
+      node {
+        id
+        name
+        processedAt
+        createdAt
+        updatedAt
+        currencyCode
+        displayFinancialStatus
+        displayFulfillmentStatus
+        cancelledAt
+        cancelReason
+        tags
+        test
+        customer { id }
+        totalPriceSet { shopMoney { amount } }
+        subtotalPriceSet { shopMoney { amount } }
+        totalTaxSet { shopMoney { amount } }
+        totalDiscountsSet { shopMoney { amount } }
+        totalShippingPriceSet { shopMoney { amount } }
+        lineItems {
+          edges {
+            node {
+              id
+              sku
+              name
+              title
+              variantTitle
+              quantity
+              originalUnitPriceSet { shopMoney { amount } }
+              totalDiscountSet { shopMoney { amount } }
+              taxLines { priceSet { shopMoney { amount } } }
+              sellingPlan { sellingPlanId }
+              product { id }
+              variant { id inventoryItem { id } }
+            }
+          }
+        }
+        refunds {
+          id
+          createdAt
+          note
+        }
+      }
+    }
+  }
+}`;
+}
+
+const BULK_OPERATION_FIELDS = `
+  id
+  status
+  errorCode
+  objectCount
+  fileSize
+  url
+  partialDataUrl
+  createdAt
+  completedAt
+`;
+
+async function submitBulkQuery(shopify, query) {
+  const data = await shopify.graphql(
+    `mutation($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation { ${BULK_OPERATION_FIELDS} }
+        userErrors { field message }
+      }
+    }`,
+    { query }
+  );
+
+  const out = data?.bulkOperationRunQuery;
+  if (out?.userErrors?.length) {
+    throw new Error(`bulkOperationRunQuery rejected: ${out.userErrors.map((e) => e.message).join("; ")}`);
+  }
+  if (!out?.bulkOperation?.id) throw new Error("bulkOperationRunQuery returned no operation");
+  return out.bulkOperation;
+}
+
+async function getBulkOperation(shopify, id) {
+  const data = await shopify.graphql(
+    `query($id: ID!) { node(id: $id) { ... on BulkOperation { ${BULK_OPERATION_FIELDS} } } }`,
+    { id }
+  );
+  if (!data?.node) throw new Error(`Bulk operation not found: ${id}`);
+  return data.node;
+}
+
+/**
+ * Polls until the operation leaves CREATED/RUNNING. Resolves with the COMPLETED operation
+ * (url is null when nothing matched); any other final status throws.
+ */
+async function waitForBulkOperation(shopify, id, { pollMs = 10000, timeoutMs = 4 * 3600 * 1000, onPoll } = {}) {
+  const deadline = Date.now() + timeoutMs;
+
+  while (true) {
+    const op = await getBulkOperation(shopify, id);
+    if (onPoll) await onPoll(op);
+
+    if (op.status === "COMPLETED") return op;
+    if (!["CREATED", "RUNNING", "CANCELING"].includes(op.status)) {
+      throw new Error(`Bulk operation ${id} ${op.status}${op.errorCode ? ` (${op.errorCode})` : ""}`);
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Bulk operation ${id} still ${op.status} after ${Math.round(timeoutMs / 60000)}m`);
+    }
+
+    await sleep(pollMs);
+  }
+}
+
+// One parsed object per JSONL line, without holding the file in memory
+async function* streamJsonl(url, { timeoutMs = 120000 } = {}) {
+  const res = await axios.get(url, { responseType: "stream", timeout: timeoutMs });
+  const lines = readline.createInterface({ input: res.data, crlfDelay: Infinity });
+
+  for await (const line of lines) {
+    if (line.trim()) yield JSON.parse(line);
+  }
+}
+
+function toRestOrder(node, lineItems) {
+  const restLineItems = lineItems.map((li) => ({
+    id: gidToId(li.id),
+    sku: li.sku,
+    name: li.name,
+    title: li.title,
+    variant_title: li.variantTitle,
+    quantity: li.quantity,
+    price: money(li.originalUnitPriceSet),
+    total_discount: money(li.totalDiscountSet),
+    tax_lines: (li.taxLines || []).map((t) => ({ price: money(t.priceSet) })),
+    selling_plan_allocation: li.sellingPlan?.sellingPlanId
+      ? { selling_plan: { id: gidToId(li.sellingPlan.sellingPlanId) } }
+      : null,
+    product_id: gidToId(li.product?.id),
+    variant_id: gidToId(li.variant?.id),
+    inventory_item_id: gidToId(li.variant?.inventoryItem?.id), // not on REST line items
+    fulfillment_service: null, // not exposed on the GraphQL LineItem
+  }));
+
+  // REST total_line_items_price: sum of price × quantity before discounts
+  const lineItemsPrice = restLineItems.reduce((acc, li) => acc + Number(li.price || 0) * (li.quantity || 0), 0);
+
+  return {
+    id: gidToId(node.id),
+    admin_graphql_api_id: node.id,
+    order_number: node.name ? String(node.name).replace(/\D/g, "") || null : null,
+    name: node.name,
+    processed_at: node.processedAt,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    currency: node.currencyCode,
+    financial_status: lowerOrNull(node.displayFinancialStatus),
+    fulfillment_status: restFulfillmentStatus(node.displayFulfillmentStatus),
+    cancelled_at: node.cancelledAt,
+    cancel_reason: lowerOrNull(node.cancelReason),
+    tags: node.tags || [],
+    test: !!node.test,
+    customer: node.customer?.id ? { id: gidToId(node.customer.id) } : null,
+    total_price: money(node.totalPriceSet),
+    subtotal_price: money(node.subtotalPriceSet),
+    total_tax: money(node.totalTaxSet),
+    total_discounts: money(node.totalDiscountsSet),
+    total_line_items_price: lineItemsPrice.toFixed(2),
+    total_shipping_price_set: { shop_money: { amount: money(node.totalShippingPriceSet) } },
+    line_items: restLineItems,
+    // Headers only until loadRefunds replaces them with the REST refunds
+    refunds: (node.refunds || []).map((r) => ({
+      id: gidToId(r.id),
+      created_at: r.createdAt,
+      note: r.note,
+      refund_line_items: [],
+    })),
+  };
+}
+
+/**
+ * JSONL rows -> REST-shaped orders. Shopify writes each order before its children, so an
+ * order is complete when the next top-level row starts.
+ */
+async function* assembleOrders(rows) {
+  let current = null;
+
+  function finish() {
+    const order = toRestOrder(current.node, current.lineItems);
+    current = null;
+    return order;
+  }
+
+  for await (const row of rows) {
+    const parentId = row.__parentId;
+
+    if (!parentId) {
+      if (current) yield finish();
+      current = { node: row, lineItems: [] };
+      continue;
+    }
+
+    if (!current) throw new Error(`Bulk row ${row.id} arrived before any order`);
+
+    if (parentId !== current.node.id) {
+      throw new Error(`Bulk row ${row.id} has parent ${parentId} outside order ${current.node.id}`);
+    }
+    current.lineItems.push(row);
+  }
+
+  if (current) yield finish();
+}
+
+/**
+ * Second pass for assembled orders: each order with refunds gets them from
+ * GET /orders/{id}/refunds.json, the same refund payload the REST sync stores. Returns the
+ * number of orders fetched.
+ */
+async function loadRefunds(shopify, orders) {
+  let fetched = 0;
+
+  for (const order of orders) {
+    if (!order.refunds.length) continue;
+
+    const res = await shopify.requestWithRetry("GET", `/orders/${order.id}/refunds.json`, {
+      params: { limit: 250 },
+    });
+    order.refunds = res.data?.refunds || [];
+    fetched++;
+  }
+
+  return fetched;
+}
+
+module.exports = {
+  gidToId,
+  buildOrdersBulkQuery,
+  submitBulkQuery,
+  getBulkOperation,
+  waitForBulkOperation,
+  streamJsonl,
+  assembleOrders,
+  loadRefunds,
+  toRestOrder,
+};
@@ -0,0 +1,125 @@
+"use strict";
+
+// Inventory item ids for order line items whose variant dim_sku can't resolve (stub SKUs,
+// products the product sync doesn't carry). Each variant is fetched once from the Admin
+// API and kept in ops.shopify_variant_inventory_items, deleted variants included, which
+// ops.resolve_line_item_inventory_items then reads.
+//
+// Lookups run outside the order transactions: call lookupMissing after a page commits.
+
+async function unresolvedVariantIds(client, orderIds, limit) {
+  const q = `
+    select distinct l.shopify_variant_id
+    from ops.fact_shopify_order_line_items l
+    where l.shopify_inventory_item_id is null
+      and l.shopify_variant_id is not null
+      and ($1::bigint[] is null or l.order_id = any($1::bigint[]))
+      and not exists (
+        select 1
+        from ops.shopify_variant_inventory_items c
+        where c.shopify_variant_id = l.shopify_variant_id
+      )
+    order by l.shopify_variant_id
+    limit $2
+  `;
+  const res = await client.query(q, [orderIds, limit]);
+  return res.rows.map((r) => Number(r.shopify_variant_id));
+}
+
+async function saveLookups(client, rows) {
+  const q = `
+    insert into ops.shopify_variant_inventory_items
+      (shopify_variant_id, inventory_item_id, sku, status, looked_up_at)
+    select x.shopify_variant_id, x.inventory_item_id, x.sku, x.status, now()
+    from jsonb_to_recordset($1::jsonb) as x(
+      shopify_variant_id bigint, inventory_item_id bigint, sku text, status text
+    )
+    on conflict (shopify_variant_id) do update set
+      inventory_item_id = excluded.inventory_item_id,
+      sku = excluded.sku,
+      status = excluded.status,
+      looked_up_at = now()
+  `;
+  await client.query(q, [JSON.stringify(rows)]);
+}
+
+/**
+ * maxLookups caps API calls for the lifetime of the lookup. With bestEffort, an API error
+ * other than 404 logs a warning and turns lookups off for the rest of the run instead of
+ * throwing (order syncs shouldn't fail over a missing read_products scope).
+ */
+function createVariantInventoryLookup({ shopify, tag, maxLookups = Infinity, bestEffort = false }) {
+  const stats = { lookedUp: 0, notFound: 0, resolved: 0 };
+  let disabled = false;
+
+  async function fetchVariant(variantId) {
+    try {
+      const res = await shopify.requestWithRetry("GET", `/variants/${variantId}.json`, {
+        params: { fields: "id,sku,inventory_item_id" },
+      });
+      const v = res.data?.variant;
+      return {
+        shopify_variant_id: variantId,
+        inventory_item_id: v?.inventory_item_id ?? null,
+        sku: v?.sku || null,
+        status: v?.inventory_item_id ? "found" : "not_found",
+      };
+    } catch (err) {
+      if (err.status !== 404) throw err;
+      return { shopify_variant_id: variantId, inventory_item_id: null, sku: null, status: "not_found" };
+    }
+  }
+
+  // Looks up unresolved variants on orderIds (null = every order) and fills their line items
+  async function lookupMissing(client, orderIds) {
+    const out = { lookedUp: 0, notFound: 0, resolved: 0 };
+    if (disabled) return out;
+
+    const remaining = maxLookups - stats.lookedUp;
+    if (remaining <= 0) return out;
+
+    const variantIds = await unresolvedVariantIds(
+      client,
+      orderIds,
+      Number.isFinite(remaining) ? remaining : null
+    );
+    if (!variantIds.length) return out;
+
+    const rows = [];
+    for (const id of variantIds) {
+      try {
+        rows.push(await fetchVariant(id));
+      } catch (err) {
+        if (!bestEffort) throw err;
+        disabled = true;
+        console.warn(`[${tag}] variant lookup disabled | ${err.message}`);
+        break;
+      }
+    }
+    if (!rows.length) return out;
+
+    await saveLookups(client, rows);
+
+    out.lookedUp = rows.length;
+    out.notFound = rows.filter((r) => r.status === "not_found").length;
+    if (out.lookedUp > out.notFound) {
+      const res = await client.query(
+        "select ops.resolve_line_item_inventory_items($1::bigint[]) as filled",
+        [orderIds]
+      );
+      out.resolved = res.rows[0].filled;
+    }
+
+    stats.lookedUp += out.lookedUp;
+    stats.notFound += out.notFound;
+    stats.resolved += out.resolved;
+    return out;
+  }
+
+  return {
+    lookupMissing,
+    getStats: () => ({ ...stats, disabled }),
+  };
+}
+
+module.exports = { createVariantInventoryLookup };
@@ -0,0 +1,694 @@
+"use strict";
+
+// Shared writers for Shopify order payloads (REST orders, webhooks), so every
+// ingestion path lands orders, line items and refunds the same way. Syncs write a
+// page at a time with upsertOrderGraphs; webhooks write single orders.
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function parseTags(tags) {
+  if (!tags) return [];
+  if (Array.isArray(tags)) return tags;
+  return String(tags)
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+function isSubscriptionFromTags(tagsArr) {
+  const t = (tagsArr || []).map((x) => String(x).toLowerCase());
+  return (
+    t.includes("subscription") ||
+    t.includes("subscription first order") ||
+    t.includes("recurring order") ||
+    t.some((x) => x.includes("subscription")) ||
+    t.some((x) => x.includes("loop")) ||
+    t.some((x) => x.includes("recurring"))
+  );
+}
+
+function moneyToNum(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? n : 0;
+}
+
+// Order-level totals are optional on the payload (older REST field lists omit them)
+function moneyOrNull(x) {
+  if (x == null || x === "") return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? n : null;
+}
+
+function sumTaxLines(taxLines) {
+  if (!Array.isArray(taxLines)) return 0;
+  return taxLines.reduce((acc, tl) => acc + moneyToNum(tl.price), 0);
+}
+
+// ---- payload -> row mapping, shared by the per-order and batched writers ----
+
+function orderRow(order) {
+  return {
+    order_id: order.id,
+    order_number: order.order_number != null ? String(order.order_number) : null,
+    customer_id: order.customer?.id ?? null,
+    processed_at: order.processed_at ?? null,
+    created_at_shopify: order.created_at ?? null,
+    currency: order.currency ?? null,
+    financial_status: order.financial_status ?? null,
+    fulfillment_status: order.fulfillment_status ?? null,
+    cancelled_at: order.cancelled_at ?? null,
+    cancel_reason: order.cancel_reason ?? null,
+    tags: parseTags(order.tags),
+    is_test: !!order.test,
+    total_price: moneyOrNull(order.total_price),
+    subtotal_price: moneyOrNull(order.subtotal_price),
+    total_tax: moneyOrNull(order.total_tax),
+    total_discounts: moneyOrNull(order.total_discounts),
+    total_line_items_price: moneyOrNull(order.total_line_items_price),
+    total_shipping_price: moneyOrNull(order.total_shipping_price_set?.shop_money?.amount),
+    raw: order,
+  };
+}
+
+// null when the line has no SKU (nothing to attribute it to)
+function lineItemRow(orderId, orderTagsArr, li) {
+  const sku = (li.sku || "").trim();
+  if (!sku) return null;
+
+  const qty = li.quantity || 0;
+  const gross = moneyToNum(li.price) * qty;
+  const discount = moneyToNum(li.total_discount);
+
+  return {
+    order_id: orderId,
+    line_item_id: li.id,
+    sku,
+    shopify_product_id: li.product_id ?? null,
+    shopify_variant_id: li.variant_id ?? null,
+    // Only bulk payloads carry it; ops.resolve_line_item_inventory_items fills the rest
+    shopify_inventory_item_id: li.inventory_item_id ?? null,
+    title: li.title ?? null,
+    variant_title: li.variant_title ?? null,
+    quantity: qty,
+    fulfillment_service: li.fulfillment_service ?? null,
+    gross_item_revenue: gross,
+    discount_amount: discount,
+    tax_amount: sumTaxLines(li.tax_lines),
+    net_item_revenue: gross - discount,
+    // Preliminary; ops.attribute_subscription_lines refines it once the order is written.
+    is_subscription: isSubscriptionFromTags(orderTagsArr),
+    selling_plan_id:
+      li.selling_plan_allocation?.selling_plan?.id ?? li.selling_plan_allocation?.selling_plan_id ?? null,
+  };
+}
+
+function refundRow(orderId, r) {
+  return {
+    refund_id: r.id,
+    order_id: orderId,
+    created_at_refund: r.created_at ?? null,
+    note: r.note ?? null,
+    raw: r,
+  };
+}
+
+function refundLineRow(orderId, r, x) {
+  const li = x.line_item || {};
+  return {
+    refund_id: r.id,
+    order_id: orderId,
+    line_item_id: li.id ?? x.line_item_id ?? null,
+    sku: (li.sku || "").trim() || null,
+    quantity: x.quantity ?? 0,
+    refund_amount: moneyToNum(x.subtotal) || moneyToNum(x.amount) || moneyToNum(x.total_tax) || 0,
+  };
+}
+
+function stubSkuRow(sku, { productTitle, variantTitle, productId, variantId } = {}) {
+  return {
+    sku,
+    product_title: productTitle ?? null,
+    variant_title: variantTitle ?? null,
+    shopify_product_id: productId ?? null,
+    shopify_variant_id: variantId ?? null,
+  };
+}
+
+function createShopifyOrderWriter({ pipeline, stubReason, insertStubSkus = true }) {
+  function stubAttributes() {
+    return {
+      stub: true,
+      stub_reason: stubReason,
+      created_by: pipeline,
+      created_at: nowIso(),
+    };
+  }
+
+  async function upsertOrder(client, order) {
+    const row = orderRow(order);
+
+    const q = `
+      insert into ops.fact_shopify_orders
+        (order_id, order_number, customer_id, processed_at, created_at_shopify,
+         currency, financial_status, fulfillment_status, cancelled_at, cancel_reason,
+         tags, is_test, total_price, subtotal_price, total_tax,
+         total_discounts, total_line_items_price, total_shipping_price, raw, ingested_at)
+      values
+        ($1,$2,$3,$4,$5,
+         $6,$7,$8,$9,$10,
+         $11,$12,$13,$14,$15,
+         $16,$17,$18,$19::jsonb, now())
+      on conflict (order_id) do update set
+        order_number = excluded.order_number,
+        customer_id = excluded.customer_id,
+        processed_at = excluded.processed_at,
+        created_at_shopify = excluded.created_at_shopify,
+        currency = excluded.currency,
+        financial_status = excluded.financial_status,
+        fulfillment_status = excluded.fulfillment_status,
+        cancelled_at = excluded.cancelled_at,
+        cancel_reason = excluded.cancel_reason,
+        tags = excluded.tags,
+        is_test = excluded.is_test,
+        total_price = excluded.total_price,
+        subtotal_price = excluded.subtotal_price,
+        total_tax = excluded.total_tax,
+        total_discounts = excluded.total_discounts,
+        total_line_items_price = excluded.total_line_items_price,
+        total_shipping_price = excluded.total_shipping_price,
+        raw = excluded.raw,
+        ingested_at = now()
+    `;
+
+    await client.query(q, [
+      row.order_id,
+      row.order_number,
+      row.customer_id,
+      row.processed_at,
+      row.created_at_shopify,
+      row.currency,
+      row.financial_status,
+      row.fulfillment_status,
+      row.cancelled_at,
+      row.cancel_reason,
+      row.tags,
+      row.is_test,
+      row.total_price,
+      row.subtotal_price,
+      row.total_tax,
+      row.total_discounts,
+      row.total_line_items_price,
+      row.total_shipping_price,
+      JSON.stringify(row.raw),
+    ]);
+
+    return row.tags;
+  }
+
+  async function ensureSkuExists(client, sku, { productTitle, variantTitle, productId, variantId } = {}) {
+    const check = await client.query("select 1 from ops.dim_sku where sku = $1 limit 1", [sku]);
+    if (check.rowCount) return false;
+
+    if (!insertStubSkus) {
+      throw new Error(`SKU not found in ops.dim_sku and INSERT_STUB_SKUS=false: ${sku}`);
+    }
+
+    const q = `
+      insert into ops.dim_sku
+        (sku, product_title, variant_title, shopify_product_id, shopify_variant_id, attributes, created_at, updated_at)
+      values
+        ($1,  $2,           $3,            $4,               $5,                $6::jsonb, now(), now())
+      on conflict (sku) do nothing
+    `;
+
+    await client.query(q, [
+      sku,
+      productTitle ?? null,
+      variantTitle ?? null,
+      productId ?? null,
+      variantId ?? null,
+      JSON.stringify(stubAttributes()),
+    ]);
+
+    return true;
+  }
+
+  async function upsertLineItem(client, orderId, orderTagsArr, li) {
+    const row = lineItemRow(orderId, orderTagsArr, li);
+    if (!row) return { inserted: false, skippedNoSku: true, stubInserted: false };
+
+    const stubInserted = await ensureSkuExists(client, row.sku, {
+      productTitle: li.title ?? null,
+      variantTitle: li.variant_title ?? li.name ?? null,
+      productId: li.product_id ?? null,
+      variantId: li.variant_id ?? null,
+    });
+
+    const q = `
+      insert into ops.fact_shopify_order_line_items as l
+        (order_id, line_item_id, sku, shopify_product_id, shopify_variant_id,
+         shopify_inventory_item_id, title, variant_title, quantity, fulfillment_service,
+         gross_item_revenue, discount_amount, tax_amount, net_item_revenue,
+         is_subscription, selling_plan_id, subscription_attribution_source, source, ingested_at)
+      values
+        ($1,$2,$3,$4,$5,
+         $6,$7,$8,$9,$10,
+         $11,$12,$13,$14,
+         $15,$16,'tags','shopify', now())
+      on conflict (order_id, line_item_id) do update set
+        sku = excluded.sku,
+        shopify_product_id = excluded.shopify_product_id,
+        shopify_variant_id = excluded.shopify_variant_id,
+        shopify_inventory_item_id = coalesce(excluded.shopify_inventory_item_id, l.shopify_inventory_item_id),
+        title = excluded.title,
+        variant_title = excluded.variant_title,
+        quantity = excluded.quantity,
+        fulfillment_service = excluded.fulfillment_service,
+        gross_item_revenue = excluded.gross_item_revenue,
+        discount_amount = excluded.discount_amount,
+        tax_amount = excluded.tax_amount,
+        net_item_revenue = excluded.net_item_revenue,
+        is_subscription = excluded.is_subscription,
+        selling_plan_id = excluded.selling_plan_id,
+        subscription_attribution_source = excluded.subscription_attribution_source,
+        ingested_at = now()
+    `;
+
+    await client.query(q, [
+      row.order_id,
+      row.line_item_id,
+      row.sku,
+      row.shopify_product_id,
+      row.shopify_variant_id,
+      row.shopify_inventory_item_id,
+      row.title,
+      row.variant_title,
+      row.quantity,
+      row.fulfillment_service,
+      row.gross_item_revenue,
+      row.discount_amount,
+      row.tax_amount,
+      row.net_item_revenue,
+      row.is_subscription,
+      row.selling_plan_id,
+    ]);
+
+    return { inserted: true, skippedNoSku: false, stubInserted };
+  }
+
+  async function upsertRefunds(client, order) {
+    const refunds = Array.isArray(order.refunds) ? order.refunds : [];
+    let refundHeaders = 0;
+    let refundLines = 0;
+
+    for (const r of refunds) {
+      const header = refundRow(order.id, r);
+      const qh = `
+        insert into ops.fact_shopify_refunds
+          (refund_id, order_id, created_at_refund, note, source, raw, ingested_at)
+        values
+          ($1,$2,$3,$4,'shopify',$5::jsonb, now())
+        on conflict (refund_id) do update set
+          order_id = excluded.order_id,
+          created_at_refund = excluded.created_at_refund,
+          note = excluded.note,
+          raw = excluded.raw,
+          ingested_at = now()
+      `;
+      await client.query(qh, [
+        header.refund_id,
+        header.order_id,
+        header.created_at_refund,
+        header.note,
+        JSON.stringify(header.raw),
+      ]);
+      refundHeaders++;
+
+      const rlis = Array.isArray(r.refund_line_items) ? r.refund_line_items : [];
+      for (const x of rlis) {
+        const li = x.line_item || {};
+        const row = refundLineRow(order.id, r, x);
+
+        // If we have SKU, satisfy FK best-effort
+        if (row.sku) {
+          await ensureSkuExists(client, row.sku, {
+            productTitle: li.title ?? null,
+            variantTitle: li.variant_title ?? null,
+            productId: li.product_id ?? null,
+            variantId: li.variant_id ?? null,
+          });
+        }
+
+        // Upsert line item if possible (partial unique index refund_line_items_uniq)
+        // If lineItemId is null, we cannot safely de-dupe; we still insert best-effort.
+        if (row.line_item_id != null) {
+          const ql = `
+            insert into ops.fact_shopify_refund_line_items
+              (refund_id, order_id, line_item_id, sku, quantity, refund_amount, source, ingested_at)
+            values
+              ($1,$2,$3,$4,$5,$6,'shopify', now())
+            on conflict (refund_id, line_item_id) where line_item_id is not null do update set
+              sku = excluded.sku,
+              quantity = excluded.quantity,
+              refund_amount = excluded.refund_amount,
+              ingested_at = now()
+          `;
+          await client.query(ql, [
+            row.refund_id,
+            row.order_id,
+            row.line_item_id,
+            row.sku,
+            row.quantity,
+            row.refund_amount,
+          ]);
+        } else {
+          const ql = `
+            insert into ops.fact_shopify_refund_line_items
+              (refund_id, order_id, line_item_id, sku, quantity, refund_amount, source, ingested_at)
+            values
+              ($1,$2,$3,$4,$5,$6,'shopify', now())
+          `;
+          await client.query(ql, [
+            row.refund_id,
+            row.order_id,
+            null,
+            row.sku,
+            row.quantity,
+            row.refund_amount,
+          ]);
+        }
+
+        refundLines++;
+      }
+    }
+
+    return { refundHeaders, refundLines };
+  }
+
+  // Order header + line items + refunds; caller owns the transaction.
+  async function upsertOrderGraph(client, order) {
+    const counts = {
+      orders: 0,
+      lineItems: 0,
+      lineItemsSkippedNoSku: 0,
+      stubSkus: 0,
+      refundHeaders: 0,
+      refundLines: 0,
+    };
+
+    const tagsArr = await upsertOrder(client, order);
+    counts.orders++;
+
+    for (const li of order.line_items || []) {
+      const out = await upsertLineItem(client, order.id, tagsArr, li);
+      if (out.skippedNoSku) {
+        counts.lineItemsSkippedNoSku++;
+        continue;
+      }
+      if (out.stubInserted) counts.stubSkus++;
+      counts.lineItems++;
+    }
+
+    await client.query("select ops.attribute_subscription_lines(array[$1]::bigint[])", [order.id]);
+    await client.query("select ops.resolve_line_item_inventory_items(array[$1]::bigint[])", [order.id]);
+
+    const { refundHeaders, refundLines } = await upsertRefunds(client, order);
+    counts.refundHeaders += refundHeaders;
+    counts.refundLines += refundLines;
+
+    return counts;
+  }
+
+  // ---- batched writer: one multi-row statement per table for a page of orders ----
+
+  // Missing SKUs (line items and refund lines) in one statement; returns how many were stubbed
+  async function ensureSkusExist(client, stubs) {
+    if (!stubs.length) return 0;
+
+    if (!insertStubSkus) {
+      const res = await client.query(
+        `select s.sku from unnest($1::text[]) as s(sku)
+         where not exists (select 1 from ops.dim_sku d where d.sku = s.sku)
+         limit 1`,
+        [stubs.map((s) => s.sku)]
+      );
+      if (res.rowCount) {
+        throw new Error(`SKU not found in ops.dim_sku and INSERT_STUB_SKUS=false: ${res.rows[0].sku}`);
+      }
+      return 0;
+    }
+
+    const res = await client.query(
+      `
+      insert into ops.dim_sku
+        (sku, product_title, variant_title, shopify_product_id, shopify_variant_id, attributes, created_at, updated_at)
+      select x.sku, x.product_title, x.variant_title, x.shopify_product_id, x.shopify_variant_id, $2::jsonb, now(), now()
+      from jsonb_to_recordset($1::jsonb) as x(
+        sku text, product_title text, variant_title text, shopify_product_id bigint, shopify_variant_id bigint
+      )
+      where not exists (select 1 from ops.dim_sku d where d.sku = x.sku)
+      on conflict (sku) do nothing
+      returning sku
+      `,
+      [JSON.stringify(stubs), JSON.stringify(stubAttributes())]
+    );
+    return res.rowCount;
+  }
+
+  /**
+   * Same writes as upsertOrderGraph for many orders, with one statement per table
+   * (jsonb_to_recordset) instead of one per row. Caller owns the transaction. When an order,
+   * line item or refund repeats within the batch, its last payload wins.
+   */
+  async function upsertOrderGraphs(client, orders) {
+    const counts = {
+      orders: 0,
+      lineItems: 0,
+      lineItemsSkippedNoSku: 0,
+      stubSkus: 0,
+      refundHeaders: 0,
+      refundLines: 0,
+    };
+    if (!orders.length) return counts;
+
+    const latest = new Map();
+    for (const order of orders) latest.set(String(order.id), order);
+
+    const orderRows = new Map();
+    const lineRows = new Map();
+    const refundRows = new Map();
+    const refundLineRows = new Map();
+    const refundLinesWithoutId = [];
+    const stubs = new Map();
+
+    for (const order of latest.values()) {
+      const row = orderRow(order);
+      orderRows.set(String(row.order_id), row);
+
+      for (const li of order.line_items || []) {
+        const lr = lineItemRow(order.id, row.tags, li);
+        if (!lr) {
+          counts.lineItemsSkippedNoSku++;
+          continue;
+        }
+        lineRows.set(`${lr.order_id}|${lr.line_item_id}`, lr);
+        if (!stubs.has(lr.sku)) {
+          stubs.set(
+            lr.sku,
+            stubSkuRow(lr.sku, {
+              productTitle: li.title,
+              variantTitle: li.variant_title ?? li.name,
+              productId: li.product_id,
+              variantId: li.variant_id,
+            })
+          );
+        }
+      }
+
+      for (const r of Array.isArray(order.refunds) ? order.refunds : []) {
+        refundRows.set(String(r.id), refundRow(order.id, r));
+
+        for (const x of Array.isArray(r.refund_line_items) ? r.refund_line_items : []) {
+          const li = x.line_item || {};
+          const rl = refundLineRow(order.id, r, x);
+          if (rl.sku && !stubs.has(rl.sku)) {
+            stubs.set(
+              rl.sku,
+              stubSkuRow(rl.sku, {
+                productTitle: li.title,
+                variantTitle: li.variant_title,
+                productId: li.product_id,
+                variantId: li.variant_id,
+              })
+            );
+          }
+          if (rl.line_item_id != null) refundLineRows.set(`${rl.refund_id}|${rl.line_item_id}`, rl);
+          else refundLinesWithoutId.push(rl);
+        }
+      }
+    }
+
+    counts.stubSkus = await ensureSkusExist(client, [...stubs.values()]);
+
+    await client.query(
+      `
+      insert into ops.fact_shopify_orders
+        (order_id, order_number, customer_id, processed_at, created_at_shopify,
+         currency, financial_status, fulfillment_status, cancelled_at, cancel_reason,
+         tags, is_test, total_price, subtotal_price, total_tax,
+         total_discounts, total_line_items_price, total_shipping_price, raw, ingested_at)
+      select
+        x.order_id, x.order_number, x.customer_id, x.processed_at, x.created_at_shopify,
+        x.currency, x.financial_status, x.fulfillment_status, x.cancelled_at, x.cancel_reason,
+        array(select jsonb_array_elements_text(x.tags)), x.is_test, x.total_price, x.subtotal_price, x.total_tax,
+        x.total_discounts, x.total_line_items_price, x.total_shipping_price, x.raw, now()
+      from jsonb_to_recordset($1::jsonb) as x(
+        order_id bigint, order_number text, customer_id bigint, processed_at timestamptz, created_at_shopify timestamptz,
+        currency text, financial_status text, fulfillment_status text, cancelled_at timestamptz, cancel_reason text,
+        tags jsonb, is_test boolean, total_price numeric, subtotal_price numeric, total_tax numeric,
+        total_discounts numeric, total_line_items_price numeric, total_shipping_price numeric, raw jsonb
+      )
+      on conflict (order_id) do update set
+        order_number = excluded.order_number,
+        customer_id = excluded.customer_id,
+        processed_at = excluded.processed_at,
+        created_at_shopify = excluded.created_at_shopify,
+        currency = excluded.currency,
+        financial_status = excluded.financial_status,
+        fulfillment_status = excluded.fulfillment_status,
+        cancelled_at = excluded.cancelled_at,
+        cancel_reason = excluded.cancel_reason,
+        tags = excluded.tags,
+        is_test = excluded.is_test,
+        total_price = excluded.total_price,
+        subtotal_price = excluded.subtotal_price,
+        total_tax = excluded.total_tax,
+        total_discounts = excluded.total_discounts,
+        total_line_items_price = excluded.total_line_items_price,
+        total_shipping_price = excluded.total_shipping_price,
+        raw = excluded.raw,
+        ingested_at = now()
+      `,
+      [JSON.stringify([...orderRows.values()])]
+    );
+    counts.orders = orderRows.size;
+
+    if (lineRows.size) {
+      await client.query(
+        `
+        insert into ops.fact_shopify_order_line_items as l
+          (order_id, line_item_id, sku, shopify_product_id, shopify_variant_id,
+           shopify_inventory_item_id, title, variant_title, quantity, fulfillment_service,
+           gross_item_revenue, discount_amount, tax_amount, net_item_revenue,
+           is_subscription, selling_plan_id, subscription_attribution_source, source, ingested_at)
+        select
+          x.order_id, x.line_item_id, x.sku, x.shopify_product_id, x.shopify_variant_id,
+          x.shopify_inventory_item_id, x.title, x.variant_title, x.quantity, x.fulfillment_service,
+          x.gross_item_revenue, x.discount_amount, x.tax_amount, x.net_item_revenue,
+          x.is_subscription, x.selling_plan_id, 'tags', 'shopify', now()
+        from jsonb_to_recordset($1::jsonb) as x(
+          order_id bigint, line_item_id bigint, sku text, shopify_product_id bigint, shopify_variant_id bigint,
+          shopify_inventory_item_id bigint, title text, variant_title text, quantity integer, fulfillment_service text,
+          gross_item_revenue numeric, discount_amount numeric, tax_amount numeric, net_item_revenue numeric,
+          is_subscription boolean, selling_plan_id bigint
+        )
+        on conflict (order_id, line_item_id) do update set
+          sku = excluded.sku,
+          shopify_product_id = excluded.shopify_product_id,
+          shopify_variant_id = excluded.shopify_variant_id,
+          shopify_inventory_item_id = coalesce(excluded.shopify_inventory_item_id, l.shopify_inventory_item_id),
+          title = excluded.title,
+          variant_title = excluded.variant_title,
+          quantity = excluded.quantity,
+          fulfillment_service = excluded.fulfillment_service,
+          gross_item_revenue = excluded.gross_item_revenue,
+          discount_amount = excluded.discount_amount,
+          tax_amount = excluded.tax_amount,
+          net_item_revenue = excluded.net_item_revenue,
+          is_subscription = excluded.is_subscription,
+          selling_plan_id = excluded.selling_plan_id,
+          subscription_attribution_source = excluded.subscription_attribution_source,
+          ingested_at = now()
+        `,
+        [JSON.stringify([...lineRows.values()])]
+      );
+    }
+    counts.lineItems = lineRows.size;
+
+    const orderIds = [...orderRows.values()].map((r) => r.order_id);
+    await client.query("select ops.attribute_subscription_lines($1::bigint[])", [orderIds]);
+    await client.query("select ops.resolve_line_item_inventory_items($1::bigint[])", [orderIds]);
+
+    if (refundRows.size) {
+      await client.query(
+        `
+        insert into ops.fact_shopify_refunds
+          (refund_id, order_id, created_at_refund, note, source, raw, ingested_at)
+        select x.refund_id, x.order_id, x.created_at_refund, x.note, 'shopify', x.raw, now()
+        from jsonb_to_recordset($1::jsonb) as x(
+          refund_id bigint, order_id bigint, created_at_refund timestamptz, note text, raw jsonb
+        )
+        on conflict (refund_id) do update set
+          order_id = excluded.order_id,
+          created_at_refund = excluded.created_at_refund,
+          note = excluded.note,
+          raw = excluded.raw,
+          ingested_at = now()
+        `,
+        [JSON.stringify([...refundRows.values()])]
+      );
+    }
+    counts.refundHeaders = refundRows.size;
+
+    const refundLineColumns = `
+      from jsonb_to_recordset($1::jsonb) as x(
+        refund_id bigint, order_id bigint, line_item_id bigint, sku text, quantity integer, refund_amount numeric
+      )
+    `;
+
+    if (refundLineRows.size) {
+      await client.query(
+        `
+        insert into ops.fact_shopify_refund_line_items
+          (refund_id, order_id, line_item_id, sku, quantity, refund_amount, source, ingested_at)
+        select x.refund_id, x.order_id, x.line_item_id, x.sku, x.quantity, x.refund_amount, 'shopify', now()
+        ${refundLineColumns}
+        on conflict (refund_id, line_item_id) where line_item_id is not null do update set
+          sku = excluded.sku,
+          quantity = excluded.quantity,
+          refund_amount = excluded.refund_amount,
+          ingested_at = now()
+        `,
+        [JSON.stringify([...refundLineRows.values()])]
+      );
+    }
+
+    // No line item id: nothing to de-dupe on, inserted best-effort like upsertRefunds
+    if (refundLinesWithoutId.length) {
+      await client.query(
+        `
+        insert into ops.fact_shopify_refund_line_items
+          (refund_id, order_id, line_item_id, sku, quantity, refund_amount, source, ingested_at)
+        select x.refund_id, x.order_id, null, x.sku, x.quantity, x.refund_amount, 'shopify', now()
+        ${refundLineColumns}
+        `,
+        [JSON.stringify(refundLinesWithoutId)]
+      );
+    }
+    counts.refundLines = refundLineRows.size + refundLinesWithoutId.length;
+
+    return counts;
+  }
+
+  return { upsertOrder, ensureSkuExists, upsertLineItem, upsertRefunds, upsertOrderGraph, upsertOrderGraphs };
+}
+
+module.exports = {
+  createShopifyOrderWriter,
+  parseTags,
+  isSubscriptionFromTags,
+  moneyToNum,
+  sumTaxLines,
+};
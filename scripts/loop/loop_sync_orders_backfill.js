@@ -238,6 +238,7 @@ async function main() {
     },
     async (ctx) => {
       let stubSkusInserted = 0;
+      let attributionChanged = 0;
 
       const client = await ctx.pool.connect();
       ctx.setClient(client);
@@ -257,9 +258,12 @@ async function main() {
           ctx.beginTxn();
 
           try {
+            const shopifyOrderIds = [];
+
             for (const order of data) {
               await upsertOrderHeader(client, order);
               ctx.incrementUpserts(1);
+              if (order.shopifyId != null) shopifyOrderIds.push(order.shopifyId);
 
               const lines = Array.isArray(order.lines) ? order.lines : [];
               for (const line of lines) {
@@ -269,6 +273,15 @@ async function main() {
               }
             }
 
+            // Re-attribute the Shopify line items these Loop orders map to
+            if (shopifyOrderIds.length) {
+              const attr = await client.query(
+                "select ops.attribute_subscription_lines($1::bigint[]) as changed",
+                [shopifyOrderIds]
+              );
+              attributionChanged += attr.rows[0].changed;
+            }
+
             await client.query("COMMIT");
             ctx.endTxn();
           } catch (e) {
@@ -285,7 +298,9 @@ async function main() {
           pageNo += 1;
         }
 
-        console.log(`[${PIPELINE}] stub_skus_inserted=${stubSkusInserted}`);
+        console.log(
+          `[${PIPELINE}] stub_skus_inserted=${stubSkusInserted} attribution_changed=${attributionChanged}`
+        );
       } finally {
         client.release();
       }
@@ -271,6 +271,7 @@ async function main() {
     },
     async (ctx) => {
       let stubSkusInserted = 0;
+      let attributionChanged = 0;
       const client = await ctx.pool.connect();
       ctx.setClient(client);
 
@@ -310,9 +311,12 @@ async function main() {
           ctx.beginTxn();
 
           try {
+            const shopifyOrderIds = [];
+
             for (const order of data) {
               await upsertOrderHeader(client, order);
               ctx.incrementUpserts(1);
+              if (order.shopifyId != null) shopifyOrderIds.push(order.shopifyId);
 
               const lines = Array.isArray(order.lines) ? order.lines : [];
               for (const line of lines) {
@@ -322,6 +326,15 @@ async function main() {
               }
             }
 
+            // Re-attribute the Shopify line items these Loop orders map to
+            if (shopifyOrderIds.length) {
+              const attr = await client.query(
+                "select ops.attribute_subscription_lines($1::bigint[]) as changed",
+                [shopifyOrderIds]
+              );
+              attributionChanged += attr.rows[0].changed;
+            }
+
             await client.query("COMMIT");
             ctx.endTxn();
           } catch (e) {
@@ -339,7 +352,7 @@ async function main() {
         }
         await setSyncCursor(client, STATE_KEY, { last_end_iso: windowEndIso });
         console.log(
-          `[${PIPELINE}] success | stub_skus_inserted=${stubSkusInserted} new_cursor=${windowEndIso}`
+          `[${PIPELINE}] success | stub_skus_inserted=${stubSkusInserted} attribution_changed=${attributionChanged} new_cursor=${windowEndIso}`
         );
       } finally {
         client.release();
@@ -5,6 +5,7 @@ require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
 
 const { withIngestionRun } = require("../lib/ingestionRun");
 const { createLoopClient, epochToIso } = require("../lib/loop");
+const { captureStates, recordEvents, deleteRemovedLines } = require("../lib/loopSubscriptions");
 
 const PIPELINE = "loop_subscriptions_backfill";
 const SOURCE = "loop";
@@ -281,6 +282,7 @@ async function main() {
     },
     async (ctx) => {
       let stubSkusInserted = 0;
+      let eventsRecorded = 0;
 
       const client = await ctx.pool.connect();
       ctx.setClient(client);
@@ -302,6 +304,9 @@ async function main() {
           ctx.beginTxn();
 
           try {
+            const subscriptionIds = data.map((s) => s.id);
+            const before = await captureStates(client, subscriptionIds);
+
             for (const sub of data) {
               await upsertSubscriptionHeader(client, sub);
               ctx.incrementUpserts(1);
@@ -312,8 +317,13 @@ async function main() {
                 ctx.incrementUpserts(1);
                 if (stubInserted) stubSkusInserted++;
               }
+              if (Array.isArray(sub.lines)) {
+                ctx.incrementDeletes(await deleteRemovedLines(client, sub.id, lines));
+              }
             }
 
+            eventsRecorded += await recordEvents(client, subscriptionIds, before);
+
             await client.query("COMMIT");
             ctx.endTxn();
           } catch (e) {
@@ -330,8 +340,12 @@ async function main() {
           pageNo += 1;
         }
 
+        ctx.mergeMetadata({ events_recorded: eventsRecorded });
+
         // Keep your existing stub metric (best in metadata, not rows_upserted)
-        console.log(`[${PIPELINE}] done | stub_skus_inserted=${stubSkusInserted}`);
+        console.log(
+          `[${PIPELINE}] done | stub_skus_inserted=${stubSkusInserted} events_recorded=${eventsRecorded}`
+        );
       } finally {
         client.release();
       }
@@ -5,6 +5,7 @@ require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
 
 const { withIngestionRun } = require("../lib/ingestionRun");
 const { createLoopClient, epochToIso } = require("../lib/loop");
+const { captureStates, recordEvents, deleteRemovedLines } = require("../lib/loopSubscriptions");
 
 const PIPELINE = "loop_subscriptions_daily";
 const SOURCE = "loop";
@@ -325,6 +326,7 @@ async function main() {
     },
     async (ctx) => {
       let stubSkusInserted = 0;
+      let eventsRecorded = 0;
       let maxUpdatedAtSeen = null;
 
       const client = await ctx.pool.connect();
@@ -371,6 +373,9 @@ async function main() {
           ctx.beginTxn();
 
           try {
+            const subscriptionIds = data.map((s) => s.id);
+            const before = await captureStates(client, subscriptionIds);
+
             for (const sub of data) {
               if (sub?.updatedAt) {
                 if (!maxUpdatedAtSeen || Date.parse(sub.updatedAt) > Date.parse(maxUpdatedAtSeen)) {
@@ -387,8 +392,13 @@ async function main() {
                 ctx.incrementUpserts(1);
                 if (stubInserted) stubSkusInserted++;
               }
+              if (Array.isArray(sub.lines)) {
+                ctx.incrementDeletes(await deleteRemovedLines(client, sub.id, lines));
+              }
             }
 
+            eventsRecorded += await recordEvents(client, subscriptionIds, before);
+
             await client.query("COMMIT");
             ctx.endTxn();
           } catch (e) {
@@ -410,8 +420,10 @@ async function main() {
           last_max_updated_at_seen: maxUpdatedAtSeen,
         });
 
+        ctx.mergeMetadata({ events_recorded: eventsRecorded });
+
         console.log(
-          `[${PIPELINE}] success | stub_skus_inserted=${stubSkusInserted} new_last_end_iso=${windowEndIso} maxUpdatedAtSeen=${maxUpdatedAtSeen || "null"}`
+          `[${PIPELINE}] success | stub_skus_inserted=${stubSkusInserted} events_recorded=${eventsRecorded} new_last_end_iso=${windowEndIso} maxUpdatedAtSeen=${maxUpdatedAtSeen || "null"}`
         );
       } finally {
         client.release();
@@ -0,0 +1,162 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const axios = require("axios");
+
+const { pool } = require("../../config/db");
+const { withIngestionRun } = require("../lib/ingestionRun");
+
+const PIPELINE = "inventory_jumps";
+const SOURCE = "shopify";
+
+const LOOKBACK_DAYS = Number(process.env.INVENTORY_JUMP_LOOKBACK_DAYS || 3);
+const MIN_UNITS = Number(process.env.INVENTORY_JUMP_MIN_UNITS || 25);
+const DEMAND_MULTIPLE = Number(process.env.INVENTORY_JUMP_DEMAND_MULTIPLE || 2);
+const Z_THRESHOLD = Number(process.env.INVENTORY_JUMP_Z || 3);
+
+// Slack-compatible incoming webhook; posted only when suspicious jumps are found
+const WEBHOOK_URL = (process.env.INVENTORY_ALERT_WEBHOOK_URL || "").trim();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// Expected explanations are logged but do not alert
+const INFO_KINDS = new Set(["probable_receipt", "location_change"]);
+
+for (const [name, value] of [
+  ["INVENTORY_JUMP_LOOKBACK_DAYS", LOOKBACK_DAYS],
+  ["INVENTORY_JUMP_MIN_UNITS", MIN_UNITS],
+  ["INVENTORY_JUMP_DEMAND_MULTIPLE", DEMAND_MULTIPLE],
+  ["INVENTORY_JUMP_Z", Z_THRESHOLD],
+]) {
+  if (!Number.isFinite(value) || value < 0) {
+    console.error(`${name} must be a non-negative number`);
+    process.exit(1);
+  }
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function toDateStr(d) {
+  return d instanceof Date ? d.toISOString().slice(0, 10) : String(d).slice(0, 10);
+}
+
+async function loadJumps(client) {
+  const q = `
+    select
+      supply_item_key,
+      snapshot_date,
+      prev_snapshot_date,
+      days_between,
+      prev_units::float8,
+      units::float8,
+      order_units::float8,
+      inbound_units::float8,
+      unexplained_adjustment::float8,
+      threshold_units::float8,
+      z_score::float8,
+      kind
+    from ops.detect_inventory_jumps(current_date - $1::int, $2, $3, $4)
+  `;
+  const res = await client.query(q, [LOOKBACK_DAYS, MIN_UNITS, DEMAND_MULTIPLE, Z_THRESHOLD]);
+  return res.rows;
+}
+
+function describe(j) {
+  const signed = (x) => `${x > 0 ? "+" : ""}${Math.round(x)}`;
+  return (
+    `${j.supply_item_key} ${toDateStr(j.snapshot_date)} [${j.kind}] unexplained ${signed(j.unexplained_adjustment)}` +
+    ` (${Math.round(j.prev_units)} -> ${Math.round(j.units)}, orders ${Math.round(j.order_units)}, inbound ${Math.round(j.inbound_units)}` +
+    `, threshold ${Math.round(j.threshold_units)}${j.z_score != null ? `, z ${j.z_score}` : ""})`
+  );
+}
+
+async function notify(jumps) {
+  const lines = jumps.map((j) => `• ${describe(j)}`);
+  const text = `ops-brain inventory: ${jumps.length} suspicious movement(s)\n${lines.join("\n")}`;
+
+  const res = await axios.post(
+    WEBHOOK_URL,
+    { text, jumps, checked_at: nowIso() },
+    { timeout: 15000, validateStatus: () => true }
+  );
+  if (res.status < 200 || res.status >= 300) {
+    throw new Error(`Webhook HTTP ${res.status}`);
+  }
+}
+
+// Suspicious jumps are reported, not failures: the run fails only if the check itself
+// (or the webhook post) does
+async function check(client) {
+  const jumps = await loadJumps(client);
+  const suspicious = jumps.filter((j) => !INFO_KINDS.has(j.kind));
+
+  for (const j of jumps.filter((j) => INFO_KINDS.has(j.kind))) {
+    console.log(`[${PIPELINE}] info ${describe(j)}`);
+  }
+  for (const j of suspicious) {
+    console.warn(`[${PIPELINE}] JUMP ${describe(j)}`);
+  }
+  console.log(`[${PIPELINE}] done | lookback_days=${LOOKBACK_DAYS} | flagged=${jumps.length} suspicious=${suspicious.length}`);
+
+  let notified = false;
+  if (suspicious.length && WEBHOOK_URL && !DRY_RUN) {
+    await notify(suspicious);
+    notified = true;
+    console.log(`[${PIPELINE}] webhook notified`);
+  }
+
+  return { flagged: jumps.length, suspicious, notified };
+}
+
+async function main() {
+  // --dry-run leaves no trace: no webhook post and no ingestion run
+  if (DRY_RUN) {
+    const client = await pool.connect();
+    try {
+      await check(client);
+    } catch (err) {
+      console.error(`[${PIPELINE}] failed | ${err.message}`);
+      process.exitCode = 1;
+    } finally {
+      client.release();
+      await pool.end();
+    }
+    return;
+  }
+
+  await withIngestionRun(
+    {
+      source: SOURCE,
+      pipeline: PIPELINE,
+      metadata: {
+        lookback_days: LOOKBACK_DAYS,
+        min_units: MIN_UNITS,
+        demand_multiple: DEMAND_MULTIPLE,
+        z_threshold: Z_THRESHOLD,
+        started_at: nowIso(),
+      },
+    },
+    async (ctx) => {
+      const client = await ctx.pool.connect();
+      ctx.setClient(client);
+
+      try {
+        const out = await check(client);
+        ctx.mergeMetadata({
+          flagged: out.flagged,
+          suspicious: out.suspicious,
+          webhook_notified: out.notified,
+        });
+      } finally {
+        ctx.setClient(null);
+        client.release();
+      }
+    }
+  );
+}
+
+main();
@@ -0,0 +1,144 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const axios = require("axios");
+
+const { pool } = require("../../config/db");
+const { age, findOrphanedRuns, loadPipelineStatus, evaluate } = require("../lib/pipelineHealth");
+
+const TAG = "pipeline_health";
+
+// Stuck-run timeout for pipelines without a row in ops.pipeline_sla (e.g. backfills)
+const DEFAULT_STUCK_AFTER_MINUTES = Number(process.env.DEFAULT_STUCK_AFTER_MINUTES || 360);
+
+// Slack-compatible incoming webhook; posted only when the set of problems changes
+const HEALTH_WEBHOOK_URL = (process.env.HEALTH_WEBHOOK_URL || "").trim();
+
+// ops.sync_state row holding the problems last posted to the webhook
+const ALERT_STATE_KEY = "pipeline_health_alerts";
+
+const DRY_RUN = process.argv.includes("--dry-run");
+
+if (!Number.isFinite(DEFAULT_STUCK_AFTER_MINUTES) || DEFAULT_STUCK_AFTER_MINUTES <= 0) {
+  console.error("DEFAULT_STUCK_AFTER_MINUTES must be a positive number");
+  process.exit(1);
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+async function markOrphanedRuns(client, runs) {
+  if (!runs.length) return;
+
+  const q = `
+    update ops.ingestion_runs
+    set status = 'failed',
+        finished_at = now(),
+        error_message = 'orphaned: still started after ' || $2::int || ' minutes',
+        metadata = metadata || jsonb_build_object('orphaned', true, 'orphaned_by', $3::text, 'orphaned_at', now())
+    where id = $1
+      and status = 'started'
+  `;
+  for (const r of runs) {
+    await client.query(q, [r.id, r.stuck_after_minutes, TAG]);
+  }
+}
+
+// One alert per pipeline and check, however its message (e.g. the age) changes between runs
+function problemKey(p) {
+  return `${p.pipeline}|${p.check}`;
+}
+
+async function loadAlerted(client) {
+  const res = await client.query("select value from ops.sync_state where key = $1", [ALERT_STATE_KEY]);
+  return res.rowCount ? res.rows[0].value.problems || [] : [];
+}
+
+async function saveAlerted(client, keys) {
+  const q = `
+    insert into ops.sync_state (key, value, updated_at)
+    values ($1, $2::jsonb, now())
+    on conflict (key) do update set
+      value = excluded.value,
+      updated_at = now()
+  `;
+  await client.query(q, [ALERT_STATE_KEY, JSON.stringify({ problems: keys, alerted_at: nowIso() })]);
+}
+
+async function notify(problems, opened, resolved) {
+  const lines = problems.map((p) => `• ${p.pipeline} [${p.check}] ${p.message}${opened.includes(problemKey(p)) ? " (new)" : ""}`);
+  for (const key of resolved) {
+    const [pipeline, check] = key.split("|");
+    lines.push(`✓ ${pipeline} [${check}] resolved`);
+  }
+  const head = problems.length
+    ? `ops-brain pipeline health: ${problems.length} problem(s)`
+    : "ops-brain pipeline health: all clear";
+  const text = `${head}\n${lines.join("\n")}`;
+
+  const res = await axios.post(
+    HEALTH_WEBHOOK_URL,
+    { text, problems, resolved, checked_at: nowIso() },
+    { timeout: 15000, validateStatus: () => true }
+  );
+  if (res.status < 200 || res.status >= 300) {
+    throw new Error(`Webhook HTTP ${res.status}`);
+  }
+}
+
+async function main() {
+  const client = await pool.connect();
+
+  try {
+    const orphaned = await findOrphanedRuns(client, DEFAULT_STUCK_AFTER_MINUTES);
+    if (!DRY_RUN) await markOrphanedRuns(client, orphaned);
+
+    const pipelines = await loadPipelineStatus(client);
+    const problems = evaluate(pipelines, orphaned, { markedFailed: !DRY_RUN });
+
+    for (const p of pipelines) {
+      console.log(
+        `[${TAG}] ${p.pipeline} | last_success=${age(p.success_age_hours)} | consecutive_failures=${p.consecutive_failures} | last_status=${p.last_status || "-"}`
+      );
+    }
+
+    if (problems.length) {
+      for (const p of problems) {
+        console.error(`[${TAG}] PROBLEM ${p.pipeline} [${p.check}] ${p.message}`);
+      }
+      process.exitCode = 1;
+    } else {
+      console.log(`[${TAG}] ok | pipelines=${pipelines.length}`);
+    }
+
+    if (HEALTH_WEBHOOK_URL && !DRY_RUN) {
+      const keys = [...new Set(problems.map(problemKey))].sort();
+      const alerted = await loadAlerted(client);
+      const opened = keys.filter((k) => !alerted.includes(k));
+      const resolved = alerted.filter((k) => !keys.includes(k));
+
+      if (!opened.length && !resolved.length) {
+        if (keys.length) console.log(`[${TAG}] no change since last alert, webhook not posted`);
+      } else {
+        try {
+          await notify(problems, opened, resolved);
+          await saveAlerted(client, keys);
+          console.log(`[${TAG}] webhook notified | new=${opened.length} resolved=${resolved.length}`);
+        } catch (e) {
+          console.error(`[${TAG}] webhook failed | ${e.message}`);
+        }
+      }
+    }
+  } catch (err) {
+    console.error(`[${TAG}] failed | ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    client.release();
+    await pool.end();
+  }
+}
+
+main();
@@ -0,0 +1,447 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { pool } = require("../../config/db");
+const { withIngestionRun } = require("../lib/ingestionRun");
+
+const PIPELINE = "purchase_order_recommendations";
+const SOURCE = "model";
+
+const HORIZON_MONTHS = Number(process.env.PO_HORIZON_MONTHS || 12);
+// Months of demand below safety stock a single order should cover
+const COVER_MONTHS = Number(process.env.PO_COVER_MONTHS || 3);
+
+const DAYS_PER_MONTH = 30.4375;
+
+const USAGE = `usage: node scripts/planning/purchase_orders.js [command] [options]
+
+  generate [--dry-run]   propose order drafts from the current walk-forward (default)
+  list [--all]           open drafts (--all: the last 50 of any status)
+  accept <id>            mark a draft as ordered [--qty <n>] [--ref <po>] [--by <name>] [--note <text>]
+  reject <id>            mark a draft as not acted on [--by <name>] [--note <text>]`;
+
+for (const [name, value] of [
+  ["PO_HORIZON_MONTHS", HORIZON_MONTHS],
+  ["PO_COVER_MONTHS", COVER_MONTHS],
+]) {
+  if (!Number.isInteger(value) || value <= 0) {
+    console.error(`${name} must be a positive integer`);
+    process.exit(1);
+  }
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function parseArgs(argv) {
+  const args = { command: "generate", id: null, dryRun: false, all: false, qty: null, ref: null, by: null, note: null };
+
+  const rest = [];
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--all") args.all = true;
+    else if (a === "--qty") args.qty = Number(argv[++i]);
+    else if (a === "--ref") args.ref = argv[++i] || null;
+    else if (a === "--by") args.by = argv[++i] || null;
+    else if (a === "--note") args.note = argv[++i] || null;
+    else if (a === "-h" || a === "--help") args.command = "help";
+    else if (a.startsWith("--")) throw new Error(`Unknown argument: ${a}`);
+    else rest.push(a);
+  }
+
+  if (args.command === "help") return args;
+  if (rest.length) args.command = rest.shift();
+
+  if (!["generate", "list", "accept", "reject"].includes(args.command)) {
+    throw new Error(`Unknown command: ${args.command}`);
+  }
+  if (["accept", "reject"].includes(args.command)) {
+    args.id = Number(rest[0]);
+    if (!Number.isInteger(args.id) || args.id <= 0) throw new Error(`${args.command} needs a draft id`);
+  }
+  if (args.qty !== null && (!Number.isInteger(args.qty) || args.qty <= 0)) {
+    throw new Error("--qty must be a positive integer");
+  }
+
+  return args;
+}
+
+function toDateStr(d) {
+  return d instanceof Date ? d.toISOString().slice(0, 10) : String(d).slice(0, 10);
+}
+
+// Whole months by calendar, the fraction in days (1.5 months before 2027-03-01 = 2027-01-16)
+function subtractMonths(dateStr, months) {
+  const whole = Math.floor(months);
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCMonth(d.getUTCMonth() - whole);
+  d.setUTCDate(d.getUTCDate() - Math.round((months - whole) * DAYS_PER_MONTH));
+  return toDateStr(d);
+}
+
+async function loadItems(client) {
+  const q = `
+    select
+      b.supply_item_key,
+      b.snapshot_date,
+      b.units_on_hand::float8,
+      b.avg_demand_next_4m::float8 as avg_monthly_demand,
+      r.lead_time_months::float8,
+      r.safety_buffer_months::float8,
+      r.standard_order_qty
+    from ops.v_ops_briefing_item_current b
+    left join ops.dim_reorder_rules r
+      on r.supply_item_key = b.supply_item_key
+    order by b.supply_item_key
+  `;
+  const res = await client.query(q);
+  return res.rows;
+}
+
+async function loadWalk(client) {
+  const q = `
+    select
+      supply_item_key,
+      month,
+      inbound_units::float8,
+      demand_units::float8,
+      closing_balance::float8,
+      stockout_month
+    from ops.walkforward_scenarios(array['base'], $1)
+    order by supply_item_key, month
+  `;
+  const res = await client.query(q, [HORIZON_MONTHS]);
+
+  const out = new Map();
+  for (const r of res.rows) {
+    if (!out.has(r.supply_item_key)) out.set(r.supply_item_key, []);
+    out.get(r.supply_item_key).push({ ...r, month: toDateStr(r.month) });
+  }
+  return out;
+}
+
+/**
+ * Safety stock = safety_buffer_months x average monthly demand (next 4 months, as in the briefing).
+ * The need month is the first month whose closing balance falls below safety stock; the order must
+ * be placed lead_time_months before it. Quantity is the largest gap to safety stock over the need
+ * month and the next COVER_MONTHS - 1 months, rounded up to standard_order_qty.
+ */
+function recommend(item, walk, today) {
+  const safety = item.safety_buffer_months * item.avg_monthly_demand;
+  const needIdx = walk.findIndex((w) => w.closing_balance < safety);
+  if (needIdx < 0) return null;
+
+  const window = walk.slice(needIdx, needIdx + COVER_MONTHS);
+  const shortfall = Math.max(...window.map((w) => safety - w.closing_balance));
+  const lot = item.standard_order_qty > 0 ? item.standard_order_qty : 1;
+  const qty = Math.ceil(shortfall / lot) * lot;
+
+  const needMonth = walk[needIdx].month;
+  const orderDate = subtractMonths(needMonth, item.lead_time_months);
+
+  return {
+    supply_item_key: item.supply_item_key,
+    recommended_order_date: orderDate,
+    need_month: needMonth,
+    recommended_qty: qty,
+    is_overdue: orderDate < today,
+    snapshot_date: toDateStr(item.snapshot_date),
+    units_on_hand: item.units_on_hand,
+    avg_monthly_demand: item.avg_monthly_demand,
+    inbound_units: walk.reduce((acc, w) => acc + w.inbound_units, 0),
+    lead_time_months: item.lead_time_months,
+    safety_buffer_months: item.safety_buffer_months,
+    safety_stock_units: Math.round(safety),
+    cover_months: COVER_MONTHS,
+    shortfall_units: Math.round(shortfall),
+    standard_order_qty: item.standard_order_qty,
+    stockout_month: walk[0].stockout_month ? toDateStr(walk[0].stockout_month) : null,
+    reasoning: {
+      horizon_months: HORIZON_MONTHS,
+      walk: walk.map((w) => ({
+        month: w.month,
+        inbound: w.inbound_units,
+        demand: w.demand_units,
+        closing: w.closing_balance,
+        below_safety: w.closing_balance < safety,
+      })),
+    },
+  };
+}
+
+async function loadOpenDraft(client, supplyItemKey) {
+  const res = await client.query(
+    `select id, recommended_order_date, recommended_qty
+     from ops.fact_purchase_order_draft
+     where supply_item_key = $1 and status = 'proposed'`,
+    [supplyItemKey]
+  );
+  return res.rows[0] || null;
+}
+
+// An accepted order is on order from the day it is accepted until it is due: its need month,
+// or acceptance + lead time when it was accepted late. It usually reaches the inbound sheet
+// later, so the item is left alone meanwhile instead of being proposed again.
+async function loadOnOrder(client, supplyItemKey) {
+  const res = await client.query(
+    `select id, due_month
+     from (
+       select
+         id,
+         decided_at,
+         greatest(
+           need_month,
+           date_trunc('month', decided_at + lead_time_months * interval '1 month')::date
+         ) as due_month
+       from ops.fact_purchase_order_draft
+       where supply_item_key = $1
+         and status = 'accepted'
+     ) d
+     where due_month >= date_trunc('month', now())::date
+     order by decided_at desc
+     limit 1`,
+    [supplyItemKey]
+  );
+  return res.rows[0] || null;
+}
+
+async function insertDraft(client, runId, r) {
+  const q = `
+    insert into ops.fact_purchase_order_draft
+      (supply_item_key, recommended_order_date, need_month, recommended_qty, is_overdue,
+       snapshot_date, units_on_hand, avg_monthly_demand, inbound_units,
+       lead_time_months, safety_buffer_months, safety_stock_units, cover_months,
+       shortfall_units, standard_order_qty, stockout_month, reasoning, run_id)
+    values
+      ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17::jsonb,$18)
+    returning id
+  `;
+  const res = await client.query(q, [
+    r.supply_item_key,
+    r.recommended_order_date,
+    r.need_month,
+    r.recommended_qty,
+    r.is_overdue,
+    r.snapshot_date,
+    r.units_on_hand,
+    r.avg_monthly_demand,
+    r.inbound_units,
+    r.lead_time_months,
+    r.safety_buffer_months,
+    r.safety_stock_units,
+    r.cover_months,
+    r.shortfall_units,
+    r.standard_order_qty,
+    r.stockout_month,
+    JSON.stringify(r.reasoning),
+    runId,
+  ]);
+  return res.rows[0].id;
+}
+
+// One proposal pass. ctx is the ingestion run context, null on a dry run (nothing is written).
+async function proposeDrafts(client, { dryRun, ctx }) {
+  const today = nowIso().slice(0, 10);
+  const items = await loadItems(client);
+  const walks = await loadWalk(client);
+
+  const summary = {};
+
+  await client.query("BEGIN");
+  ctx?.beginTxn();
+
+  try {
+    for (const item of items) {
+      const key = item.supply_item_key;
+      const walk = walks.get(key) || [];
+
+      if (item.lead_time_months == null || item.safety_buffer_months == null) {
+        summary[key] = { action: "skipped", reason: "no reorder rule" };
+        console.log(`[${PIPELINE}] ${key} | skipped: no reorder rule`);
+        continue;
+      }
+      if (!walk.length) {
+        summary[key] = { action: "skipped", reason: "no projection" };
+        console.log(`[${PIPELINE}] ${key} | skipped: no projection`);
+        continue;
+      }
+
+      const onOrder = await loadOnOrder(client, key);
+      if (onOrder) {
+        summary[key] = { action: "skipped", reason: "on order", draft_id: onOrder.id };
+        console.log(`[${PIPELINE}] ${key} | skipped: accepted draft #${onOrder.id} on order, due ${toDateStr(onOrder.due_month).slice(0, 7)}`);
+        continue;
+      }
+
+      const rec = recommend(item, walk, today);
+      const open = await loadOpenDraft(client, key);
+
+      if (!rec) {
+        summary[key] = { action: "none", open_draft: open?.id ?? null };
+        console.log(`[${PIPELINE}] ${key} | no order needed within ${HORIZON_MONTHS} months`);
+        continue;
+      }
+
+      const line = `${key} | order ${rec.recommended_qty} by ${rec.recommended_order_date}${rec.is_overdue ? " (OVERDUE)" : ""} | need ${rec.need_month.slice(0, 7)} | safety ${rec.safety_stock_units} | shortfall ${rec.shortfall_units}`;
+
+      if (
+        open &&
+        toDateStr(open.recommended_order_date) === rec.recommended_order_date &&
+        open.recommended_qty === rec.recommended_qty
+      ) {
+        summary[key] = { action: "unchanged", draft_id: open.id };
+        console.log(`[${PIPELINE}] ${line} | unchanged draft #${open.id}`);
+        continue;
+      }
+
+      if (dryRun) {
+        summary[key] = { action: "would_propose", ...rec, reasoning: undefined };
+        console.log(`[${PIPELINE}] ${line} | dry run`);
+        continue;
+      }
+
+      if (open) {
+        await client.query(
+          `update ops.fact_purchase_order_draft set status = 'superseded' where id = $1`,
+          [open.id]
+        );
+      }
+      const id = await insertDraft(client, ctx.runId, rec);
+      ctx.incrementUpserts(1);
+
+      summary[key] = { action: "proposed", draft_id: id, superseded: open?.id ?? null };
+      console.log(`[${PIPELINE}] ${line} | draft #${id}${open ? ` supersedes #${open.id}` : ""}`);
+    }
+
+    await client.query(dryRun ? "ROLLBACK" : "COMMIT");
+    ctx?.endTxn();
+  } catch (e) {
+    await client.query("ROLLBACK");
+    ctx?.endTxn();
+    throw e;
+  }
+
+  return summary;
+}
+
+async function generate({ dryRun }) {
+  // A dry run writes nothing, not even an ingestion run
+  if (dryRun) {
+    const client = await pool.connect();
+    try {
+      await proposeDrafts(client, { dryRun, ctx: null });
+    } catch (err) {
+      console.error(`[${PIPELINE}] failed | ${err.message}`);
+      process.exitCode = 1;
+    } finally {
+      client.release();
+      await pool.end();
+    }
+    return;
+  }
+
+  await withIngestionRun(
+    {
+      source: SOURCE,
+      pipeline: PIPELINE,
+      metadata: {
+        horizon_months: HORIZON_MONTHS,
+        cover_months: COVER_MONTHS,
+        started_at: nowIso(),
+      },
+    },
+    async (ctx) => {
+      const client = await ctx.pool.connect();
+      ctx.setClient(client);
+
+      try {
+        const summary = await proposeDrafts(client, { dryRun, ctx });
+        ctx.mergeMetadata({ summary });
+      } finally {
+        ctx.setClient(null);
+        client.release();
+      }
+    }
+  );
+}
+
+async function list({ all }) {
+  const res = await pool.query(
+    `select id, supply_item_key, status, recommended_order_date, recommended_qty, is_overdue,
+            need_month, accepted_qty, po_reference, created_at, decided_at
+     from ops.fact_purchase_order_draft
+     ${all ? "" : "where status = 'proposed'"}
+     order by created_at desc
+     limit 50`
+  );
+
+  for (const r of res.rows) {
+    const decided = r.decided_at ? ` | ${r.status} ${toDateStr(r.decided_at)}${r.accepted_qty ? ` qty=${r.accepted_qty}` : ""}${r.po_reference ? ` ref=${r.po_reference}` : ""}` : "";
+    console.log(
+      `#${r.id} ${r.supply_item_key.padEnd(8)} ${r.status.padEnd(10)} order ${r.recommended_qty} by ${toDateStr(r.recommended_order_date)}${r.is_overdue ? " (overdue)" : ""} | need ${toDateStr(r.need_month).slice(0, 7)}${decided}`
+    );
+  }
+  if (!res.rows.length) console.log(`[${PIPELINE}] no ${all ? "" : "open "}drafts`);
+}
+
+async function decide(status, { id, qty, ref, by, note }) {
+  const res = await pool.query(
+    `update ops.fact_purchase_order_draft
+     set status = $2,
+         decided_at = now(),
+         decided_by = $3,
+         decision_note = $4,
+         accepted_qty = case when $2 = 'accepted' then coalesce($5, recommended_qty) end,
+         po_reference = case when $2 = 'accepted' then $6 end
+     where id = $1 and status = 'proposed'
+     returning supply_item_key, recommended_qty, accepted_qty`,
+    [id, status, by || process.env.USER || null, note, qty, ref]
+  );
+
+  if (!res.rows.length) {
+    const existing = await pool.query("select status from ops.fact_purchase_order_draft where id = $1", [id]);
+    throw new Error(existing.rows.length ? `draft #${id} is ${existing.rows[0].status}, not proposed` : `draft #${id} not found`);
+  }
+
+  const r = res.rows[0];
+  console.log(
+    `[${PIPELINE}] #${id} ${r.supply_item_key} ${status}${status === "accepted" ? ` | qty=${r.accepted_qty} (recommended ${r.recommended_qty})` : ""}`
+  );
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  if (args.command === "help") {
+    console.log(USAGE);
+    return;
+  }
+
+  if (args.command === "generate") {
+    await generate(args);
+    return;
+  }
+
+  try {
+    if (args.command === "list") await list(args);
+    else await decide(args.command === "accept" ? "accepted" : "rejected", args);
+  } catch (err) {
+    console.error(`[${PIPELINE}] failed | ${err.message}`);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -313,6 +313,12 @@ async function main() {
         });
         ctx.incrementUpserts(1);
 
+        // New versions stay inactive until promoted (scripts/db/model_versions.js)
+        await client.query("select ops.register_model_version('demand_forecast', $1, $2)", [
+          MODEL_VERSION,
+          `Google Sheets: ${TAB_NAME}`,
+        ]);
+
         // Upsert facts
         for (const r of allRows) {
           await upsertDemandForecastSupplyItem(client, r);
@@ -171,14 +171,13 @@ async function upsertInboundSupplyItem(client, row) {
        model_version, source, sheet_row_key, ingested_at)
     values
       ($1,$2,$3,$4,$5,$6,$7,'google_sheets',$8,now())
-    on conflict (source, sheet_row_key) do update set
+    on conflict (source, model_version, sheet_row_key) do update set
       supply_item_key = excluded.supply_item_key,
       arrival_month = excluded.arrival_month,
       arrival_date = excluded.arrival_date,
       quantity = excluded.quantity,
       batch_name = excluded.batch_name,
       location_name = excluded.location_name,
-      model_version = excluded.model_version,
       ingested_at = now()
   `;
   await client.query(q, [
@@ -262,6 +261,12 @@ async function main() {
         });
         ctx.incrementUpserts(1);
 
+        // New versions stay inactive until promoted (scripts/db/model_versions.js)
+        await client.query("select ops.register_model_version('inbound_shipments', $1, $2)", [
+          MODEL_VERSION,
+          `Google Sheets: ${TAB_NAME}`,
+        ]);
+
         for (const r of allRows) {
           await upsertInboundSupplyItem(client, r);
           ctx.incrementUpserts(1);
@@ -355,6 +355,11 @@ async function main() {
         ctx.incrementUpserts(1);
         }
 
+        // SKU financials follow the offers and assumptions just written
+        const fin = await client.query("select ops.refresh_sku_financials() as refreshed");
+        ctx.incrementUpserts(fin.rows[0].refreshed);
+        ctx.mergeMetadata({ sku_financials_refreshed: fin.rows[0].refreshed });
+
       } finally {
         ctx.setClient(null);
         client.release();
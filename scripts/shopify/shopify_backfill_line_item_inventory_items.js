@@ -0,0 +1,176 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { createShopifyClient } = require("../lib/shopify");
+const { withIngestionRun } = require("../lib/ingestionRun");
+const { createVariantInventoryLookup } = require("../lib/shopifyInventoryItems");
+
+// One-off: fills shopify_inventory_item_id on line items written before the order syncs
+// resolved it. dim_sku first, then Admin API variant lookups for whatever is left.
+
+const PIPELINE = "shopify_line_item_inventory_items";
+const SOURCE = "shopify";
+
+const BATCH_SIZE = Number(process.env.BATCH_SIZE || 5000);
+
+// Optional window on order created_at (ISO dates); empty = all history
+const CREATED_AT_MIN = (process.env.CREATED_AT_MIN || "").trim() || null;
+const CREATED_AT_MAX = (process.env.CREATED_AT_MAX || "").trim() || null;
+
+// VARIANT_LOOKUP=false resolves from dim_sku only; MAX_VARIANT_LOOKUPS caps API calls
+const VARIANT_LOOKUP = (process.env.VARIANT_LOOKUP || "true").toLowerCase() !== "false";
+const MAX_VARIANT_LOOKUPS = process.env.MAX_VARIANT_LOOKUPS ? Number(process.env.MAX_VARIANT_LOOKUPS) : Infinity;
+
+if (!Number.isInteger(BATCH_SIZE) || BATCH_SIZE <= 0) {
+  console.error("BATCH_SIZE must be a positive integer");
+  process.exit(1);
+}
+
+if (MAX_VARIANT_LOOKUPS !== Infinity && (!Number.isInteger(MAX_VARIANT_LOOKUPS) || MAX_VARIANT_LOOKUPS < 0)) {
+  console.error("MAX_VARIANT_LOOKUPS must be a non-negative integer");
+  process.exit(1);
+}
+
+for (const [name, value] of [["CREATED_AT_MIN", CREATED_AT_MIN], ["CREATED_AT_MAX", CREATED_AT_MAX]]) {
+  if (value && Number.isNaN(Date.parse(value))) {
+    console.error(`${name} must be an ISO date (got ${value})`);
+    process.exit(1);
+  }
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+async function nextOrderBatch(client, afterOrderId) {
+  const q = `
+    select order_id
+    from ops.fact_shopify_orders
+    where order_id > $1
+      and ($2::timestamptz is null or coalesce(created_at_shopify, processed_at) >= $2::timestamptz)
+      and ($3::timestamptz is null or coalesce(created_at_shopify, processed_at) < $3::timestamptz)
+    order by order_id
+    limit $4
+  `;
+  const res = await client.query(q, [afterOrderId, CREATED_AT_MIN, CREATED_AT_MAX, BATCH_SIZE]);
+  return res.rows.map((r) => r.order_id);
+}
+
+async function coverage(client) {
+  const q = `
+    select
+      count(*)::int as line_items,
+      count(l.shopify_inventory_item_id)::int as resolved,
+      count(*) filter (where l.shopify_inventory_item_id is null and l.shopify_variant_id is null)::int
+        as unresolved_no_variant
+    from ops.fact_shopify_order_line_items l
+    join ops.fact_shopify_orders o
+      on o.order_id = l.order_id
+    where ($1::timestamptz is null or coalesce(o.created_at_shopify, o.processed_at) >= $1::timestamptz)
+      and ($2::timestamptz is null or coalesce(o.created_at_shopify, o.processed_at) < $2::timestamptz)
+  `;
+  const res = await client.query(q, [CREATED_AT_MIN, CREATED_AT_MAX]);
+  return res.rows[0];
+}
+
+async function main() {
+  const variantLookup = VARIANT_LOOKUP
+    ? createVariantInventoryLookup({
+        shopify: createShopifyClient(),
+        tag: PIPELINE,
+        maxLookups: MAX_VARIANT_LOOKUPS,
+      })
+    : null;
+
+  await withIngestionRun(
+    {
+      source: SOURCE,
+      pipeline: PIPELINE,
+      metadata: {
+        batch_size: BATCH_SIZE,
+        created_at_min: CREATED_AT_MIN,
+        created_at_max: CREATED_AT_MAX,
+        variant_lookup: VARIANT_LOOKUP,
+        max_variant_lookups: Number.isFinite(MAX_VARIANT_LOOKUPS) ? MAX_VARIANT_LOOKUPS : null,
+        started_at: nowIso(),
+      },
+    },
+    async (ctx) => {
+      const client = await ctx.pool.connect();
+      ctx.setClient(client);
+
+      let ordersScanned = 0;
+      let fromDimSku = 0;
+      let lastOrderId = 0;
+
+      try {
+        const before = await coverage(client);
+
+        console.log(
+          `[${PIPELINE}] start | created_at_min=${CREATED_AT_MIN || "-"} created_at_max=${CREATED_AT_MAX || "-"} batch_size=${BATCH_SIZE} variant_lookup=${VARIANT_LOOKUP}`
+        );
+
+        while (true) {
+          const orderIds = await nextOrderBatch(client, lastOrderId);
+          if (!orderIds.length) break;
+
+          await client.query("BEGIN");
+          ctx.beginTxn();
+
+          try {
+            const res = await client.query(
+              "select ops.resolve_line_item_inventory_items($1::bigint[]) as filled",
+              [orderIds]
+            );
+            await client.query("COMMIT");
+            ctx.endTxn();
+
+            fromDimSku += res.rows[0].filled;
+            ctx.incrementUpserts(res.rows[0].filled);
+          } catch (e) {
+            await client.query("ROLLBACK");
+            ctx.endTxn();
+            throw e;
+          }
+
+          if (variantLookup) {
+            const out = await variantLookup.lookupMissing(client, orderIds);
+            ctx.incrementUpserts(out.resolved);
+          }
+
+          ordersScanned += orderIds.length;
+          lastOrderId = orderIds[orderIds.length - 1];
+
+          const lookups = variantLookup?.getStats();
+          console.log(
+            `[${PIPELINE}] batch done | orders=${ordersScanned} from_dim_sku=${fromDimSku}` +
+              (lookups ? ` variant_lookups=${lookups.lookedUp} not_found=${lookups.notFound} from_lookups=${lookups.resolved}` : "") +
+              ` last_order_id=${lastOrderId}`
+          );
+        }
+
+        const after = await coverage(client);
+
+        ctx.mergeMetadata({
+          orders_scanned: ordersScanned,
+          from_dim_sku: fromDimSku,
+          variant_lookups: variantLookup?.getStats() ?? null,
+          before,
+          after,
+        });
+
+        console.log(
+          `[${PIPELINE}] line_items=${after.line_items} resolved=${after.resolved} (was ${before.resolved})` +
+            ` unresolved=${after.line_items - after.resolved} (no variant: ${after.unresolved_no_variant})`
+        );
+      } finally {
+        ctx.setClient(null);
+        client.release();
+      }
+    }
+  );
+}
+
+main();
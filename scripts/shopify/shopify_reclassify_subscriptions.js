@@ -0,0 +1,173 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { withIngestionRun } = require("../lib/ingestionRun");
+
+const PIPELINE = "shopify_subscription_attribution";
+const SOURCE = "shopify";
+
+const BATCH_SIZE = Number(process.env.BATCH_SIZE || 5000);
+
+// Optional window on order created_at (ISO dates); empty = all history
+const CREATED_AT_MIN = (process.env.CREATED_AT_MIN || "").trim() || null;
+const CREATED_AT_MAX = (process.env.CREATED_AT_MAX || "").trim() || null;
+
+if (!Number.isInteger(BATCH_SIZE) || BATCH_SIZE <= 0) {
+  console.error("BATCH_SIZE must be a positive integer");
+  process.exit(1);
+}
+
+for (const [name, value] of [["CREATED_AT_MIN", CREATED_AT_MIN], ["CREATED_AT_MAX", CREATED_AT_MAX]]) {
+  if (value && Number.isNaN(Date.parse(value))) {
+    console.error(`${name} must be an ISO date (got ${value})`);
+    process.exit(1);
+  }
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+async function nextOrderBatch(client, afterOrderId) {
+  const q = `
+    select order_id
+    from ops.fact_shopify_orders
+    where order_id > $1
+      and ($2::timestamptz is null or coalesce(created_at_shopify, processed_at) >= $2::timestamptz)
+      and ($3::timestamptz is null or coalesce(created_at_shopify, processed_at) < $3::timestamptz)
+    order by order_id
+    limit $4
+  `;
+  const res = await client.query(q, [afterOrderId, CREATED_AT_MIN, CREATED_AT_MAX, BATCH_SIZE]);
+  return res.rows.map((r) => r.order_id);
+}
+
+// Lines synced before selling_plan_id existed: take it from the order payload
+async function backfillSellingPlanIds(client, orderIds) {
+  const q = `
+    update ops.fact_shopify_order_line_items l
+    set selling_plan_id = x.selling_plan_id
+    from (
+      select
+        o.order_id,
+        (li->>'id')::bigint as line_item_id,
+        coalesce(
+          li->'selling_plan_allocation'->'selling_plan'->>'id',
+          li->'selling_plan_allocation'->>'selling_plan_id'
+        )::bigint as selling_plan_id
+      from ops.fact_shopify_orders o
+      cross join lateral jsonb_array_elements(coalesce(o.raw->'line_items', '[]'::jsonb)) as li
+      where o.order_id = any($1::bigint[])
+        and jsonb_typeof(li->'selling_plan_allocation') = 'object'
+    ) x
+    where l.order_id = x.order_id
+      and l.line_item_id = x.line_item_id
+      and l.selling_plan_id is null
+      and x.selling_plan_id is not null
+  `;
+  const res = await client.query(q, [orderIds]);
+  return res.rowCount;
+}
+
+async function countBySource(client) {
+  const q = `
+    select
+      coalesce(l.subscription_attribution_source, 'unattributed') as source,
+      l.is_subscription,
+      count(*)::int as line_items
+    from ops.fact_shopify_order_line_items l
+    join ops.fact_shopify_orders o
+      on o.order_id = l.order_id
+    where ($1::timestamptz is null or coalesce(o.created_at_shopify, o.processed_at) >= $1::timestamptz)
+      and ($2::timestamptz is null or coalesce(o.created_at_shopify, o.processed_at) < $2::timestamptz)
+    group by 1, 2
+    order by 1, 2
+  `;
+  const res = await client.query(q, [CREATED_AT_MIN, CREATED_AT_MAX]);
+  return res.rows;
+}
+
+async function main() {
+  await withIngestionRun(
+    {
+      source: SOURCE,
+      pipeline: PIPELINE,
+      metadata: {
+        batch_size: BATCH_SIZE,
+        created_at_min: CREATED_AT_MIN,
+        created_at_max: CREATED_AT_MAX,
+        started_at: nowIso(),
+      },
+    },
+    async (ctx) => {
+      const client = await ctx.pool.connect();
+      ctx.setClient(client);
+
+      let ordersScanned = 0;
+      let linesChanged = 0;
+      let sellingPlansFilled = 0;
+      let lastOrderId = 0;
+
+      try {
+        const before = await countBySource(client);
+
+        console.log(
+          `[${PIPELINE}] start | created_at_min=${CREATED_AT_MIN || "-"} created_at_max=${CREATED_AT_MAX || "-"} batch_size=${BATCH_SIZE}`
+        );
+
+        while (true) {
+          const orderIds = await nextOrderBatch(client, lastOrderId);
+          if (!orderIds.length) break;
+
+          await client.query("BEGIN");
+          ctx.beginTxn();
+
+          try {
+            sellingPlansFilled += await backfillSellingPlanIds(client, orderIds);
+            const res = await client.query(
+              "select ops.attribute_subscription_lines($1::bigint[]) as changed",
+              [orderIds]
+            );
+            await client.query("COMMIT");
+            ctx.endTxn();
+
+            linesChanged += res.rows[0].changed;
+            ctx.incrementUpserts(res.rows[0].changed);
+          } catch (e) {
+            await client.query("ROLLBACK");
+            ctx.endTxn();
+            throw e;
+          }
+
+          ordersScanned += orderIds.length;
+          lastOrderId = orderIds[orderIds.length - 1];
+
+          console.log(
+            `[${PIPELINE}] batch done | orders=${ordersScanned} lines_changed=${linesChanged} selling_plans_filled=${sellingPlansFilled} last_order_id=${lastOrderId}`
+          );
+        }
+
+        const after = await countBySource(client);
+
+        ctx.mergeMetadata({
+          orders_scanned: ordersScanned,
+          lines_changed: linesChanged,
+          selling_plans_filled: sellingPlansFilled,
+          before,
+          after,
+        });
+
+        for (const r of after) {
+          console.log(`[${PIPELINE}] ${r.source} | is_subscription=${r.is_subscription} line_items=${r.line_items}`);
+        }
+      } finally {
+        ctx.setClient(null);
+        client.release();
+      }
+    }
+  );
+}
+
+main();
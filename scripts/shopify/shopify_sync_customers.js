@@ -0,0 +1,196 @@
+"use strict";
+
+const path = require("path");
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { withIngestionRun } = require("../lib/ingestionRun");
+const { createShopifyClient } = require("../lib/shopify");
+
+// Shopify customers -> ops.dim_customer, then ops.refresh_dim_customer for Loop ids,
+// first orders and acquisition channel. The first run (or FULL_RESYNC=true) pulls every
+// customer; later runs page from the last updated_at seen, less OVERLAP_HOURS.
+
+const PIPELINE = "shopify_customers_daily";
+const SOURCE = "shopify";
+const STATE_KEY = "shopify_customers_daily";
+
+const LIMIT = 250;
+const OVERLAP_HOURS = Number(process.env.OVERLAP_HOURS || 48);
+const FULL_RESYNC = (process.env.FULL_RESYNC || "false").toLowerCase() === "true";
+
+if (!Number.isFinite(OVERLAP_HOURS) || OVERLAP_HOURS < 0) {
+  console.error("OVERLAP_HOURS must be a non-negative number");
+  process.exit(1);
+}
+
+const shopify = createShopifyClient();
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function isoHoursAgoFrom(iso, hours) {
+  const base = new Date(iso);
+  return new Date(base.getTime() - hours * 3600 * 1000).toISOString();
+}
+
+async function getSyncCursor(client, key) {
+  const res = await client.query("select value from ops.sync_state where key = $1", [key]);
+  if (!res.rowCount) return null;
+  return res.rows[0].value;
+}
+
+async function setSyncCursor(client, key, value) {
+  const q = `
+    insert into ops.sync_state (key, value, updated_at)
+    values ($1, $2::jsonb, now())
+    on conflict (key) do update set
+      value = excluded.value,
+      updated_at = now()
+  `;
+  await client.query(q, [key, JSON.stringify(value)]);
+}
+
+function parseTags(tags) {
+  if (Array.isArray(tags)) return tags.map((t) => String(t).trim()).filter(Boolean);
+  return String(tags || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+}
+
+function customerRow(c) {
+  const consent = c.email_marketing_consent?.state;
+  return {
+    shopify_customer_id: c.id,
+    email: c.email || null,
+    first_name: c.first_name || null,
+    last_name: c.last_name || null,
+    state: c.state || null,
+    tags: parseTags(c.tags),
+    accepts_email_marketing: consent ? consent === "subscribed" : c.accepts_marketing ?? null,
+    created_at_shopify: c.created_at || null,
+    updated_at_shopify: c.updated_at || null,
+    raw: c,
+  };
+}
+
+// One statement per page
+async function upsertCustomers(client, customers) {
+  const q = `
+    insert into ops.dim_customer
+      (shopify_customer_id, email, first_name, last_name, state, tags, accepts_email_marketing,
+       created_at_shopify, updated_at_shopify, source, raw, ingested_at)
+    select
+      x.shopify_customer_id, x.email, x.first_name, x.last_name, x.state,
+      array(select jsonb_array_elements_text(x.tags)), x.accepts_email_marketing,
+      x.created_at_shopify, x.updated_at_shopify, 'shopify', x.raw, now()
+    from jsonb_to_recordset($1::jsonb) as x(
+      shopify_customer_id bigint, email text, first_name text, last_name text, state text, tags jsonb,
+      accepts_email_marketing boolean, created_at_shopify timestamptz, updated_at_shopify timestamptz, raw jsonb
+    )
+    on conflict (shopify_customer_id) do update set
+      email = excluded.email,
+      first_name = excluded.first_name,
+      last_name = excluded.last_name,
+      state = excluded.state,
+      tags = excluded.tags,
+      accepts_email_marketing = excluded.accepts_email_marketing,
+      created_at_shopify = excluded.created_at_shopify,
+      updated_at_shopify = excluded.updated_at_shopify,
+      source = excluded.source,
+      raw = excluded.raw,
+      ingested_at = now()
+  `;
+  const rows = new Map(customers.map((c) => [c.id, customerRow(c)]));
+  await client.query(q, [JSON.stringify([...rows.values()])]);
+  return rows.size;
+}
+
+async function main() {
+  await withIngestionRun(
+    {
+      source: SOURCE,
+      pipeline: PIPELINE,
+      metadata: {
+        shop: shopify.shop,
+        version: shopify.version,
+        overlap_hours: OVERLAP_HOURS,
+        full_resync: FULL_RESYNC,
+        started_at: nowIso(),
+      },
+    },
+    async (ctx) => {
+      const client = await ctx.pool.connect();
+      ctx.setClient(client);
+
+      try {
+        const cursor = FULL_RESYNC ? null : await getSyncCursor(client, STATE_KEY);
+        const lastMax = cursor?.last_max_updated_at || null;
+        const updatedAtMin = lastMax ? isoHoursAgoFrom(lastMax, OVERLAP_HOURS) : null;
+        let maxUpdatedAtSeen = lastMax;
+        let customersUpserted = 0;
+
+        console.log(`[${PIPELINE}] start | updated_at_min=${updatedAtMin || "-"} | rps=${shopify.rps}`);
+
+        const pages = shopify.paginate("/customers.json", {
+          key: "customers",
+          params: {
+            limit: LIMIT,
+            ...(updatedAtMin ? { updated_at_min: updatedAtMin } : {}),
+            fields:
+              "id,email,first_name,last_name,state,tags,created_at,updated_at,email_marketing_consent,accepts_marketing",
+          },
+        });
+
+        for await (const { items: customers } of pages) {
+          if (!customers.length) break;
+
+          await client.query("BEGIN");
+          ctx.beginTxn();
+          try {
+            const n = await upsertCustomers(client, customers);
+            await client.query("COMMIT");
+            ctx.endTxn();
+
+            customersUpserted += n;
+            ctx.incrementUpserts(n);
+          } catch (e) {
+            await client.query("ROLLBACK");
+            ctx.endTxn();
+            throw e;
+          }
+
+          for (const c of customers) {
+            if (c.updated_at && (!maxUpdatedAtSeen || Date.parse(c.updated_at) > Date.parse(maxUpdatedAtSeen))) {
+              maxUpdatedAtSeen = c.updated_at;
+            }
+          }
+        }
+
+        // Everyone, not just this page set: new orders move first-order fields too
+        const refreshed = await client.query("select ops.refresh_dim_customer() as changed");
+        const changed = refreshed.rows[0].changed;
+        ctx.incrementUpserts(changed);
+
+        await setSyncCursor(client, STATE_KEY, { last_max_updated_at: maxUpdatedAtSeen });
+
+        ctx.mergeMetadata({
+          customers_upserted: customersUpserted,
+          refreshed: changed,
+          new_cursor: maxUpdatedAtSeen,
+          api_metrics: shopify.getMetrics(),
+        });
+
+        console.log(
+          `[${PIPELINE}] ok | customers=${customersUpserted} refreshed=${changed} new_cursor=${maxUpdatedAtSeen || "-"}`
+        );
+      } finally {
+        ctx.setClient(null);
+        client.release();
+      }
+    }
+  );
+}
+
+main();
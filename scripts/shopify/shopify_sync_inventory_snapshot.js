@@ -1,17 +1,12 @@
 "use strict";
 
 const path = require("path");
-const axios = require("axios");
 require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
 const { pool } = require("../../config/db");
-
-const SHOP = (process.env.SHOPIFY_STORE || "").trim();
-const TOKEN = (process.env.SHOPIFY_ADMIN_TOKEN || "").trim();
-const VERSION = (process.env.SHOPIFY_API_VERSION || "2024-10").trim();
+const { createShopifyClient } = require("../lib/shopify");
 
 const PIPELINE = "shopify_inventory_snapshot";
 const LIMIT = 250;
-const RPS = Number(process.env.SHOPIFY_RPS || 2);
 const SNAPSHOT_DATE = (process.env.SNAPSHOT_DATE || "").trim();
 
 const INCLUDE_ALL_ROLLUP =
@@ -26,29 +21,8 @@ const LOCATION_NAME_ALLOWLIST = (process.env.LOCATION_NAME_ALLOWLIST || "")
 
 const INVENTORY_ITEM_ID_CHUNK = 50;
 
-if (!SHOP || !TOKEN) {
-  console.error("Missing SHOPIFY_STORE or SHOPIFY_ADMIN_TOKEN in .env");
-  process.exit(1);
-}
-if (!Number.isFinite(RPS) || RPS <= 0) {
-  console.error("SHOPIFY_RPS must be a positive number");
-  process.exit(1);
-}
+const shopify = createShopifyClient();
 
-const api = axios.create({
-  baseURL: `https://${SHOP}/admin/api/${VERSION}`,
-  headers: {
-    "X-Shopify-Access-Token": TOKEN,
-    "Content-Type": "application/json",
-  },
-  timeout: 60000,
-  maxRedirects: 5,
-  validateStatus: () => true,
-});
-
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
 function nowIso() {
   return new Date().toISOString();
 }
@@ -65,66 +39,6 @@ function chunk(arr, n) {
   return out;
 }
 
-function extractNextPageInfo(linkHeader) {
-  if (!linkHeader) return null;
-  const parts = linkHeader.split(",");
-  for (const p of parts) {
-    const section = p.trim();
-    if (!section.includes('rel="next"')) continue;
-    const m = section.match(/<([^>]+)>/);
-    if (!m) continue;
-    try {
-      const u = new URL(m[1]);
-      return u.searchParams.get("page_info");
-    } catch {
-      return null;
-    }
-  }
-  return null;
-}
-
-let lastRequestAt = 0;
-
-async function requestWithRetry(method, url, { params, data } = {}, opts = {}) {
-  const maxAttempts = opts.maxAttempts ?? 8;
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    const minGapMs = Math.ceil(1000 / RPS);
-    const elapsed = Date.now() - lastRequestAt;
-    if (elapsed < minGapMs) await sleep(minGapMs - elapsed);
-    lastRequestAt = Date.now();
-
-    let res;
-    try {
-      res = await api.request({ method, url, params, data });
-    } catch (err) {
-      const backoff = Math.min(30000, 500 * 2 ** (attempt - 1));
-      if (attempt === maxAttempts) throw err;
-      await sleep(backoff);
-      continue;
-    }
-
-    if (res.status >= 200 && res.status < 300) return res;
-
-    if (res.status === 429) {
-      const retryAfter = Number(res.headers?.["retry-after"] || 1);
-      await sleep(Math.max(1000, retryAfter * 1000));
-      continue;
-    }
-
-    if (res.status >= 500 && res.status <= 599) {
-      const backoff = Math.min(30000, 500 * 2 ** (attempt - 1));
-      await sleep(backoff);
-      continue;
-    }
-
-    const body = typeof res.data === "string" ? res.data : JSON.stringify(res.data);
-    throw new Error(`HTTP ${res.status}: ${body}`);
-  }
-
-  throw new Error(`Request failed after ${maxAttempts} attempts`);
-}
-
 async function startIngestionRun(metadata) {
   const q = `
     insert into ops.ingestion_runs (source, pipeline, status, metadata)
@@ -195,15 +109,16 @@ async function loadSkuInventoryMap() {
 
 async function upsertInventorySnapshotRow(
   client,
-  { snapshotDate, sku, shopifyVariantId, locationId, locationName, available, raw }
+  { snapshotDate, sku, shopifyVariantId, inventoryItemId, locationId, locationName, available, raw }
 ) {
   const q = `
     insert into ops.fact_inventory_snapshot
-      (snapshot_date, sku, shopify_variant_id, location_id, location_name, available, source, raw, ingested_at)
+      (snapshot_date, sku, shopify_variant_id, shopify_inventory_item_id, location_id, location_name, available, source, raw, ingested_at)
     values
-      ($1::date, $2, $3, $4, $5, $6, 'shopify', $7::jsonb, now())
+      ($1::date, $2, $3, $4, $5, $6, $7, 'shopify', $8::jsonb, now())
     on conflict (snapshot_date, sku, location_id) do update set
       shopify_variant_id = excluded.shopify_variant_id,
+      shopify_inventory_item_id = excluded.shopify_inventory_item_id,
       location_name = excluded.location_name,
       available = excluded.available,
       raw = excluded.raw,
@@ -213,6 +128,7 @@ async function upsertInventorySnapshotRow(
     snapshotDate,
     sku,
     shopifyVariantId,
+    inventoryItemId,
     locationId,
     locationName,
     available,
@@ -221,7 +137,7 @@ async function upsertInventorySnapshotRow(
 }
 
 async function fetchLocations() {
-  const res = await requestWithRetry("GET", "/locations.json", { params: { limit: LIMIT } });
+  const res = await shopify.requestWithRetry("GET", "/locations.json", { params: { limit: LIMIT } });
   const locations = res.data?.locations || [];
   if (LOCATION_NAME_ALLOWLIST.length) {
     // Exact name match allowlist
@@ -231,25 +147,19 @@ async function fetchLocations() {
 }
 
 async function fetchInventoryLevelsForLocation(locationId, inventoryItemIds) {
-  let pageInfo = null;
   const out = [];
 
-  const baseParams = {
-    limit: LIMIT,
-    location_ids: String(locationId),
-    inventory_item_ids: inventoryItemIds.join(","),
-  };
-
-  while (true) {
-    const params = pageInfo ? { ...baseParams, page_info: pageInfo } : baseParams;
-
-    const res = await requestWithRetry("GET", "/inventory_levels.json", { params });
-    const levels = res.data?.inventory_levels || [];
-    out.push(...levels);
-
-    const next = extractNextPageInfo(res.headers?.link);
-    pageInfo = next;
-    if (!pageInfo) break;
+  const pages = shopify.paginate("/inventory_levels.json", {
+    key: "inventory_levels",
+    params: {
+      limit: LIMIT,
+      location_ids: String(locationId),
+      inventory_item_ids: inventoryItemIds.join(","),
+    },
+  });
+
+  for await (const { items } of pages) {
+    out.push(...items);
   }
 
   return out;
@@ -259,9 +169,9 @@ async function main() {
   const snapshotDate = SNAPSHOT_DATE || todayUtcYYYYMMDD();
 
   const runMeta = {
-    shop: SHOP,
-    version: VERSION,
-    rps: RPS,
+    shop: shopify.shop,
+    version: shopify.version,
+    rps: shopify.rps,
     snapshot_date: snapshotDate,
     include_all_rollup: INCLUDE_ALL_ROLLUP,
     location_allowlist: LOCATION_NAME_ALLOWLIST,
@@ -270,7 +180,7 @@ async function main() {
 
   const runId = await startIngestionRun(runMeta);
 
-  console.log(`[${PIPELINE}] start | snapshot_date=${snapshotDate} | rps=${RPS}`);
+  console.log(`[${PIPELINE}] start | snapshot_date=${snapshotDate} | rps=${shopify.rps}`);
 
   let rowsUpserted = 0;
 
@@ -313,6 +223,7 @@ async function main() {
                 snapshotDate,
                 sku: meta.sku,
                 shopifyVariantId: meta.shopify_variant_id,
+                inventoryItemId: invId,
                 locationId,
                 locationName,
                 available: safeAvailable,
@@ -338,12 +249,16 @@ async function main() {
       total_skus: totalSkus,
       skus_with_inventory_item_id: skusWithInvId,
       locations: locations.map((l) => ({ id: l.id, name: l.name })),
+      api_metrics: shopify.getMetrics(),
     });
 
     console.log(`[${PIPELINE}] ok | rows_upserted=${rowsUpserted} | locations=${locations.length}`);
   } catch (err) {
     const msg = err.response?.data ? JSON.stringify(err.response.data) : err.message;
-    await finishIngestionRun(runId, "failed", rowsUpserted, 0, msg, { finished_at: nowIso() });
+    await finishIngestionRun(runId, "failed", rowsUpserted, 0, msg, {
+      finished_at: nowIso(),
+      api_metrics: shopify.getMetrics(),
+    });
     console.error(`[${PIPELINE}] failed | ${msg}`);
     process.exitCode = 1;
   } finally {
@@ -1,162 +1,168 @@
-const fs = require("fs");
+"use strict";
+
 const path = require("path");
-const axios = require("axios");
 require("dotenv").config({ path: path.resolve(__dirname, "./../.env") });
 
 const { pool } = require("../../config/db");
+const { createShopifyClient } = require("../lib/shopify");
+const { createShopifyOrderWriter } = require("../lib/shopifyOrders");
+const { createVariantInventoryLookup } = require("../lib/shopifyInventoryItems");
+const {
+  buildOrdersBulkQuery,
+  submitBulkQuery,
+  getBulkOperation,
+  waitForBulkOperation,
+  streamJsonl,
+  assembleOrders,
+  loadRefunds,
+} = require("../lib/shopifyBulk");
 
-const SHOP = (process.env.SHOPIFY_STORE || "").trim();
-const TOKEN = (process.env.SHOPIFY_ADMIN_TOKEN || "").trim();
-const VERSION = (process.env.SHOPIFY_API_VERSION || "2024-10").trim();
-
-// Throttle (requests per second). Shopify Plus is high, but we still keep it conservative.
-const RPS = Number(process.env.SHOPIFY_RPS || 2); // safe default
 const LIMIT = 250; // max per Shopify REST page
 const PIPELINE = "shopify_orders_backfill";
+const STATE_KEY = "shopify_orders_backfill";
 
 const MAX_ORDERS = process.env.MAX_ORDERS ? Number(process.env.MAX_ORDERS) : null;
 
 const INSERT_STUB_SKUS = (process.env.INSERT_STUB_SKUS || "true").toLowerCase() !== "false";
 
-// Where we store local resume state
-const STATE_DIR = path.join(process.cwd(), "syncs");
-const STATE_PATH = path.join(STATE_DIR, "shopify_orders_backfill_state.json");
+// Admin API lookup for line item variants dim_sku has no inventory_item_id for
+const VARIANT_LOOKUP = (process.env.VARIANT_LOOKUP || "true").toLowerCase() !== "false";
+
+// Optional created_at window; split into SLICE_MONTHS chunks, SLICE_CONCURRENCY at a time.
+// Separate processes with non-overlapping windows can also run side by side.
+const CREATED_AT_MIN = (process.env.CREATED_AT_MIN || "").trim() || null;
+const CREATED_AT_MAX = (process.env.CREATED_AT_MAX || "").trim() || null;
+const SLICE_MONTHS = process.env.SLICE_MONTHS ? Number(process.env.SLICE_MONTHS) : null;
+const SLICE_CONCURRENCY = Number(process.env.SLICE_CONCURRENCY || 1);
+const RESET_STATE = (process.env.RESET_STATE || "false").toLowerCase() === "true";
+
+// --bulk: one GraphQL bulk operation for the whole window instead of paging REST
+const BULK = process.argv.includes("--bulk");
+const BULK_POLL_MS = Number(process.env.BULK_POLL_MS || 10000);
+const BULK_TIMEOUT_MINUTES = Number(process.env.BULK_TIMEOUT_MINUTES || 240);
+const BULK_CHECKPOINT_ORDERS = 250;
 
+const FIELDS =
+  "id,order_number,processed_at,created_at,currency,total_price,subtotal_price,total_tax,total_discounts,total_line_items_price,total_shipping_price_set,financial_status,fulfillment_status,cancelled_at,cancel_reason,tags,test,customer,line_items,refunds";
 
-if (!SHOP || !TOKEN) {
-  console.error("Missing SHOPIFY_STORE or SHOPIFY_ADMIN_TOKEN in .env");
+if (CREATED_AT_MIN && !Number.isFinite(Date.parse(CREATED_AT_MIN))) {
+  console.error(`CREATED_AT_MIN is not a valid date: ${CREATED_AT_MIN}`);
   process.exit(1);
 }
-if (!Number.isFinite(RPS) || RPS <= 0) {
-  console.error("SHOPIFY_RPS must be a positive number");
+if (CREATED_AT_MAX && !Number.isFinite(Date.parse(CREATED_AT_MAX))) {
+  console.error(`CREATED_AT_MAX is not a valid date: ${CREATED_AT_MAX}`);
   process.exit(1);
 }
-
-const api = axios.create({
-  baseURL: `https://${SHOP}/admin/api/${VERSION}`,
-  headers: {
-    "X-Shopify-Access-Token": TOKEN,
-    "Content-Type": "application/json",
-  },
-  timeout: 120000,
-  maxRedirects: 5, // handle 301 -> myshopify redirects safely
-  validateStatus: () => true, // we’ll handle status codes ourselves
-});
-
-
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+if (SLICE_MONTHS != null && (!Number.isInteger(SLICE_MONTHS) || SLICE_MONTHS <= 0)) {
+  console.error("SLICE_MONTHS must be a positive integer");
+  process.exit(1);
 }
-
-function nowIso() {
-  return new Date().toISOString();
+if (SLICE_MONTHS != null && !CREATED_AT_MIN) {
+  console.error("SLICE_MONTHS requires CREATED_AT_MIN");
+  process.exit(1);
 }
-
-function parseTags(tags) {
-  if (!tags) return [];
-  if (Array.isArray(tags)) return tags;
-  return String(tags)
-    .split(",")
-    .map((t) => t.trim())
-    .filter(Boolean);
+if (CREATED_AT_MIN && CREATED_AT_MAX && Date.parse(CREATED_AT_MIN) >= Date.parse(CREATED_AT_MAX)) {
+  console.error("CREATED_AT_MIN must be before CREATED_AT_MAX");
+  process.exit(1);
 }
-
-function isSubscriptionFromTags(tagsArr) {
-  const t = (tagsArr || []).map((x) => String(x).toLowerCase());
-  return (
-    t.includes("subscription") ||
-    t.includes("subscription first order") ||
-    t.includes("recurring order") ||
-    t.some((x) => x.includes("subscription")) ||
-    t.some((x) => x.includes("loop")) ||
-    t.some((x) => x.includes("recurring"))
-  );
+if (!Number.isInteger(SLICE_CONCURRENCY) || SLICE_CONCURRENCY <= 0) {
+  console.error("SLICE_CONCURRENCY must be a positive integer");
+  process.exit(1);
 }
-
-function moneyToNum(x) {
-  const n = Number(x);
-  return Number.isFinite(n) ? n : 0;
+if (BULK && SLICE_MONTHS != null) {
+  console.error("SLICE_MONTHS does not apply to --bulk (one bulk operation covers the window)");
+  process.exit(1);
 }
-
-function sumTaxLines(taxLines) {
-  if (!Array.isArray(taxLines)) return 0;
-  return taxLines.reduce((acc, tl) => acc + moneyToNum(tl.price), 0);
+if (!Number.isFinite(BULK_POLL_MS) || BULK_POLL_MS <= 0 || !Number.isFinite(BULK_TIMEOUT_MINUTES) || BULK_TIMEOUT_MINUTES <= 0) {
+  console.error("BULK_POLL_MS and BULK_TIMEOUT_MINUTES must be positive numbers");
+  process.exit(1);
 }
 
-function extractNextPageInfo(linkHeader) {
-  if (!linkHeader) return null;
-
-  const parts = linkHeader.split(",");
-  for (const p of parts) {
-    const section = p.trim();
-    if (!section.includes('rel="next"')) continue;
-
-    const m = section.match(/<([^>]+)>/);
-    if (!m) continue;
-
-    const url = m[1];
-    try {
-      const u = new URL(url);
-      return u.searchParams.get("page_info");
-    } catch {
-      return null;
-    }
-  }
-  return null;
-}
+const shopify = createShopifyClient({ timeoutMs: 120000 });
+const writer = createShopifyOrderWriter({
+  pipeline: PIPELINE,
+  stubReason: "seen_in_order_line_item_backfill",
+  insertStubSkus: INSERT_STUB_SKUS,
+});
+const variantLookup = VARIANT_LOOKUP
+  ? createVariantInventoryLookup({ shopify, tag: PIPELINE, bestEffort: true })
+  : null;
 
-function loadState() {
-  try {
-    if (!fs.existsSync(STATE_PATH)) return null;
-    const raw = fs.readFileSync(STATE_PATH, "utf8");
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
+function nowIso() {
+  return new Date().toISOString();
 }
 
-function saveState(state) {
-  fs.mkdirSync(STATE_DIR, { recursive: true });
-  fs.writeFileSync(STATE_PATH, JSON.stringify(state, null, 2));
+function addMonthsUtc(iso, months) {
+  const d = new Date(iso);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  return d.toISOString();
 }
 
+/**
+ * [min, max) window -> slices of SLICE_MONTHS. Shopify's created_at_max is
+ * inclusive, so each slice stops one second before the next one starts.
+ */
+function buildSlices() {
+  if (!CREATED_AT_MIN) {
+    const maxIso = CREATED_AT_MAX ? new Date(CREATED_AT_MAX).toISOString() : null;
+    return [{ key: `${STATE_KEY}|start|${maxIso || "now"}`, created_at_min: null, created_at_max: maxIso }];
+  }
 
-let lastRequestAt = 0;
-
-async function requestWithRetry(method, url, { params, data } = {}, opts = {}) {
-  const maxAttempts = opts.maxAttempts ?? 8;
-
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    const minGapMs = Math.ceil(1000 / RPS);
-    const elapsed = Date.now() - lastRequestAt;
-    if (elapsed < minGapMs) await sleep(minGapMs - elapsed);
-
-    lastRequestAt = Date.now();
-
-    const res = await api.request({ method, url, params, data });
-
-    if (res.status >= 200 && res.status < 300) return res;
-
-    if (res.status === 429) {
-      const retryAfter = Number(res.headers["retry-after"] || 1);
-      const waitMs = Math.max(1000, retryAfter * 1000);
-      console.warn(`⚠️ 429 rate limited. Waiting ${waitMs}ms (attempt ${attempt}/${maxAttempts})`);
-      await sleep(waitMs);
-      continue;
-    }
+  // Without CREATED_AT_MAX the last slice is open-ended; its key says "now" so it stays stable across restarts
+  const minIso = new Date(CREATED_AT_MIN).toISOString();
+  const maxIso = CREATED_AT_MAX ? new Date(CREATED_AT_MAX).toISOString() : nowIso();
+  const openEnded = !CREATED_AT_MAX;
+
+  if (!SLICE_MONTHS) {
+    return [
+      {
+        key: `${STATE_KEY}|${minIso}|${openEnded ? "now" : maxIso}`,
+        created_at_min: minIso,
+        created_at_max: openEnded ? null : maxIso,
+      },
+    ];
+  }
 
-    if (res.status >= 500 && res.status <= 599) {
-      const backoff = Math.min(30000, 500 * 2 ** (attempt - 1));
-      console.warn(`${res.status} server error. Backoff ${backoff}ms (attempt ${attempt}/${maxAttempts})`);
-      await sleep(backoff);
-      continue;
+  const slices = [];
+  let start = minIso;
+  while (Date.parse(start) < Date.parse(maxIso)) {
+    const next = addMonthsUtc(start, SLICE_MONTHS);
+    const isLast = Date.parse(next) >= Date.parse(maxIso);
+
+    if (isLast) {
+      slices.push({
+        key: `${STATE_KEY}|${start}|${openEnded ? "now" : maxIso}`,
+        created_at_min: start,
+        created_at_max: openEnded ? null : maxIso,
+      });
+      break;
     }
 
-    const body = typeof res.data === "string" ? res.data : JSON.stringify(res.data);
-    throw new Error(`HTTP ${res.status}: ${body}`);
+    slices.push({
+      key: `${STATE_KEY}|${start}|${next}`,
+      created_at_min: start,
+      created_at_max: new Date(Date.parse(next) - 1000).toISOString(),
+    });
+    start = next;
   }
+  return slices;
+}
 
-  throw new Error(`Request failed after ${maxAttempts} attempts`);
+async function getSyncCursor(key) {
+  const res = await pool.query("select value from ops.sync_state where key = $1", [key]);
+  if (!res.rowCount) return null;
+  return res.rows[0].value;
+}
+
+async function setSyncCursor(key, value) {
+  const q = `
+    insert into ops.sync_state (key, value, updated_at)
+    values ($1, $2::jsonb, now())
+    on conflict (key) do update set
+      value = excluded.value,
+      updated_at = now()
+  `;
+  await pool.query(q, [key, JSON.stringify(value)]);
 }
 
 async function startIngestionRun(metadata) {
@@ -169,406 +175,381 @@ async function startIngestionRun(metadata) {
   return res.rows[0].id;
 }
 
-async function finishIngestionRun(runId, status, rowsUpserted, rowsDeleted, errorMessage) {
+async function finishIngestionRun(runId, status, rowsUpserted, rowsDeleted, errorMessage, metadataPatch) {
   const q = `
     update ops.ingestion_runs
     set finished_at = now(),
         status = $2::ops.sync_status,
         rows_upserted = $3,
         rows_deleted = $4,
-        error_message = $5
+        error_message = $5,
+        metadata = metadata || $6::jsonb
     where id = $1
   `;
-  await pool.query(q, [runId, status, rowsUpserted || 0, rowsDeleted || 0, errorMessage || null]);
+  await pool.query(q, [
+    runId,
+    status,
+    rowsUpserted || 0,
+    rowsDeleted || 0,
+    errorMessage || null,
+    JSON.stringify(metadataPatch || {}),
+  ]);
 }
 
-async function upsertOrder(client, order) {
-  const tagsArr = parseTags(order.tags);
-
+// metadata.slices[<slice key>] = latest progress for that slice
+async function reportSliceProgress(runId, sliceKey, progress) {
   const q = `
-    insert into ops.fact_shopify_orders
-      (order_id, order_number, customer_id, processed_at, created_at_shopify,
-       currency, financial_status, fulfillment_status, cancelled_at, cancel_reason,
-       tags, is_test, raw, ingested_at)
-    values
-      ($1,$2,$3,$4,$5,
-       $6,$7,$8,$9,$10,
-       $11,$12,$13::jsonb, now())
-    on conflict (order_id) do update set
-      order_number = excluded.order_number,
-      customer_id = excluded.customer_id,
-      processed_at = excluded.processed_at,
-      created_at_shopify = excluded.created_at_shopify,
-      currency = excluded.currency,
-      financial_status = excluded.financial_status,
-      fulfillment_status = excluded.fulfillment_status,
-      cancelled_at = excluded.cancelled_at,
-      cancel_reason = excluded.cancel_reason,
-      tags = excluded.tags,
-      is_test = excluded.is_test,
-      raw = excluded.raw,
-      ingested_at = now()
+    update ops.ingestion_runs
+    set metadata = jsonb_set(
+      metadata,
+      '{slices}',
+      coalesce(metadata->'slices', '{}'::jsonb) || jsonb_build_object($2::text, $3::jsonb)
+    )
+    where id = $1
   `;
-
-  await client.query(q, [
-    order.id,
-    order.order_number != null ? String(order.order_number) : null,
-    order.customer?.id ?? null,
-    order.processed_at ?? null,
-    order.created_at ?? null,
-    order.currency ?? null,
-    order.financial_status ?? null,
-    order.fulfillment_status ?? null,
-    order.cancelled_at ?? null,
-    order.cancel_reason ?? null,
-    tagsArr,
-    !!order.test,
-    JSON.stringify(order),
-  ]);
-
-  return tagsArr;
+  await pool.query(q, [runId, sliceKey, JSON.stringify(progress)]);
 }
 
-async function ensureSkuExists(client, sku, { productTitle, variantTitle, productId, variantId } = {}) {
-  // If sku already exists, no-op (fast path)
-  const check = await client.query("select 1 from ops.dim_sku where sku = $1 limit 1", [sku]);
-  if (check.rowCount) return false;
-
-  if (!INSERT_STUB_SKUS) {
-    throw new Error(`SKU not found in ops.dim_sku and INSERT_STUB_SKUS=false: ${sku}`);
+// One transaction per batch of orders (a REST page or a bulk checkpoint)
+async function writeOrders(client, orders, totals) {
+  await client.query("BEGIN");
+  try {
+    const out = await writer.upsertOrderGraphs(client, orders);
+    totals.ordersUpserted += out.orders;
+    totals.lineItemsUpserted += out.lineItems;
+    totals.lineItemsSkippedNoSku += out.lineItemsSkippedNoSku;
+    totals.stubSkusInserted += out.stubSkus;
+    totals.refundHeadersUpserted += out.refundHeaders;
+    totals.refundLineItemsInserted += out.refundLines;
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
   }
 
-  const q = `
-    insert into ops.dim_sku
-      (sku, product_title, variant_title, shopify_product_id, shopify_variant_id, attributes, created_at, updated_at)
-    values
-      ($1,  $2,           $3,            $4,               $5,                $6::jsonb, now(), now())
-    on conflict (sku) do nothing
-  `;
-
-  const attributes = {
-    stub: true,
-    stub_reason: "seen_in_order_line_item_backfill",
-    created_by: "shopify_orders_backfill",
-    created_at: nowIso(),
-  };
-
-  await client.query(q, [
-    sku,
-    productTitle ?? null,
-    variantTitle ?? null,
-    productId ?? null,
-    variantId ?? null,
-    JSON.stringify(attributes),
-  ]);
-
-  return true;
+  if (variantLookup) {
+    await variantLookup.lookupMissing(client, orders.map((o) => o.id));
+  }
 }
 
-async function upsertLineItem(client, orderId, orderTagsArr, li) {
-  const sku = (li.sku || "").trim();
-  if (!sku) return { inserted: false, skippedNoSku: true, stubInserted: false };
-
-  const tagsSub = isSubscriptionFromTags(orderTagsArr);
-
-  const qty = li.quantity || 0;
-  const gross = moneyToNum(li.price) * qty;
-  const discount = moneyToNum(li.total_discount);
-  const tax = sumTaxLines(li.tax_lines);
-  const net = gross - discount;
-
-  const stubInserted = await ensureSkuExists(client, sku, {
-    productTitle: li.title ?? null,
-    variantTitle: li.variant_title ?? li.name ?? null,
-    productId: li.product_id ?? null,
-    variantId: li.variant_id ?? null,
+/**
+ * After the first failure no worker takes another item, and fn's `stopped()` turns true so
+ * running items can stop at their next checkpoint. Settles every worker before rethrowing,
+ * so nothing is still writing when the caller ends the pool.
+ */
+async function runWithConcurrency(items, concurrency, fn) {
+  let next = 0;
+  let failed = false;
+  const stopped = () => failed;
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (!failed && next < items.length) {
+      const item = items[next++];
+      try {
+        await fn(item, stopped);
+      } catch (err) {
+        failed = true;
+        throw err;
+      }
+    }
   });
 
-  const q = `
-    insert into ops.fact_shopify_order_line_items
-      (order_id, line_item_id, sku, shopify_product_id, shopify_variant_id,
-       shopify_inventory_item_id, title, variant_title, quantity, fulfillment_service,
-       gross_item_revenue, discount_amount, tax_amount, net_item_revenue,
-       is_subscription, source, ingested_at)
-    values
-      ($1,$2,$3,$4,$5,
-       $6,$7,$8,$9,$10,
-       $11,$12,$13,$14,
-       $15,'shopify', now())
-    on conflict (order_id, line_item_id) do update set
-      sku = excluded.sku,
-      shopify_product_id = excluded.shopify_product_id,
-      shopify_variant_id = excluded.shopify_variant_id,
-      shopify_inventory_item_id = excluded.shopify_inventory_item_id,
-      title = excluded.title,
-      variant_title = excluded.variant_title,
-      quantity = excluded.quantity,
-      fulfillment_service = excluded.fulfillment_service,
-      gross_item_revenue = excluded.gross_item_revenue,
-      discount_amount = excluded.discount_amount,
-      tax_amount = excluded.tax_amount,
-      net_item_revenue = excluded.net_item_revenue,
-      is_subscription = excluded.is_subscription,
-      ingested_at = now()
-  `;
-
-  await client.query(q, [
-    orderId,
-    li.id,
-    sku,
-    li.product_id ?? null,
-    li.variant_id ?? null,
-    null, 
-    li.title ?? null,
-    li.variant_title ?? null,
-    qty,
-    li.fulfillment_service ?? null,
-    gross,
-    discount,
-    tax,
-    net,
-    tagsSub,
-  ]);
-
-  return { inserted: true, skippedNoSku: false, stubInserted };
+  const results = await Promise.allSettled(workers);
+  const rejected = results.find((r) => r.status === "rejected");
+  if (rejected) throw rejected.reason;
 }
 
-async function upsertRefunds(client, order) {
-  const refunds = Array.isArray(order.refunds) ? order.refunds : [];
-  let refundHeaders = 0;
-  let refundLines = 0;
-
-  for (const r of refunds) {
-    // Refund header
-    const qh = `
-      insert into ops.fact_shopify_refunds
-        (refund_id, order_id, created_at_refund, note, source, raw, ingested_at)
-      values
-        ($1,$2,$3,$4,'shopify',$5::jsonb, now())
-      on conflict (refund_id) do update set
-        order_id = excluded.order_id,
-        created_at_refund = excluded.created_at_refund,
-        note = excluded.note,
-        raw = excluded.raw,
-        ingested_at = now()
-    `;
-    await client.query(qh, [
-      r.id,
-      order.id,
-      r.created_at ?? null,
-      r.note ?? null,
-      JSON.stringify(r),
-    ]);
-    refundHeaders++;
-
-    const rlis = Array.isArray(r.refund_line_items) ? r.refund_line_items : [];
-    for (const x of rlis) {
-      const li = x.line_item || {};
-      const sku = (li.sku || "").trim() || null;
-
-      if (sku) {
-        await ensureSkuExists(client, sku, {
-          productTitle: li.title ?? null,
-          variantTitle: li.variant_title ?? null,
-          productId: li.product_id ?? null,
-          variantId: li.variant_id ?? null,
-        });
-      }
-
-      const refundAmount =
-        moneyToNum(x.subtotal) ||
-        moneyToNum(x.total_tax) ||
-        moneyToNum(x.amount) ||
-        0;
-
-      const ql = `
-        insert into ops.fact_shopify_refund_line_items
-          (refund_id, order_id, line_item_id, sku, quantity, refund_amount, source, ingested_at)
-        values
-          ($1,$2,$3,$4,$5,$6,'shopify', now())
-      `;
-      await client.query(ql, [
-        r.id,
-        order.id,
-        li.id ?? x.line_item_id ?? null,
-        sku,
-        x.quantity ?? 0,
-        refundAmount,
-      ]);
-
-      refundLines++;
-    }
-  }
+/**
+ * An open-ended slice (no created_at_max) is never "done": orders keep arriving after it
+ * finishes. It is saved as "caught_up" instead, and the next run fetches it again from its
+ * start rather than skipping it or resuming a finished cursor.
+ */
+function finishedStatus(slice) {
+  return slice.created_at_max == null ? "caught_up" : "done";
+}
 
-  return { refundHeaders, refundLines };
+function resumableState(saved) {
+  return saved && saved.status !== "caught_up" ? saved : null;
 }
 
 async function main() {
+  const slices = buildSlices();
+
   const startMeta = {
-    shop: SHOP,
-    version: VERSION,
+    shop: shopify.shop,
+    version: shopify.version,
     limit: LIMIT,
-    rps: RPS,
+    rps: shopify.rps,
     started_at: nowIso(),
+    mode: BULK ? "bulk" : "rest",
     max_orders: MAX_ORDERS,
-    state_path: STATE_PATH,
     insert_stub_skus: INSERT_STUB_SKUS,
+    created_at_min: CREATED_AT_MIN,
+    created_at_max: CREATED_AT_MAX,
+    slice_months: SLICE_MONTHS,
+    slice_concurrency: SLICE_CONCURRENCY,
+    slice_keys: slices.map((s) => (BULK ? `${s.key}|bulk` : s.key)),
   };
 
   const runId = await startIngestionRun(startMeta);
 
-  const state = loadState() || {
-    page_info: null,
-    pages_done: 0,
-    orders_done: 0,
-    last_order_id: null,
-    started_at: nowIso(),
+  console.log(
+    BULK
+      ? `[${PIPELINE}] start | mode=bulk | created_at_min=${CREATED_AT_MIN || "-"} | created_at_max=${CREATED_AT_MAX || "-"}`
+      : `[${PIPELINE}] start | slices=${slices.length} | concurrency=${SLICE_CONCURRENCY} | rps=${shopify.rps}`
+  );
+
+  const totals = {
+    ordersUpserted: 0,
+    lineItemsUpserted: 0,
+    lineItemsSkippedNoSku: 0,
+    stubSkusInserted: 0,
+    refundHeadersUpserted: 0,
+    refundLineItemsInserted: 0,
+    refundOrdersFetched: 0, // bulk mode: orders whose refunds came from REST
   };
+  let slicesSkipped = 0;
 
-  console.log("Shopify Orders Backfill");
-  console.log("RPS:", RPS);
-  console.log("RESUME STATE:", state.page_info ? "YES (page_info present)" : "NO (starting fresh)");
+  function reachedMaxOrders() {
+    return MAX_ORDERS != null && totals.ordersUpserted >= MAX_ORDERS;
+  }
 
-  let ordersUpserted = 0;
-  let lineItemsUpserted = 0;
-  let lineItemsSkippedNoSku = 0;
-  let stubSkusInserted = 0;
-  let refundHeadersUpserted = 0;
-  let refundLineItemsInserted = 0;
+  async function runSlice(slice, stopped = () => false) {
+    const saved = RESET_STATE ? null : resumableState(await getSyncCursor(slice.key));
+    if (saved?.status === "done") {
+      slicesSkipped++;
+      console.log(`[${PIPELINE}] slice ${slice.key} already done, skipping`);
+      return;
+    }
+    if (reachedMaxOrders()) return;
+
+    const state = {
+      created_at_min: slice.created_at_min,
+      created_at_max: slice.created_at_max,
+      page_info: saved?.page_info ?? null,
+      pages_done: saved?.pages_done ?? 0,
+      orders_done: saved?.orders_done ?? 0,
+      last_order_id: saved?.last_order_id ?? null,
+      started_at: saved?.started_at ?? nowIso(),
+      status: "in_progress",
+    };
+
+    console.log(
+      `[${PIPELINE}] slice ${slice.key} | resume=${state.page_info ? "YES (page_info present)" : "NO (starting fresh)"}`
+    );
+
+    const params = {
+      limit: LIMIT,
+      status: "any",
+      order: "created_at asc",
+      fields: FIELDS,
+    };
+    if (slice.created_at_min) params.created_at_min = slice.created_at_min;
+    if (slice.created_at_max) params.created_at_max = slice.created_at_max;
+
+    const pages = shopify.paginate("/orders.json", {
+      key: "orders",
+      pageInfo: state.page_info,
+      params,
+    });
 
-  const client = await pool.connect();
+    const client = await pool.connect();
+    try {
+      for await (const { items: orders, nextPageInfo } of pages) {
+        if (orders.length) {
+          await writeOrders(client, orders, totals);
 
-  try {
-    let pageInfo = state.page_info;
+          state.orders_done += orders.length;
+          state.last_order_id = orders[orders.length - 1].id;
 
-    while (true) {
-      if (MAX_ORDERS != null && ordersUpserted >= MAX_ORDERS) {
-        console.log(`Reached MAX_ORDERS=${MAX_ORDERS}. Stopping.`);
-        break;
-      }
+          state.pages_done++;
+        }
 
-      const params = pageInfo
-        ? {
-            limit: LIMIT,
-            page_info: pageInfo,
-            fields: "id,order_number,processed_at,created_at,currency,financial_status,fulfillment_status,cancelled_at,cancel_reason,tags,test,customer,line_items,refunds",
-          }
-        : {
-            limit: LIMIT,
-            status: "any",
-            order: "created_at asc",
-            fields: "id,order_number,processed_at,created_at,currency,financial_status,fulfillment_status,cancelled_at,cancel_reason,tags,test,customer,line_items,refunds",
-          };
-
-      const res = await requestWithRetry("GET", "/orders.json", { params });
-
-      if (res.status < 200 || res.status >= 300) {
-        throw new Error(`Unexpected status ${res.status}: ${JSON.stringify(res.data)}`);
-      }
+        // Checkpoint after each full page: a restart resumes at the next page
+        state.page_info = nextPageInfo;
+        if (!nextPageInfo || !orders.length) state.status = finishedStatus(slice);
+        state.updated_at = nowIso();
+
+        await setSyncCursor(slice.key, state);
+        await reportSliceProgress(runId, slice.key, {
+          status: state.status,
+          pages_done: state.pages_done,
+          orders_done: state.orders_done,
+          last_order_id: state.last_order_id,
+          updated_at: state.updated_at,
+        });
 
-      const orders = (res.data && res.data.orders) || [];
-      const nextPageInfo = extractNextPageInfo(res.headers && res.headers.link);
+        console.log(
+          `[${PIPELINE}] slice ${slice.key} | page ${state.pages_done} done | orders=${state.orders_done} | next_page=${nextPageInfo ? "YES" : "NO"}`
+        );
 
-      if (!orders.length) {
-        console.log("No more orders returned. Done.");
-        break;
+        if (reachedMaxOrders()) {
+          console.log(`[${PIPELINE}] reached MAX_ORDERS=${MAX_ORDERS}. Stopping.`);
+          break;
+        }
+        if (stopped()) {
+          console.log(`[${PIPELINE}] slice ${slice.key} | another slice failed, stopping at this checkpoint`);
+          break;
+        }
       }
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Bulk mode. The operation id is checkpointed, so a restart keeps polling (or re-reads)
+   * the same operation and skips the orders it already wrote. A failed/expired operation
+   * is resubmitted.
+   */
+  async function runBulk(slice) {
+    const key = `${slice.key}|bulk`;
+    const saved = RESET_STATE ? null : resumableState(await getSyncCursor(key));
+    if (saved?.status === "done") {
+      slicesSkipped++;
+      console.log(`[${PIPELINE}] bulk ${key} already done, skipping`);
+      return;
+    }
 
-      for (const o of orders) {
-        await client.query("BEGIN");
+    const state = {
+      created_at_min: slice.created_at_min,
+      created_at_max: slice.created_at_max,
+      bulk_operation_id: saved?.bulk_operation_id ?? null,
+      orders_done: saved?.orders_done ?? 0,
+      last_order_id: saved?.last_order_id ?? null,
+      started_at: saved?.started_at ?? nowIso(),
+      status: "in_progress",
+    };
+
+    let op = state.bulk_operation_id ? await getBulkOperation(shopify, state.bulk_operation_id) : null;
+    if (op && !["CREATED", "RUNNING", "COMPLETED"].includes(op.status)) {
+      console.log(`[${PIPELINE}] bulk ${op.id} is ${op.status}, resubmitting`);
+      op = null;
+    }
 
-        try {
-          const tagsArr = await upsertOrder(client, o);
-          ordersUpserted++;
-          state.orders_done++;
-          state.last_order_id = o.id;
+    if (!op) {
+      op = await submitBulkQuery(
+        shopify,
+        buildOrdersBulkQuery({ createdAtMin: slice.created_at_min, createdAtMax: slice.created_at_max })
+      );
+      state.bulk_operation_id = op.id;
+      state.orders_done = 0;
+      state.last_order_id = null;
+    }
 
-          for (const li of o.line_items || []) {
-            const result = await upsertLineItem(client, o.id, tagsArr, li);
+    console.log(
+      `[${PIPELINE}] bulk ${op.id} | resume=${state.orders_done ? `YES (${state.orders_done} orders written)` : "NO (starting fresh)"}`
+    );
+
+    async function checkpoint(extra = {}) {
+      state.updated_at = nowIso();
+      await setSyncCursor(key, state);
+      await reportSliceProgress(runId, key, {
+        status: state.status,
+        bulk_operation_id: state.bulk_operation_id,
+        orders_done: state.orders_done,
+        last_order_id: state.last_order_id,
+        updated_at: state.updated_at,
+        ...extra,
+      });
+    }
 
-            if (result.skippedNoSku) {
-              lineItemsSkippedNoSku++;
-              continue;
-            }
+    await checkpoint({ operation_status: op.status });
 
-            if (result.stubInserted) stubSkusInserted++;
-            lineItemsUpserted++;
-          }
+    op = await waitForBulkOperation(shopify, op.id, {
+      pollMs: BULK_POLL_MS,
+      timeoutMs: BULK_TIMEOUT_MINUTES * 60000,
+      onPoll: async (o) => {
+        console.log(`[${PIPELINE}] bulk ${o.id} | ${o.status} | objects=${o.objectCount}`);
+        await checkpoint({ operation_status: o.status, object_count: Number(o.objectCount) });
+      },
+    });
 
-          const { refundHeaders, refundLines } = await upsertRefunds(client, o);
-          refundHeadersUpserted += refundHeaders;
-          refundLineItemsInserted += refundLines;
+    if (!op.url) {
+      state.status = finishedStatus(slice);
+      await checkpoint({ operation_status: op.status, object_count: 0 });
+      console.log(`[${PIPELINE}] bulk ${op.id} | no orders in window`);
+      return;
+    }
 
-          await client.query("COMMIT");
-        } catch (err) {
-          await client.query("ROLLBACK");
-          throw err;
-        }
+    const skip = state.orders_done;
+    let seen = 0;
+    let buffer = [];
 
-        if (ordersUpserted % 500 === 0) {
-          console.log(
-            `Progress: orders=${ordersUpserted}, line_items=${lineItemsUpserted}, skipped_no_sku=${lineItemsSkippedNoSku}, stubs=${stubSkusInserted}, refunds=${refundHeadersUpserted}`
-          );
-          saveState({
-            ...state,
-            page_info: nextPageInfo, // best available “continue” pointer
-            pages_done: state.pages_done,
-            updated_at: nowIso(),
-          });
+    const client = await pool.connect();
+
+    async function flush() {
+      if (!buffer.length) return;
+      totals.refundOrdersFetched += await loadRefunds(shopify, buffer);
+      await writeOrders(client, buffer, totals);
+      state.orders_done += buffer.length;
+      state.last_order_id = buffer[buffer.length - 1].id;
+      buffer = [];
+
+      await checkpoint({ operation_status: op.status, object_count: Number(op.objectCount) });
+      console.log(`[${PIPELINE}] bulk ${op.id} | orders=${state.orders_done}`);
+    }
+
+    try {
+      for await (const o of assembleOrders(streamJsonl(op.url))) {
+        if (seen++ < skip) continue;
+
+        buffer.push(o);
+        if (buffer.length < BULK_CHECKPOINT_ORDERS) continue;
+
+        await flush();
+        if (reachedMaxOrders()) {
+          console.log(`[${PIPELINE}] reached MAX_ORDERS=${MAX_ORDERS}. Stopping.`);
+          return;
         }
       }
 
-      state.pages_done++;
-      pageInfo = nextPageInfo;
-
-      saveState({
-        ...state,
-        page_info: pageInfo,
-        updated_at: nowIso(),
-      });
+      await flush();
+      state.status = finishedStatus(slice);
+      await checkpoint({ operation_status: op.status, object_count: Number(op.objectCount) });
+    } finally {
+      client.release();
+    }
+  }
 
-      console.log(
-        `Page ${state.pages_done} done. Orders so far=${ordersUpserted}. Next page=${pageInfo ? "YES" : "NO"}`
-      );
+  const rowsUpserted = () =>
+    totals.ordersUpserted +
+    totals.lineItemsUpserted +
+    totals.refundHeadersUpserted +
+    totals.refundLineItemsInserted +
+    totals.stubSkusInserted;
 
-      if (!pageInfo) break;
+  try {
+    if (BULK) {
+      await runBulk(slices[0]);
+    } else {
+      await runWithConcurrency(slices, SLICE_CONCURRENCY, runSlice);
     }
 
-    const rowsUpserted =
-      ordersUpserted +
-      lineItemsUpserted +
-      refundHeadersUpserted +
-      refundLineItemsInserted +
-      stubSkusInserted;
-
-    await finishIngestionRun(runId, "succeeded", rowsUpserted, 0, null);
-
-    console.log("✅ Backfill succeeded");
-    console.log({
-      ordersUpserted,
-      lineItemsUpserted,
-      lineItemsSkippedNoSku,
-      stubSkusInserted,
-      refundHeadersUpserted,
-      refundLineItemsInserted,
-      pages: state.pages_done,
-      stateFile: STATE_PATH,
+    await finishIngestionRun(runId, "succeeded", rowsUpserted(), 0, null, {
+      finished_at: nowIso(),
+      slices_skipped: slicesSkipped,
+      totals,
+      variant_lookups: variantLookup?.getStats() ?? null,
+      api_metrics: shopify.getMetrics(),
     });
+
+    console.log(
+      `[${PIPELINE}] ok | orders=${totals.ordersUpserted} line_items=${totals.lineItemsUpserted} skipped_no_sku=${totals.lineItemsSkippedNoSku} stubs=${totals.stubSkusInserted} refunds=${totals.refundHeadersUpserted} slices_skipped=${slicesSkipped}`
+    );
   } catch (err) {
     const msg = err.response?.data ? JSON.stringify(err.response.data) : err.message;
-    console.error("❌ Backfill failed:", msg);
 
-    const rowsUpserted =
-      ordersUpserted +
-      lineItemsUpserted +
-      refundHeadersUpserted +
-      refundLineItemsInserted +
-      stubSkusInserted;
+    await finishIngestionRun(runId, "failed", rowsUpserted(), 0, msg, {
+      finished_at: nowIso(),
+      totals,
+      variant_lookups: variantLookup?.getStats() ?? null,
+      api_metrics: shopify.getMetrics(),
+    });
 
-    await finishIngestionRun(runId, "failed", rowsUpserted, 0, msg);
+    console.error(`[${PIPELINE}] failed | ${msg}`);
     process.exitCode = 1;
   } finally {
-    client.release();
     await pool.end();
   }
 }
@@ -1,127 +1,236 @@
+"use strict";
+
 const path = require("path");
-require("dotenv").config({ path: path.resolve(__dirname, "./../.env") });
+require("dotenv").config({ path: path.resolve(__dirname, "../../.env") });
+
+const { withIngestionRun } = require("../lib/ingestionRun");
+const { createShopifyClient } = require("../lib/shopify");
+
+const PIPELINE = "shopify_products";
+const SOURCE = "shopify";
 
-const axios = require("axios");
-const { pool } = require("../../config/db");
+const LIMIT = 250;
+const PRODUCT_STATUSES = ["active", "draft", "archived"];
 
-const SHOP = process.env.SHOPIFY_STORE; 
-const TOKEN = process.env.SHOPIFY_ADMIN_TOKEN;
-const VERSION = process.env.SHOPIFY_API_VERSION || "2024-10";
+// Refuse to retire SKUs if the catalog came back suspiciously small: fewer variants than
+// this share of the SKUs currently live in dim_sku
+const MIN_RETIRE_SHARE = Number(process.env.MIN_RETIRE_SHARE || 0.8);
 
-if (!SHOP || !TOKEN) {
-  console.error("Missing SHOPIFY_STORE or SHOPIFY_ADMIN_TOKEN in .env");
+if (!Number.isFinite(MIN_RETIRE_SHARE) || MIN_RETIRE_SHARE < 0 || MIN_RETIRE_SHARE > 1) {
+  console.error("MIN_RETIRE_SHARE must be between 0 and 1");
   process.exit(1);
 }
 
-const api = axios.create({
-  baseURL: `https://${SHOP}/admin/api/${VERSION}`,
-  headers: {
-    "X-Shopify-Access-Token": TOKEN,
-    "Content-Type": "application/json",
-  },
-  timeout: 30000,
-});
-
-async function fetchAllProducts() {
-  const all = [];
-  let since_id = 0;
-
-  while (true) {
-    const res = await api.get("/products.json", {
-      params: {
-        limit: 250,
-        status: "active",
-        since_id,
-        fields: "id,title,variants",
-      },
-    });
+const shopify = createShopifyClient();
 
-    const products = res.data.products || [];
-    if (products.length === 0) break;
+function nowIso() {
+  return new Date().toISOString();
+}
 
-    all.push(...products);
-    since_id = products[products.length - 1].id;
+async function fetchProductsByStatus(status) {
+  const all = [];
 
-    if (products.length < 250) break;
+  const pages = shopify.paginate("/products.json", {
+    key: "products",
+    params: {
+      limit: LIMIT,
+      status,
+      fields: "id,title,status,variants",
+    },
+  });
+
+  for await (const { items } of pages) {
+    all.push(...items);
   }
 
   return all;
 }
 
-async function upsertSku({
+async function loadStubSkus(client) {
+  const res = await client.query(
+    "select sku, attributes from ops.dim_sku where attributes->>'stub' = 'true'"
+  );
+  return new Map(res.rows.map((r) => [r.sku, r.attributes || {}]));
+}
+
+async function upsertSku(client, {
   sku,
   product_title,
   variant_title,
   shopify_product_id,
   shopify_variant_id,
+  is_active,
   attributes,
 }) {
   const q = `
     insert into ops.dim_sku
-      (sku, product_title, variant_title, shopify_product_id, shopify_variant_id, attributes, updated_at)
+      (sku, product_title, variant_title, shopify_product_id, shopify_variant_id, is_active, attributes, retired_at, updated_at)
     values
-      ($1,  $2,           $3,            $4,               $5,                $6::jsonb, now())
+      ($1,  $2,           $3,            $4,               $5,                $6,        $7::jsonb, null, now())
     on conflict (sku) do update set
       product_title = excluded.product_title,
       variant_title = excluded.variant_title,
       shopify_product_id = excluded.shopify_product_id,
       shopify_variant_id = excluded.shopify_variant_id,
+      is_active = excluded.is_active,
       attributes = excluded.attributes,
+      retired_at = null,
       updated_at = now()
   `;
-  await pool.query(q, [
+  await client.query(q, [
     sku,
     product_title,
     variant_title,
     shopify_product_id,
     shopify_variant_id,
+    is_active,
     JSON.stringify(attributes || {}),
   ]);
 }
 
+async function countLiveVariants(client) {
+  const res = await client.query(
+    "select count(*)::int as n from ops.dim_sku where shopify_variant_id is not null and retired_at is null"
+  );
+  return res.rows[0].n;
+}
+
+async function retireMissingSkus(client, seenVariantIds) {
+  const q = `
+    update ops.dim_sku
+    set retired_at = now(),
+        is_active = false,
+        updated_at = now()
+    where shopify_variant_id is not null
+      and retired_at is null
+      and not (shopify_variant_id = any($1::bigint[]))
+    returning sku
+  `;
+  const res = await client.query(q, [Array.from(seenVariantIds)]);
+  return res.rows.map((r) => r.sku);
+}
+
 async function main() {
-//Syncing products from Le Jardin Switzerland to ops.dim_sku
-  const products = await fetchAllProducts();
-  let upserts = 0;
-  for (const p of products) {
-    const productTitle = p.title;
-
-    for (const v of p.variants || []) {
-      const sku = (v.sku || "").trim();
-      if (!sku) continue; // skip variants without SKU
-
-      await upsertSku({
-        sku,
-        product_title: productTitle,
-        variant_title: v.title,
-        shopify_product_id: p.id,
-        shopify_variant_id: v.id,
-        attributes: {
-          inventory_item_id: v.inventory_item_id ?? null,
-          inventory_management: v.inventory_management ?? null,
-          inventory_policy: v.inventory_policy ?? null,
-          fulfillment_service: v.fulfillment_service ?? null,
-          price: v.price ?? null,
-          compare_at_price: v.compare_at_price ?? null,
-          requires_shipping: v.requires_shipping ?? null,
-          taxable: v.taxable ?? null,
-          barcode: v.barcode ?? null,
-          weight: v.weight ?? null,
-          weight_unit: v.weight_unit ?? null,
-        },
+  await withIngestionRun(
+    {
+      source: SOURCE,
+      pipeline: PIPELINE,
+      metadata: {
+        shop: shopify.shop,
+        version: shopify.version,
+        statuses: PRODUCT_STATUSES,
+        started_at: nowIso(),
+      },
+    },
+    async (ctx) => {
+      const products = [];
+      for (const status of PRODUCT_STATUSES) {
+        const batch = await fetchProductsByStatus(status);
+        console.log(`[${PIPELINE}] fetched | status=${status} products=${batch.length}`);
+        products.push(...batch);
+      }
+
+      const client = await ctx.pool.connect();
+      ctx.setClient(client);
+
+      const seenVariantIds = new Set();
+      let skippedNoSku = 0;
+      let stubsPromoted = 0;
+      let retired = [];
+
+      try {
+        await client.query("BEGIN");
+        ctx.beginTxn();
+
+        const stubs = await loadStubSkus(client);
+        const retireFloor = Math.ceil((await countLiveVariants(client)) * MIN_RETIRE_SHARE);
+
+        for (const p of products) {
+          const productStatus = p.status || null;
+
+          for (const v of p.variants || []) {
+            if (v.id != null) seenVariantIds.add(Number(v.id));
+
+            const sku = (v.sku || "").trim();
+            if (!sku) {
+              skippedNoSku++;
+              continue; // skip variants without SKU
+            }
+
+            const attributes = {
+              inventory_item_id: v.inventory_item_id ?? null,
+              inventory_management: v.inventory_management ?? null,
+              inventory_policy: v.inventory_policy ?? null,
+              fulfillment_service: v.fulfillment_service ?? null,
+              price: v.price ?? null,
+              compare_at_price: v.compare_at_price ?? null,
+              requires_shipping: v.requires_shipping ?? null,
+              taxable: v.taxable ?? null,
+              barcode: v.barcode ?? null,
+              weight: v.weight ?? null,
+              weight_unit: v.weight_unit ?? null,
+              product_status: productStatus,
+            };
+
+            // Stub rows from order/Loop sync become real rows once their variant shows up
+            const stub = stubs.get(sku);
+            if (stub) {
+              attributes.promoted_from_stub = {
+                stub_reason: stub.stub_reason ?? null,
+                created_by: stub.created_by ?? null,
+                promoted_at: nowIso(),
+              };
+              stubs.delete(sku);
+              stubsPromoted++;
+            }
+
+            await upsertSku(client, {
+              sku,
+              product_title: p.title,
+              variant_title: v.title,
+              shopify_product_id: p.id,
+              shopify_variant_id: v.id,
+              is_active: productStatus === "active",
+              attributes,
+            });
+            ctx.incrementUpserts(1);
+          }
+        }
+
+        if (seenVariantIds.size >= retireFloor) {
+          retired = await retireMissingSkus(client, seenVariantIds);
+          ctx.incrementDeletes(retired.length);
+        } else {
+          console.warn(
+            `[${PIPELINE}] only ${seenVariantIds.size} variants fetched (< ${retireFloor}, MIN_RETIRE_SHARE=${MIN_RETIRE_SHARE} of live SKUs); skipping retirement`
+          );
+        }
+
+        await client.query("COMMIT");
+        ctx.endTxn();
+      } catch (e) {
+        await client.query("ROLLBACK");
+        ctx.endTxn();
+        throw e;
+      } finally {
+        ctx.setClient(null);
+        client.release();
+      }
+
+      ctx.mergeMetadata({
+        products: products.length,
+        variants_seen: seenVariantIds.size,
+        skipped_no_sku: skippedNoSku,
+        stubs_promoted: stubsPromoted,
+        retired_skus: retired,
+        api_metrics: shopify.getMetrics(),
       });
 
-      upserts++;
+      console.log(
+        `[${PIPELINE}] done | products=${products.length} variants=${seenVariantIds.size} stubs_promoted=${stubsPromoted} retired=${retired.length}`
+      );
     }
-  }
-
-  await pool.end();
+  );
 }
 
-main().catch(async (err) => {
-  console.error("ERROR:", err.response?.data || err.message);
-  try {
-    await pool.end();
-  } catch {}
-  process.exit(1);
-});
+main();